@@ -0,0 +1,123 @@
+const { BACKUP_DIR, DEFAULT_BACKUP_KEEP_COUNT } = require("./core.js");
+
+/** 每日自动备份的间隔 */
+const DAILY_BACKUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/** 轮换保留份数，由插件在加载/修改设置时配置 */
+let backupKeepCount = DEFAULT_BACKUP_KEEP_COUNT;
+
+function configureBackups({ keepCount } = {}) {
+  const n = parseInt(keepCount, 10);
+  backupKeepCount = !isNaN(n) && n >= 1 ? Math.min(n, 100) : DEFAULT_BACKUP_KEEP_COUNT;
+}
+
+/** 备份文件名：backup-<ISO 时间，冒号/点替换为 -><-原因>.json，按文件名排序即按时间排序 */
+function buildBackupName(reason, date = new Date()) {
+  const stamp = date.toISOString().replace(/[:.]/g, "-");
+  return `backup-${stamp}-${reason}.json`;
+}
+
+function parseBackupName(name) {
+  const match = name.match(/^backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-([\w-]+)\.json$/);
+  if (!match) return null;
+  const createdAt = new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+  if (isNaN(createdAt.getTime())) return null;
+  return { name, createdAt, reason: match[6] };
+}
+
+async function ensureBackupDirExists(app) {
+  const adapter = app.vault.adapter;
+  if (await adapter.exists(BACKUP_DIR)) return;
+  try {
+    await adapter.mkdir(BACKUP_DIR);
+  } catch {
+    // 目录可能已被并发创建
+  }
+}
+
+/** 列出所有备份，最新的在前 */
+async function listBackups(app) {
+  const adapter = app.vault.adapter;
+  if (!(await adapter.exists(BACKUP_DIR))) return [];
+  const listed = await adapter.list(BACKUP_DIR);
+  return listed.files
+    .map((path) => parseBackupName(path.slice(path.lastIndexOf("/") + 1)))
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/** 删除超出保留份数的旧备份 */
+async function pruneBackups(app) {
+  const backups = await listBackups(app);
+  for (const backup of backups.slice(backupKeepCount)) {
+    try {
+      await app.vault.adapter.remove(`${BACKUP_DIR}/${backup.name}`);
+    } catch (error) {
+      console.error("[Focus Timer] Failed to remove old backup:", error);
+    }
+  }
+}
+
+/** 写入一份备份快照并轮换；返回备份文件名 */
+async function writeBackup(app, reason, snapshot) {
+  await ensureBackupDirExists(app);
+  const createdAt = new Date();
+  const name = buildBackupName(reason, createdAt);
+  const content = { backupReason: reason, backupCreatedAt: createdAt.toISOString(), ...snapshot };
+  await app.vault.adapter.write(`${BACKUP_DIR}/${name}`, JSON.stringify(content, null, 2));
+  await pruneBackups(app);
+  return name;
+}
+
+async function readBackup(app, name) {
+  const raw = await app.vault.adapter.read(`${BACKUP_DIR}/${name}`);
+  return JSON.parse(raw.trim().replace(/^\uFEFF/, ""));
+}
+
+/** 备份文件大小（字节），读取失败时为 null；列表只取文件信息，不解析内容 */
+async function getBackupSize(app, name) {
+  try {
+    const stat = await app.vault.adapter.stat(`${BACKUP_DIR}/${name}`);
+    return stat ? stat.size : null;
+  } catch (error) {
+    console.error("[Focus Timer] Failed to stat backup:", error);
+    return null;
+  }
+}
+
+/** 最近一份备份距今是否已超过一天 */
+async function isDailyBackupDue(app) {
+  const [latest] = await listBackups(app);
+  return !latest || Date.now() - latest.createdAt.getTime() >= DAILY_BACKUP_INTERVAL_MS;
+}
+
+/** 备份预览：会话数量与日期范围 */
+function summarizeBackup(content) {
+  const sessions = Array.isArray(content && content.sessions) ? content.sessions : [];
+  let first = null;
+  let last = null;
+  for (const session of sessions) {
+    const time = new Date(session && session.start).getTime();
+    if (!Number.isFinite(time)) continue;
+    if (first === null || time < first) first = time;
+    if (last === null || time > last) last = time;
+  }
+  return {
+    sessionCount: sessions.length,
+    firstStart: first === null ? null : new Date(first),
+    lastStart: last === null ? null : new Date(last)
+  };
+}
+
+module.exports = {
+  configureBackups,
+  listBackups,
+  writeBackup,
+  readBackup,
+  getBackupSize,
+  isDailyBackupDue,
+  summarizeBackup,
+  // exported for testing
+  buildBackupName,
+  parseBackupName
+};
@@ -23,6 +23,32 @@ function chartRangeToLabelAndCalculation(shortKey) {
   return { rangeLabel: t(fallback.labelKey), rangeForCalculation: fallback.calcValue };
 }
 
+/** 某个图表范围用到的最早日期（「今年」按周汇总，从 1 月 1 日所在周的周一算起） */
+function getChartRangeStart(range) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const days = { "7天": 7, "14天": 14, "30天": 30 }[range];
+  if (days) {
+    const start = new Date(today);
+    start.setDate(start.getDate() - (days - 1));
+    return start;
+  }
+  if (range === "本月") {
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  }
+  const yearStart = new Date(today.getFullYear(), 0, 1);
+  const dayOfWeek = yearStart.getDay();
+  yearStart.setDate(yearStart.getDate() - (dayOfWeek === 0 ? 6 : dayOfWeek - 1));
+  return yearStart;
+}
+
+/** 所有图表范围中最早的日期：图表内可切换范围，按最宽范围加载归档 */
+function getEarliestChartRangeStart() {
+  return CHART_RANGE_CONFIG
+    .map(c => getChartRangeStart(c.calcValue))
+    .reduce((a, b) => (a < b ? a : b));
+}
+
 function calculateChartData(sessions, range) {
   const now = new Date();
   const today = new Date(now);
@@ -380,6 +406,8 @@ module.exports = {
   DEFAULT_CHART_RANGE_SHORT,
   defaultChartRangeToShortKey,
   chartRangeToLabelAndCalculation,
+  getChartRangeStart,
+  getEarliestChartRangeStart,
   calculateChartData,
   createLineChart
 };
@@ -8,6 +8,14 @@ const FOCUS_NOTE_MAX_OTHER = 50;
 const QUICK_TIMER_MAX_ASCII = 40;
 /** 快捷 timer 名称：非英文字符上限 */
 const QUICK_TIMER_MAX_OTHER = 10;
+/** 单次专注的最长合理时长（秒），超过视为误操作或异常数据 */
+const MAX_SESSION_SEC = 24 * 60 * 60;
+/** 专注进行中写入心跳（最后在线时间）的间隔（毫秒） */
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+/** 心跳或计划结束时间距今超过该秒数时，视为上次关闭 Obsidian 时遗留的专注 */
+const STALE_SESSION_GAP_SEC = 5 * 60;
+/** 相邻两次计时刷新间隔超过该秒数时，视为系统睡眠或时钟跳变（后台窗口的定时器最慢约每分钟触发一次） */
+const TIMER_GAP_THRESHOLD_SEC = 3 * 60;
 
 function nowISO() { return new Date().toISOString(); }
 function clamp0(n) { return Math.max(0, n); }
@@ -19,6 +27,10 @@ module.exports = {
   FOCUS_NOTE_MAX_OTHER,
   QUICK_TIMER_MAX_ASCII,
   QUICK_TIMER_MAX_OTHER,
+  MAX_SESSION_SEC,
+  HEARTBEAT_INTERVAL_MS,
+  STALE_SESSION_GAP_SEC,
+  TIMER_GAP_THRESHOLD_SEC,
   nowISO,
   clamp0
 };
@@ -1,6 +1,23 @@
 const PLUGIN_ID = "focus-timer";
 const DATA_DIR = `.obsidian/plugins/${PLUGIN_ID}`;
 const DATA_PATH = `${DATA_DIR}/data.json`;
+/** 会话追加日志（JSONL，每行一条会话），避免每次记录都重写整个 data.json */
+const SESSIONS_JOURNAL_PATH = `${DATA_DIR}/sessions.jsonl`;
+/** 休息记录（JSONL，每行一条，只追加） */
+const RESTS_JOURNAL_PATH = `${DATA_DIR}/rests.jsonl`;
+/** 日志中冗余/损坏行达到该数量时触发压缩重写 */
+const JOURNAL_COMPACT_THRESHOLD = 200;
+/** 按年归档的旧会话文件：sessions-YYYY.json，仅在查询范围需要时读取 */
+const ARCHIVE_FILE_PATTERN = /^sessions-(\d{4})\.json$/;
+const DEFAULT_ARCHIVE_AFTER_DAYS = 365;
+function getArchivePath(year) {
+  return `${DATA_DIR}/sessions-${year}.json`;
+}
+/** 自动备份目录（轮换保留最近 N 份） */
+const BACKUP_DIR = `${DATA_DIR}/backups`;
+const DEFAULT_BACKUP_KEEP_COUNT = 10;
+/** data.json 当前格式版本；每新增一个迁移步骤加 1（见 data.js 的 DATA_MIGRATIONS） */
+const SCHEMA_VERSION = 2;
 /** 旧版插件 id 下的数据路径，仅用于一次性迁移 */
 const LEGACY_DATA_PATH = ".obsidian/plugins/obsidian-focus-timer/data.json";
 
@@ -46,13 +63,26 @@ class FileLock {
 
 const dataFileLock = new FileLock();
 
+function disposeTimer(t) {
+  if (t.type === "interval") clearInterval(t.handle);
+  else if (t.type === "timeout") clearTimeout(t.handle);
+  else {
+    try {
+      t.dispose();
+    } catch (error) {
+      console.error("[Focus Timer] Failed to release resource:", error);
+    }
+  }
+}
+
 /**
  * 定时器管理器：统一管理 setInterval/setTimeout，按 id 注册与清除，避免泄漏与重复。
  * 使用方式：plugin.timerManager.scheduleInterval(id, ms, fn) / scheduleTimeout(id, ms, fn)；clear(id)；onunload 时 clearAll()。
+ * 需要随插件卸载释放的其他资源（如正在播放的音频）用 register(id, dispose) 登记，clear 时调用 dispose。
  */
 class TimerManager {
   constructor() {
-    this._timers = new Map(); // id -> { type: 'interval'|'timeout', handle: number }
+    this._timers = new Map(); // id -> { type: 'interval'|'timeout', handle: number } 或 { type: 'resource', dispose: Function }
   }
 
   scheduleInterval(id, ms, fn) {
@@ -72,47 +102,79 @@ class TimerManager {
     return id;
   }
 
+  register(id, dispose) {
+    this.clear(id);
+    this._timers.set(id, { type: "resource", dispose });
+    return id;
+  }
+
+  has(id) {
+    return this._timers.has(id);
+  }
+
   clear(id) {
     const t = this._timers.get(id);
     if (t) {
-      if (t.type === "interval") clearInterval(t.handle);
-      else clearTimeout(t.handle);
       this._timers.delete(id);
+      disposeTimer(t);
     }
   }
 
   clearAll() {
-    for (const [, t] of this._timers) {
-      if (t.type === "interval") clearInterval(t.handle);
-      else clearTimeout(t.handle);
-    }
+    const timers = [...this._timers.values()];
     this._timers.clear();
+    timers.forEach(disposeTimer);
   }
 }
 
+/** 默认设置：插件字段初值、加载设置时的缺省值与 data.json 模板共用，每次返回新对象 */
+function getDefaultSettings() {
+  return {
+    autoContinue: false, // 倒计时结束后是否自动继续计时
+    defaultMode: "countdown", // 默认模式：countdown（倒计时）、stopwatch（正计时）或 flowtime（心流计时）
+    adjustStepMinutes: 5, // 加/减按钮每次增减的分钟数（1-60）
+    defaultChartRange: "14天", // 默认图表显示范围：7天/14天/30天/本月/今年
+    defaultDurationMinutes: 25, // 默认倒计时时间（分钟），不填写时默认25分钟
+    quickTimer1: { name: "", minutes: 25 }, // 快捷timer 1
+    quickTimer2: { name: "", minutes: 25 }, // 快捷timer 2
+    quickTimer3: { name: "", minutes: 25 }, // 快捷timer 3
+    autoRest: false, // 是否在计时结束后自动进入休息
+    defaultRestMinutes: 5, // 默认休息时间（分钟）
+    keyboardShortcuts: false, // 聚焦面板时：Enter 开始，上/下 加减时间
+    statusBarShowFocus: true, // 状态栏是否显示专注/休息计时
+    allowCompleteCountdownEarly: false, // 倒计时进行时是否允许提前完成（关则只显示放弃、命令完成不可用）
+    suggestTasks: [], // 联想任务列表（专注事项输入时联想；新任务开始后自动加入）
+    codeBlockChartShowTime: true, // focus 代码块图表默认：显示专注时间
+    codeBlockChartShowCount: true, // focus 代码块图表默认：显示任务数量
+    backupKeepCount: DEFAULT_BACKUP_KEEP_COUNT, // 自动备份保留份数
+    statsIncludeManual: true, // 统计与图表是否包含手动补录的专注记录
+    archiveAfterDays: DEFAULT_ARCHIVE_AFTER_DAYS, // 早于该天数的会话移入按年归档文件
+    exportFolder: "", // 导出到库内时的默认文件夹（记住上次使用的位置）
+    longBreakInterval: 4, // 几次专注后进入长休息
+    longBreakMinutes: 15, // 长休息时间（分钟）
+    autoStartFocusAfterRest: false, // 休息结束后是否自动开始下一次专注
+    abandonResetsCycle: true, // 放弃专注时是否重置番茄循环
+    routines: [], // 自定义流程：多步骤的专注/休息序列（见 routines.js）
+    goals: { dailyMinutes: 0, dailySessions: 0, weeklyMinutes: 0, monthlyMinutes: 0, weekdayMinutes: [null, null, null, null, null, null, null] }, // 专注目标：0 表示不设目标，weekdayMinutes 按星期覆盖每日目标（见 goals.js）
+    flowtimeRule: "ratio", // 心流计时的休息规则：ratio（按比例）或 tiers（按档位）
+    flowtimeRatio: 5, // 心流计时按比例：休息 = 专注 ÷ 该值
+    flowtimeTiers: [{ fromMinutes: 0, restMinutes: 5 }, { fromMinutes: 25, restMinutes: 8 }, { fromMinutes: 50, restMinutes: 10 }, { fromMinutes: 90, restMinutes: 15 }], // 心流计时按档位：专注达到 fromMinutes 分钟时休息 restMinutes 分钟（见 flowtime.js）
+    sounds: { volume: 70, focusEnd: "none", restEnd: "none", warning: "none", ambient: "none", ambientVolume: 30 }, // 提示音与背景音：内置音效名、库内音频路径或 none（见 sound.js）；默认都不播放，需在设置中开启
+    desktopNotifications: false, // 计时结束时发送系统通知（需授权，未授权时退回 Notice）
+    warningMinutes: [2], // 倒计时结束前提醒：剩余这些分钟数时各提醒一次
+    milestoneMinutes: [60], // 正计时里程碑：每满这些分钟数的整数倍提醒一次
+    messageTemplates: { start: "", complete: "", abandon: "", restStart: "", restEnd: "" }, // 自定义提示消息模板，留空使用内置消息
+    zenMode: { enabled: false, collapseSidebars: true, hideRibbon: true, hideStatusBar: true } // 专注时精简界面：折叠侧边栏、隐藏功能区与状态栏
+  };
+}
+
 /** 默认 data.json 模板（无 data.json 时创建，防止启动失败） */
 function getDefaultDataTemplate() {
   return {
+    schemaVersion: SCHEMA_VERSION,
     state: { active: false, resting: false },
     sessions: [],
-    settings: {
-      autoContinue: false,
-      defaultMode: "countdown",
-      adjustStepMinutes: 5,
-      defaultChartRange: "14天",
-      defaultDurationMinutes: 25,
-      quickTimer1: { name: "", minutes: 25 },
-      quickTimer2: { name: "", minutes: 25 },
-      quickTimer3: { name: "", minutes: 25 },
-      autoRest: false,
-      defaultRestMinutes: 5,
-      keyboardShortcuts: false,
-      statusBarShowFocus: true,
-      allowCompleteCountdownEarly: false,
-      suggestTasks: [],
-      codeBlockChartShowTime: true,
-      codeBlockChartShowCount: true
-    }
+    settings: getDefaultSettings()
   };
 }
 
@@ -120,9 +182,19 @@ module.exports = {
   PLUGIN_ID,
   DATA_DIR,
   DATA_PATH,
+  SESSIONS_JOURNAL_PATH,
+  RESTS_JOURNAL_PATH,
+  JOURNAL_COMPACT_THRESHOLD,
+  ARCHIVE_FILE_PATTERN,
+  DEFAULT_ARCHIVE_AFTER_DAYS,
+  getArchivePath,
+  BACKUP_DIR,
+  DEFAULT_BACKUP_KEEP_COUNT,
+  SCHEMA_VERSION,
   LEGACY_DATA_PATH,
   FileLock,
   dataFileLock,
   TimerManager,
+  getDefaultSettings,
   getDefaultDataTemplate
 };
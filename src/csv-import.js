@@ -0,0 +1,317 @@
+const {
+  FOCUS_NOTE_MAX_ASCII,
+  FOCUS_NOTE_MAX_OTHER,
+  MAX_SESSION_SEC,
+  nowISO
+} = require("./constants.js");
+const { t } = require("./i18n.js");
+const { limitInputLength } = require("./utils.js");
+
+/** 映射中未选择列时的列号 */
+const NO_COLUMN = -1;
+
+/** 可映射的字段（列号映射） */
+const IMPORT_FIELDS = ["id", "start", "startTime", "end", "endTime", "duration", "planned", "status", "note", "createdAt"];
+
+/** 表示“放弃/未完成”的状态取值（小写比较） */
+const ABANDONED_VALUES = ["abandoned", "abandon", "false", "no", "0", "failed", "fail", "放弃", "未完成", "失败"];
+
+/** 表示“跳过”（流程中跳过的步骤）的状态取值 */
+const SKIPPED_VALUES = ["skipped", "skip", "跳过"];
+
+/**
+ * 常见计时工具导出的表头预设：按表头名称（不区分大小写）定位列。
+ * focusTimer 为本插件导出格式，按 csvHeaders 的列顺序映射，任一语言的表头均可识别。
+ */
+const IMPORT_PRESETS = {
+  focusTimer: {
+    durationUnit: "seconds",
+    dateOrder: "auto",
+    columns: { id: 0, start: 1, end: 2, planned: 3, duration: 5, status: 7, note: 8, createdAt: 9 }
+  },
+  toggl: {
+    required: ["Start date", "Start time", "Duration"],
+    durationUnit: "seconds",
+    dateOrder: "auto",
+    headers: { start: "Start date", startTime: "Start time", end: "End date", endTime: "End time", duration: "Duration", note: "Description" }
+  },
+  clockify: {
+    required: ["Start Date", "Start Time", "Duration (h)"],
+    durationUnit: "hours",
+    dateOrder: "auto",
+    headers: { start: "Start Date", startTime: "Start Time", end: "End Date", endTime: "End Time", duration: "Duration (h)", note: "Description" }
+  },
+  forest: {
+    required: ["Start Time", "End Time", "Is Success"],
+    durationUnit: "seconds",
+    dateOrder: "auto",
+    headers: { start: "Start Time", end: "End Time", status: "Is Success", note: "Note" }
+  }
+};
+
+/** 解析 CSV 文本（支持引号转义、引号内换行、BOM，自动识别逗号/分号/制表符分隔） */
+function parseCSV(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = source.split(/\r?\n/, 1)[0] || "";
+  const delimiter = [",", ";", "\t"]
+    .map((char) => ({ char, count: firstLine.split(char).length }))
+    .sort((a, b) => b.count - a.count)[0].char;
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // 去掉空行
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+function normalizeHeader(header) {
+  return String(header || "").trim().toLowerCase();
+}
+
+/** 是否为本插件导出的表头（中英文均可） */
+function isFocusTimerHeader(headers) {
+  const normalized = headers.map(normalizeHeader);
+  return ["zh", "en"].some((lang) => {
+    const expected = t("csvHeaders", lang).map(normalizeHeader);
+    return expected.every((header, index) => normalized[index] === header);
+  });
+}
+
+/** 按表头识别预设，无法识别时返回 null */
+function detectImportPreset(headers) {
+  if (isFocusTimerHeader(headers)) return "focusTimer";
+  const normalized = headers.map(normalizeHeader);
+  for (const [name, preset] of Object.entries(IMPORT_PRESETS)) {
+    if (preset.required && preset.required.every((header) => normalized.includes(normalizeHeader(header)))) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/** 生成映射：{ columns: { field: 列号 }, durationUnit, dateOrder } */
+function buildImportMapping(headers, presetName) {
+  const preset = IMPORT_PRESETS[presetName];
+  const columns = {};
+  IMPORT_FIELDS.forEach((field) => { columns[field] = NO_COLUMN; });
+  if (!preset) {
+    return { columns, durationUnit: "minutes", dateOrder: "auto" };
+  }
+  if (preset.columns) {
+    Object.assign(columns, preset.columns);
+  } else {
+    const normalized = headers.map(normalizeHeader);
+    for (const [field, header] of Object.entries(preset.headers)) {
+      columns[field] = normalized.indexOf(normalizeHeader(header));
+    }
+  }
+  return { columns, durationUnit: preset.durationUnit, dateOrder: preset.dateOrder };
+}
+
+const TIME_PATTERN = "(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\.\\d+)?\\s*([AaPp][Mm])?";
+
+function toHours(hours, meridiem) {
+  if (!meridiem) return hours;
+  const pm = meridiem.toLowerCase() === "pm";
+  return (hours % 12) + (pm ? 12 : 0);
+}
+
+function buildLocalDate(year, month, day, time) {
+  const [hours, minutes, seconds, meridiem] = time || [];
+  const date = new Date(
+    year,
+    month - 1,
+    day,
+    hours ? toHours(Number(hours), meridiem) : 0,
+    minutes ? Number(minutes) : 0,
+    seconds ? Number(seconds) : 0
+  );
+  // 拒绝 2月30日 之类会被 Date 自动进位的日期
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date;
+}
+
+/**
+ * 解析日期时间：支持 ISO（带时区时按时区解析）、YYYY-MM-DD、MM/DD/YYYY、DD.MM.YYYY 等，
+ * 可另给时间列；无法识别时交给 Date 解析（如 Forest 的导出格式）。
+ */
+function parseDateTime(dateText, timeText = "", dateOrder = "auto") {
+  const datePart = String(dateText || "").trim();
+  const timePart = String(timeText || "").trim();
+  if (!datePart) return null;
+  const text = timePart ? `${datePart} ${timePart}` : datePart;
+
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const ymd = text.match(new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})(?:[T\\s]+${TIME_PATTERN})?$`));
+  if (ymd) {
+    return buildLocalDate(Number(ymd[1]), Number(ymd[2]), Number(ymd[3]), ymd.slice(4));
+  }
+
+  const dmy = text.match(new RegExp(`^(\\d{1,2})[-/.](\\d{1,2})[-/.](\\d{4})(?:[T\\s]+${TIME_PATTERN})?$`));
+  if (dmy) {
+    const first = Number(dmy[1]);
+    const second = Number(dmy[2]);
+    let order = dateOrder;
+    if (order === "auto") {
+      order = first > 12 ? "dmy" : "mdy";
+    }
+    const month = order === "dmy" ? second : first;
+    const day = order === "dmy" ? first : second;
+    return buildLocalDate(Number(dmy[3]), month, day, dmy.slice(4));
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/** 解析时长为秒：含冒号按 H:MM:SS（或 H:MM）解析，否则按 unit（seconds/minutes/hours）换算 */
+function parseDuration(value, unit) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  if (text.includes(":")) {
+    const parts = text.split(":").map(Number);
+    if (parts.length < 2 || parts.length > 3 || parts.some((part) => !Number.isFinite(part) || part < 0)) return null;
+    const [hours, minutes, seconds = 0] = parts;
+    return hours * 3600 + minutes * 60 + seconds;
+  }
+  const number = Number(text.replace(",", "."));
+  if (!Number.isFinite(number)) return null;
+  const factor = unit === "hours" ? 3600 : unit === "minutes" ? 60 : 1;
+  return Math.round(number * factor);
+}
+
+function parseStatus(value) {
+  const text = normalizeHeader(value);
+  if (!text) return "completed";
+  const abandoned = [
+    ...ABANDONED_VALUES,
+    normalizeHeader(t("abandonedStatus", "zh")),
+    normalizeHeader(t("abandonedStatus", "en"))
+  ];
+  const skipped = [
+    ...SKIPPED_VALUES,
+    normalizeHeader(t("skippedStatus", "zh")),
+    normalizeHeader(t("skippedStatus", "en"))
+  ];
+  if (skipped.includes(text)) return "skipped";
+  return abandoned.includes(text) ? "abandoned" : "completed";
+}
+
+/** 把一行转换为会话，返回 { session } 或 { error }（错误为 csvImportReasons 的键） */
+function rowToSession(row, mapping) {
+  const { columns, durationUnit, dateOrder } = mapping;
+  const cell = (field) => (columns[field] >= 0 ? String(row[columns[field]] ?? "").trim() : "");
+
+  const start = parseDateTime(cell("start"), cell("startTime"), dateOrder);
+  if (!start) return { error: "badStart" };
+
+  // 只有结束时间、没有结束日期时沿用开始日期，早于开始则视为跨过午夜
+  const endDateText = cell("end") || (cell("endTime") ? cell("start") : "");
+  let end = endDateText ? parseDateTime(endDateText, cell("endTime"), dateOrder) : null;
+  if (endDateText && !end) return { error: "badEnd" };
+  if (end && !cell("end") && end.getTime() < start.getTime()) {
+    end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  let actualSec = columns.duration >= 0 && cell("duration") ? parseDuration(cell("duration"), durationUnit) : null;
+  if (columns.duration >= 0 && cell("duration") && actualSec === null) return { error: "badDuration" };
+  if (end && end.getTime() < start.getTime()) return { error: "endBeforeStart" };
+  if (actualSec === null) {
+    if (!end) return { error: "missingDuration" };
+    actualSec = Math.floor((end.getTime() - start.getTime()) / 1000);
+  }
+  // 放弃或跳过的会话可以是 0 秒（刚开始就结束），完成的会话必须有时长
+  const status = parseStatus(cell("status"));
+  if (actualSec < 0 || (actualSec === 0 && status === "completed")) return { error: "badDuration" };
+  if (actualSec > MAX_SESSION_SEC) return { error: "tooLong" };
+
+  const plannedSec = columns.planned >= 0 && cell("planned") ? parseDuration(cell("planned"), "seconds") : null;
+  const createdAt = cell("createdAt") ? parseDateTime(cell("createdAt"), "", dateOrder) : null;
+  const startIso = start.toISOString();
+
+  return {
+    session: {
+      id: cell("id") || startIso,
+      start: startIso,
+      end: (end || new Date(start.getTime() + actualSec * 1000)).toISOString(),
+      plannedSec: plannedSec && plannedSec > 0 ? plannedSec : null,
+      actualSec,
+      status,
+      note: limitInputLength(cell("note"), FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER),
+      createdAt: createdAt ? createdAt.toISOString() : nowISO()
+    }
+  };
+}
+
+/**
+ * 生成导入计划（不写入）：按 id 与已有会话、文件内前面的行去重。
+ * 返回 { sessions, duplicates, invalid: [{ line, reason }] }，line 为文件中的行号（表头为第 1 行）。
+ */
+function planCsvImport(rows, mapping, existingIds) {
+  const seen = new Set(existingIds);
+  const plan = { sessions: [], duplicates: 0, invalid: [] };
+  rows.slice(1).forEach((row, index) => {
+    const result = rowToSession(row, mapping);
+    if (result.error) {
+      plan.invalid.push({ line: index + 2, reason: result.error });
+      return;
+    }
+    if (seen.has(result.session.id)) {
+      plan.duplicates++;
+      return;
+    }
+    seen.add(result.session.id);
+    plan.sessions.push(result.session);
+  });
+  plan.sessions.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+  return plan;
+}
+
+module.exports = {
+  NO_COLUMN,
+  IMPORT_FIELDS,
+  IMPORT_PRESETS,
+  parseCSV,
+  detectImportPreset,
+  buildImportMapping,
+  parseDateTime,
+  parseDuration,
+  planCsvImport
+};
@@ -1,4 +1,18 @@
-const { DATA_DIR, DATA_PATH, LEGACY_DATA_PATH, dataFileLock, getDefaultDataTemplate } = require("./core.js");
+const {
+  DATA_DIR,
+  DATA_PATH,
+  SESSIONS_JOURNAL_PATH,
+  RESTS_JOURNAL_PATH,
+  JOURNAL_COMPACT_THRESHOLD,
+  ARCHIVE_FILE_PATTERN,
+  getArchivePath,
+  SCHEMA_VERSION,
+  LEGACY_DATA_PATH,
+  dataFileLock,
+  getDefaultDataTemplate
+} = require("./core.js");
+const { nowISO } = require("./constants.js");
+const { writeBackup, readBackup, isDailyBackupDue } = require("./backup.js");
 
 class DataFileCorruptError extends Error {
   constructor(message, cause) {
@@ -8,6 +22,15 @@ class DataFileCorruptError extends Error {
   }
 }
 
+/** data.json 由更新版本的插件写入，当前版本无法安全读写 */
+class DataFileVersionError extends Error {
+  constructor(fileVersion) {
+    super(`data.json 格式版本 ${fileVersion} 高于当前插件支持的版本 ${SCHEMA_VERSION}，请升级插件`);
+    this.name = "DataFileVersionError";
+    this.fileVersion = fileVersion;
+  }
+}
+
 /** 确保 data.json 所在目录存在（adapter.write 不会自动创建父目录） */
 async function ensureDataDirExists(app) {
   const adapter = app.vault.adapter;
@@ -19,20 +42,34 @@ async function ensureDataDirExists(app) {
   }
 }
 
+/** 创建 data.json（若不存在）并执行所有待运行的格式迁移 */
 async function ensureDataFileExists(app) {
   await ensureDataDirExists(app);
   await dataFileLock.runWithLock(async () => {
-    const adapter = app.vault.adapter;
-    if (await adapter.exists(DATA_PATH)) return;
+    await runDataMigrations(app);
+    await rememberInitialFiles(app);
+  });
+}
 
-    if (await adapter.exists(LEGACY_DATA_PATH)) {
-      const legacyRaw = await adapter.read(LEGACY_DATA_PATH);
-      await adapter.write(DATA_PATH, legacyRaw);
-      return;
+/**
+ * 首次加载时把磁盘上的现有文件视为本进程已知版本，避免启动后误判为外部修改。
+ * 日志文件与上次关闭前本机写入的版本不同（关闭期间被同步覆盖）时不记录，留给 reconcileExternalChanges 合并。
+ */
+async function rememberInitialFiles(app) {
+  loadPendingSync(app);
+  if (!ownWriteSignatures.has(DATA_PATH) && (await app.vault.adapter.exists(DATA_PATH))) {
+    const result = await loadDataFile(app, { allowDefault: true, repair: false });
+    if (!result.unrecoverable) {
+      lastWrittenData = { state: result.data.state, settings: result.data.settings };
+      await recordOwnWrite(app, DATA_PATH);
     }
-
-    await writeJson(app, DATA_PATH, getDefaultDataTemplate());
-  });
+  }
+  for (const path of SYNCED_JOURNAL_PATHS) {
+    if (ownWriteSignatures.has(path)) continue;
+    const signature = await getFileSignature(app, path);
+    if (savedJournalSignatures[path] !== undefined && savedJournalSignatures[path] !== signature) continue;
+    ownWriteSignatures.set(path, signature);
+  }
 }
 
 async function ensureJsonFile(app, path, fallbackObj) {
@@ -44,23 +81,122 @@ async function ensureJsonFile(app, path, fallbackObj) {
 
 async function writeJson(app, path, obj) {
   await app.vault.adapter.write(path, JSON.stringify(obj, null, 2));
+  if (path === DATA_PATH) {
+    lastWrittenData = { state: obj.state, settings: obj.settings };
+    await recordOwnWrite(app, path);
+  }
+}
+
+/**
+ * 同步/多设备合并所需的本进程写入记录：
+ * - ownWriteSignatures：本进程最近一次写入各文件后的 mtime/size，用于区分自身写入与外部修改；
+ * - lastWrittenData：本进程最近写入 data.json 的 state/settings，外部覆盖时按 updatedAt 做最后写入者胜出；
+ * - pendingLocalEntries / pendingLocalRests：本机追加、尚未出现在外部版本中的会话日志行（新增/修改/删除）
+ *   与休息记录（id -> { entry, at }），外部版本缺失时补回。
+ * 两个日志文件的写入签名与待同步行保存在本机 localStorage（不随库同步），另一端同步到之前重启 Obsidian 也不会丢失。
+ */
+const ownWriteSignatures = new Map();
+let lastWrittenData = null;
+const pendingLocalEntries = new Map();
+const pendingLocalRests = new Map();
+/** 上次关闭前保存的日志写入签名；null 表示尚未从 localStorage 读取 */
+let savedJournalSignatures = null;
+
+/** 按行追加、需与其他设备按 id 合并的文件 */
+const SYNCED_JOURNAL_PATHS = [SESSIONS_JOURNAL_PATH, RESTS_JOURNAL_PATH];
+/** 待同步行最多保留 30 天，一直没有同步时不会无限增长 */
+const PENDING_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+async function getFileSignature(app, path) {
+  const stat = await app.vault.adapter.stat(path);
+  return stat ? `${stat.mtime}:${stat.size}` : null;
+}
+
+async function recordOwnWrite(app, path) {
+  ownWriteSignatures.set(path, await getFileSignature(app, path));
+  if (SYNCED_JOURNAL_PATHS.includes(path)) savePendingSync(app);
+}
+
+function getPendingSyncKey(app) {
+  return `focus-timer-pending-sync:${app.vault.getName()}`;
+}
+
+/** 首次调用时读取上次保存的待同步行（并入内存）与日志写入签名 */
+function loadPendingSync(app) {
+  if (savedJournalSignatures) return;
+  savedJournalSignatures = {};
+  let saved = null;
+  try {
+    saved = JSON.parse(window.localStorage.getItem(getPendingSyncKey(app)) || "null");
+  } catch (error) {
+    console.error("[Focus Timer] Failed to load pending sync entries:", error);
+  }
+  if (!saved || typeof saved !== "object") return;
+  const restore = (list, target) => {
+    (Array.isArray(list) ? list : []).forEach((item) => {
+      if (item && item.entry && item.entry.id != null && !target.has(item.entry.id)) {
+        target.set(item.entry.id, { entry: item.entry, at: item.at });
+      }
+    });
+  };
+  restore(saved.sessions, pendingLocalEntries);
+  restore(saved.rests, pendingLocalRests);
+  if (saved.signatures && typeof saved.signatures === "object") savedJournalSignatures = saved.signatures;
+}
+
+function savePendingSync(app) {
+  loadPendingSync(app);
+  const cutoff = Date.now() - PENDING_MAX_AGE_MS;
+  for (const pending of [pendingLocalEntries, pendingLocalRests]) {
+    for (const [id, item] of pending) {
+      if (!(item.at > cutoff)) pending.delete(id);
+    }
+  }
+  const signatures = {};
+  // 尚未合并的文件保留上次保存的签名，合并前再次重启仍会检查
+  SYNCED_JOURNAL_PATHS.forEach((path) => {
+    signatures[path] = ownWriteSignatures.has(path) ? ownWriteSignatures.get(path) : savedJournalSignatures[path];
+  });
+  try {
+    window.localStorage.setItem(getPendingSyncKey(app), JSON.stringify({
+      signatures,
+      sessions: [...pendingLocalEntries.values()],
+      rests: [...pendingLocalRests.values()]
+    }));
+  } catch (error) {
+    console.error("[Focus Timer] Failed to save pending sync entries:", error);
+  }
 }
 
+/** 会话状态：skipped 为流程中跳过的专注步骤，不计入统计 */
+const SESSION_STATUSES = ["completed", "abandoned", "skipped"];
+
 function stripBom(raw) {
   return raw.trim().replace(/^\uFEFF/, "");
 }
 
+/** 返回会话不合法的原因代码，合法时返回 null */
+function getInvalidSessionReason(session) {
+  if (!session || typeof session !== "object") return "notObject";
+  if (session.id == null) return "missingId";
+  if (typeof session.start !== "string" || !session.start) return "missingStart";
+  if (!SESSION_STATUSES.includes(session.status)) return "invalidStatus";
+  return null;
+}
+
 function isValidSession(session) {
-  if (!session || typeof session !== "object") return false;
-  if (session.id == null) return false;
-  if (typeof session.start !== "string" || !session.start) return false;
-  if (typeof session.status !== "string") return false;
-  return session.status === "completed" || session.status === "abandoned";
+  return getInvalidSessionReason(session) === null;
+}
+
+/** 读取文件记录的格式版本；没有 schemaVersion 字段的旧文件视为版本 0 */
+function getSchemaVersion(data) {
+  return data && Number.isInteger(data.schemaVersion) && data.schemaVersion > 0 ? data.schemaVersion : 0;
 }
 
 function normalizeDataFile(data) {
   const template = getDefaultDataTemplate();
   const normalized = {
+    schemaVersion: getSchemaVersion(data),
     state:
       data && data.state && typeof data.state === "object"
         ? { ...template.state, ...data.state }
@@ -250,6 +386,547 @@ function salvageDataFile(raw) {
   return null;
 }
 
+/** 会话日志解析缓存：文件 mtime/size 未变时直接复用，避免每次渲染都重新解析 */
+let journalCache = null; // { mtime, size, sessions, deletedIds, lineCount, badLines, endsWithNewline }
+
+/** 休息日志解析缓存：同上，追加时据此去重与判断是否需先补换行，不再整份读取 */
+let restJournalCache = null; // { mtime, size, rests, endsWithNewline }
+
+function serializeJournalLine(session) {
+  return JSON.stringify(session) + "\n";
+}
+
+/** 删除标记行：{ id, deleted: true }，表示该 id 的会话已被删除 */
+function isSessionTombstone(entry) {
+  return !!entry && typeof entry === "object" && entry.id != null && entry.deleted === true;
+}
+
+/**
+ * 逐行解析 sessions.jsonl：每行一条会话，同一 id 以后出现的为准；删除标记行移除此前的同 id 会话。
+ * 损坏或不合法的行跳过并计数，不影响其余记录。
+ */
+function salvageSessionJournal(raw) {
+  const byId = new Map();
+  const deleted = new Set();
+  let lineCount = 0;
+  let badLines = 0;
+
+  for (const line of stripBom(raw || "").split(/\r?\n/)) {
+    const text = line.trim();
+    if (!text) continue;
+    lineCount++;
+    const parsed = tryParseJson(text);
+    if (parsed.ok && isSessionTombstone(parsed.data)) {
+      byId.delete(parsed.data.id);
+      deleted.add(parsed.data.id);
+      continue;
+    }
+    if (!parsed.ok || !isValidSession(parsed.data)) {
+      badLines++;
+      continue;
+    }
+    byId.set(parsed.data.id, parsed.data);
+    deleted.delete(parsed.data.id);
+  }
+
+  return { sessions: [...byId.values()], deletedIds: [...deleted], lineCount, badLines };
+}
+
+/** 按 id 合并两组会话，overrides 中的同 id 会话覆盖 base */
+function mergeSessionsById(base, overrides) {
+  const byId = new Map();
+  for (const session of base) byId.set(session.id, session);
+  for (const session of overrides) byId.set(session.id, session);
+  return [...byId.values()];
+}
+
+async function setJournalCache(app, parsed) {
+  const stat = await app.vault.adapter.stat(SESSIONS_JOURNAL_PATH);
+  journalCache = stat
+    ? { mtime: stat.mtime, size: stat.size, ...parsed }
+    : null;
+  ownWriteSignatures.set(SESSIONS_JOURNAL_PATH, stat ? `${stat.mtime}:${stat.size}` : null);
+  savePendingSync(app);
+}
+
+async function loadSessionJournal(app) {
+  const adapter = app.vault.adapter;
+  if (!(await adapter.exists(SESSIONS_JOURNAL_PATH))) {
+    journalCache = null;
+    return { sessions: [], deletedIds: [], lineCount: 0, badLines: 0 };
+  }
+
+  const stat = await adapter.stat(SESSIONS_JOURNAL_PATH);
+  if (journalCache && stat && journalCache.mtime === stat.mtime && journalCache.size === stat.size) {
+    return journalCache;
+  }
+
+  let raw;
+  try {
+    raw = await adapter.read(SESSIONS_JOURNAL_PATH);
+  } catch (error) {
+    throw new DataFileCorruptError("无法读取 sessions.jsonl", error);
+  }
+  // 记录文件是否以换行结尾（崩溃可能截断最后一行），追加时据此先补换行
+  const parsed = { ...salvageSessionJournal(raw), endsWithNewline: raw === "" || raw.endsWith("\n") };
+  journalCache = stat ? { mtime: stat.mtime, size: stat.size, ...parsed } : null;
+  return parsed;
+}
+
+/**
+ * 整体重写日志（需在锁内调用）。
+ * deletedIds 为需保留的删除标记，避免其他设备尚未同步的旧版本日志把已删除的会话带回来。
+ */
+async function writeSessionJournal(app, sessions, deletedIds = []) {
+  const lines = [
+    ...sessions.map(serializeJournalLine),
+    ...deletedIds.map((id) => serializeJournalLine({ id, deleted: true }))
+  ];
+  await app.vault.adapter.write(SESSIONS_JOURNAL_PATH, lines.join(""));
+  await setJournalCache(app, {
+    sessions: [...sessions],
+    deletedIds: [...deletedIds],
+    lineCount: lines.length,
+    badLines: 0,
+    endsWithNewline: true
+  });
+  // 整体重写后，与新内容不一致的待同步行已无意义（如恢复备份后旧的删除标记）
+  const byId = new Map(sessions.map((session) => [session.id, session]));
+  for (const [id, { entry }] of pendingLocalEntries) {
+    if (isSessionTombstone(entry) ? byId.has(id) : JSON.stringify(byId.get(id)) !== JSON.stringify(entry)) {
+      pendingLocalEntries.delete(id);
+    }
+  }
+  savePendingSync(app);
+}
+
+/**
+ * 在按行记录的文件末尾追加一行，文件不存在时创建。
+ * endsWithNewline 为 false（如崩溃截断了最后一行）时先补换行，避免新行与残行粘在一起也无法解析。
+ */
+async function appendLine(app, path, line, endsWithNewline) {
+  const adapter = app.vault.adapter;
+  if (await adapter.exists(path)) {
+    await adapter.append(path, endsWithNewline === false ? `\n${line}` : line);
+  } else {
+    await adapter.write(path, line);
+  }
+}
+
+/** 在日志末尾追加一行（会话或删除标记）并更新缓存（需在锁内调用）；写入失败时丢弃缓存，下次重新读取 */
+async function appendJournalEntry(app, journal, entry) {
+  try {
+    await appendLine(app, SESSIONS_JOURNAL_PATH, serializeJournalLine(entry), journal.endsWithNewline);
+  } catch (error) {
+    journalCache = null;
+    throw error;
+  }
+
+  const others = journal.sessions.filter((session) => session.id !== entry.id);
+  const deletedIds = journal.deletedIds.filter((id) => id !== entry.id);
+  await setJournalCache(app, {
+    sessions: isSessionTombstone(entry) ? others : [...others, entry],
+    deletedIds: isSessionTombstone(entry) ? [...deletedIds, entry.id] : deletedIds,
+    lineCount: journal.lineCount + 1,
+    badLines: journal.badLines,
+    endsWithNewline: true
+  });
+  pendingLocalEntries.set(entry.id, { entry, at: Date.now() });
+  savePendingSync(app);
+}
+
+/** 休息记录需有 id 与开始、结束时间 */
+function isValidRest(rest) {
+  return !!rest && typeof rest === "object" && rest.id != null
+    && typeof rest.start === "string" && !!rest.start
+    && typeof rest.end === "string" && !!rest.end;
+}
+
+/** 逐行解析 rests.jsonl：同一 id 以后出现的为准（同步冲突可能产生重复行），损坏行跳过 */
+function parseRestJournal(raw) {
+  const byId = new Map();
+  for (const line of stripBom(raw || "").split(/\r?\n/)) {
+    const text = line.trim();
+    if (!text) continue;
+    const parsed = tryParseJson(text);
+    if (parsed.ok && isValidRest(parsed.data)) {
+      byId.set(parsed.data.id, parsed.data);
+    }
+  }
+  return [...byId.values()];
+}
+
+async function setRestJournalCache(app, parsed) {
+  const stat = await app.vault.adapter.stat(RESTS_JOURNAL_PATH);
+  restJournalCache = stat ? { mtime: stat.mtime, size: stat.size, ...parsed } : null;
+}
+
+/** 解析休息日志，返回 { rests, endsWithNewline }；文件未变时使用缓存 */
+async function loadRestJournalState(app) {
+  const adapter = app.vault.adapter;
+  if (!(await adapter.exists(RESTS_JOURNAL_PATH))) {
+    restJournalCache = null;
+    return { rests: [], endsWithNewline: true };
+  }
+
+  const stat = await adapter.stat(RESTS_JOURNAL_PATH);
+  if (restJournalCache && stat && restJournalCache.mtime === stat.mtime && restJournalCache.size === stat.size) {
+    return restJournalCache;
+  }
+
+  const raw = await adapter.read(RESTS_JOURNAL_PATH);
+  const parsed = { rests: parseRestJournal(raw), endsWithNewline: raw === "" || raw.endsWith("\n") };
+  restJournalCache = stat ? { mtime: stat.mtime, size: stat.size, ...parsed } : null;
+  return parsed;
+}
+
+async function loadRestJournal(app) {
+  return (await loadRestJournalState(app)).rests;
+}
+
+/** 读取休息记录，可传 { from, to }（Date 或 ISO 字符串）按开始时间筛选 */
+async function readRests(app, { from = null, to = null } = {}) {
+  const fromTime = toTime(from);
+  const toTimeValue = toTime(to);
+  return (await loadRestJournal(app)).filter((rest) => {
+    const start = new Date(rest.start).getTime();
+    if (fromTime !== null && start < fromTime) return false;
+    if (toTimeValue !== null && start > toTimeValue) return false;
+    return true;
+  });
+}
+
+/** 在 rests.jsonl 末尾追加一行并记为待同步（需在锁内调用）；写入失败时丢弃缓存，下次重新读取 */
+async function appendRestLine(app, rest) {
+  const journal = await loadRestJournalState(app);
+  try {
+    await appendLine(app, RESTS_JOURNAL_PATH, serializeJournalLine(rest), journal.endsWithNewline);
+  } catch (error) {
+    restJournalCache = null;
+    throw error;
+  }
+  await setRestJournalCache(app, { rests: [...journal.rests, rest], endsWithNewline: true });
+  pendingLocalRests.set(rest.id, { entry: rest, at: Date.now() });
+  await recordOwnWrite(app, RESTS_JOURNAL_PATH);
+}
+
+/** 追加一条休息记录（同 id 已存在时跳过） */
+async function appendRest(app, rest) {
+  if (!isValidRest(rest)) {
+    throw new Error("休息记录不合法，未保存");
+  }
+  await ensureDataFileExists(app);
+  await dataFileLock.runWithLock(async () => {
+    const rests = await loadRestJournal(app);
+    if (rests.some((item) => item.id === rest.id)) return;
+    await appendRestLine(app, rest);
+  });
+}
+
+/** 归档文件解析缓存：path -> { mtime, size, sessions } */
+const archiveCache = new Map();
+
+/** 列出已存在的归档年份（升序） */
+async function listArchiveYears(app) {
+  let listing;
+  try {
+    listing = await app.vault.adapter.list(DATA_DIR);
+  } catch {
+    return [];
+  }
+  const years = [];
+  for (const path of listing.files || []) {
+    const match = path.split("/").pop().match(ARCHIVE_FILE_PATTERN);
+    if (match) years.push(Number(match[1]));
+  }
+  return years.sort((a, b) => a - b);
+}
+
+/** 解析归档文件；整体损坏时按会话逐条抢救 */
+function parseArchive(raw) {
+  const parsed = tryParseJson(stripBom(raw));
+  if (parsed.ok && parsed.data && Array.isArray(parsed.data.sessions)) {
+    return parsed.data.sessions.filter(isValidSession);
+  }
+  return extractSessionsFromRaw(stripBom(raw));
+}
+
+async function loadArchive(app, year) {
+  const path = getArchivePath(year);
+  const stat = await app.vault.adapter.stat(path);
+  if (!stat) return [];
+  const cached = archiveCache.get(path);
+  if (cached && cached.mtime === stat.mtime && cached.size === stat.size) {
+    return cached.sessions;
+  }
+
+  let raw;
+  try {
+    raw = await app.vault.adapter.read(path);
+  } catch (error) {
+    throw new DataFileCorruptError(`无法读取 ${path}`, error);
+  }
+  const sessions = parseArchive(raw);
+  archiveCache.set(path, { mtime: stat.mtime, size: stat.size, sessions });
+  return sessions;
+}
+
+/** 写入某年的归档文件（需在锁内调用） */
+async function writeArchive(app, year, sessions) {
+  const path = getArchivePath(year);
+  const sorted = [...sessions].sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+  await app.vault.adapter.write(path, JSON.stringify({ year, sessions: sorted }, null, 2));
+  const stat = await app.vault.adapter.stat(path);
+  if (stat) {
+    archiveCache.set(path, { mtime: stat.mtime, size: stat.size, sessions: sorted });
+  }
+}
+
+/** 删除全部归档文件（整体替换会话历史时使用，需在锁内调用） */
+async function removeArchives(app) {
+  for (const year of await listArchiveYears(app)) {
+    const path = getArchivePath(year);
+    await app.vault.adapter.remove(path);
+    archiveCache.delete(path);
+  }
+}
+
+function toTime(value) {
+  if (value == null) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * 合并日志与归档中的会话：只加载年份与 { from, to } 有交集的归档，日志中的同 id 会话与删除标记优先。
+ * 未指定范围时加载全部归档。
+ */
+async function loadAllSessions(app, { from = null, to = null } = {}) {
+  const journal = await loadSessionJournal(app);
+  const fromTime = toTime(from);
+  const toTimeValue = toTime(to);
+  const fromYear = fromTime === null ? null : new Date(fromTime).getFullYear();
+  const toYear = toTimeValue === null ? null : new Date(toTimeValue).getFullYear();
+
+  const years = (await listArchiveYears(app)).filter((year) =>
+    (fromYear === null || year >= fromYear) && (toYear === null || year <= toYear)
+  );
+  if (years.length === 0) return journal.sessions.slice();
+
+  const deleted = new Set(journal.deletedIds);
+  const archived = [];
+  for (const year of years) {
+    for (const session of await loadArchive(app, year)) {
+      if (!deleted.has(session.id)) archived.push(session);
+    }
+  }
+  return mergeSessionsById(archived, journal.sessions);
+}
+
+/**
+ * 把开始时间早于 olderThanDays 天前的会话从日志移入按年归档文件。
+ * 先写归档再重写日志：中途失败时两边暂时重复，读取时按 id 合并不影响结果。
+ * 日志中的删除标记会同时从归档中移除对应会话。返回归档的会话数。
+ */
+async function archiveOldSessions(app, { olderThanDays }) {
+  return dataFileLock.runWithLock(async () => {
+    const journal = await loadSessionJournal(app);
+    const cutoff = new Date();
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setDate(cutoff.getDate() - olderThanDays);
+
+    const byYear = new Map();
+    const remaining = [];
+    for (const session of journal.sessions) {
+      const start = new Date(session.start);
+      if (!isNaN(start.getTime()) && start < cutoff) {
+        const year = start.getFullYear();
+        if (!byYear.has(year)) byYear.set(year, []);
+        byYear.get(year).push(session);
+      } else {
+        remaining.push(session);
+      }
+    }
+
+    const deleted = new Set(journal.deletedIds);
+    // 修改过开始时间的会话可能换了年份：从其他年份的归档中移除旧版本
+    const incomingYear = new Map();
+    for (const [year, sessions] of byYear) {
+      for (const session of sessions) incomingYear.set(session.id, year);
+    }
+    const existingYears = await listArchiveYears(app);
+    const years = new Set([...existingYears, ...byYear.keys()]);
+    for (const year of years) {
+      const existing = await loadArchive(app, year);
+      const kept = existing.filter((session) =>
+        !deleted.has(session.id) && (!incomingYear.has(session.id) || incomingYear.get(session.id) === year)
+      );
+      const incoming = byYear.get(year) || [];
+      if (incoming.length === 0 && kept.length === existing.length) continue;
+      const merged = mergeSessionsById(kept, incoming);
+      if (merged.length === 0) {
+        await app.vault.adapter.remove(getArchivePath(year));
+        archiveCache.delete(getArchivePath(year));
+      } else {
+        await writeArchive(app, year, merged);
+      }
+    }
+
+    const archivedCount = journal.sessions.length - remaining.length;
+    if (archivedCount > 0) {
+      await writeSessionJournal(app, remaining, journal.deletedIds);
+    }
+    return archivedCount;
+  });
+}
+
+/**
+ * data.json 格式迁移步骤，按 version 升序执行；每步接收上一版本的数据（首次安装时为 null），返回新数据。
+ * 新增字段或调整结构时在末尾追加一步，并同步提升 core.js 中的 SCHEMA_VERSION。
+ */
+const DATA_MIGRATIONS = [
+  {
+    version: 1,
+    description: "从旧插件 id 目录导入 data.json",
+    async migrate(app, data) {
+      if (data) return data;
+      const adapter = app.vault.adapter;
+      if (await adapter.exists(LEGACY_DATA_PATH)) {
+        const salvaged = salvageDataFile(await adapter.read(LEGACY_DATA_PATH));
+        if (salvaged) return salvaged.data;
+      }
+      return { ...getDefaultDataTemplate(), schemaVersion: 0 };
+    }
+  },
+  {
+    version: 2,
+    description: "把内联在 data.json 中的 sessions 迁入 sessions.jsonl 日志",
+    async migrate(app, data) {
+      if (data.sessions.length === 0) return data;
+      const journal = await loadSessionJournal(app);
+      await writeSessionJournal(app, mergeSessionsById(data.sessions, journal.sessions));
+      return { ...data, sessions: [] };
+    }
+  }
+];
+
+/** 依次执行版本号高于文件当前版本的迁移步骤，全部成功后一次性写回（需在锁内调用）；返回是否执行了迁移 */
+async function runDataMigrations(app) {
+  let data = null;
+  if (await app.vault.adapter.exists(DATA_PATH)) {
+    const result = await loadDataFile(app, { allowDefault: true, repair: true });
+    if (result.unrecoverable) return false;
+    data = result.data;
+  }
+
+  const fromVersion = getSchemaVersion(data);
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new DataFileVersionError(fromVersion);
+  }
+
+  const pending = DATA_MIGRATIONS.filter((step) => step.version > fromVersion);
+  if (data && pending.length === 0) return false;
+  if (data) {
+    await backupDataFiles(app, "migration", { data });
+  }
+
+  for (const step of pending) {
+    data = await step.migrate(app, data);
+    data.schemaVersion = step.version;
+  }
+  await writeJson(app, DATA_PATH, data);
+  return true;
+}
+
+/**
+ * 压缩日志：冗余行（同 id 的旧版本）与损坏行累计达到阈值时，按当前会话整体重写。
+ * force 为 true 时只要存在冗余就重写。
+ */
+async function compactSessionJournal(app, { force = false } = {}) {
+  return dataFileLock.runWithLock(async () => {
+    const journal = await loadSessionJournal(app);
+    const redundant = journal.lineCount - journal.sessions.length - journal.deletedIds.length;
+    if (redundant === 0 || (!force && redundant < JOURNAL_COMPACT_THRESHOLD)) return false;
+    // 有损坏行时压缩会丢弃它们，先保留原始日志
+    if (journal.badLines > 0) {
+      const journalRaw = await app.vault.adapter.read(SESSIONS_JOURNAL_PATH);
+      await backupDataFiles(app, "repair", { corruptJournalRaw: journalRaw });
+    }
+    await writeSessionJournal(app, journal.sessions, journal.deletedIds);
+    return true;
+  });
+}
+
+/**
+ * 把当前 data.json + 会话日志合并成一份快照写入备份目录（需在锁内调用）。
+ * extra.data 可直接传入已解析的 data.json，避免在修复流程中重复解析损坏文件。
+ */
+async function backupDataFiles(app, reason, { data = null, ...extra } = {}) {
+  const source = data || (await loadDataFile(app, { allowDefault: true, repair: false })).data;
+  const sessions = await loadAllSessions(app);
+  return writeBackup(app, reason, {
+    schemaVersion: SCHEMA_VERSION,
+    state: source.state,
+    settings: source.settings,
+    sessions: mergeSessionsById(source.sessions || [], sessions),
+    rests: await loadRestJournal(app),
+    ...extra
+  });
+}
+
+/** 修复写回前先备份原始文本；备份失败时放弃本次写回，保留原文件 */
+async function writeRepairedDataFile(app, repaired, raw) {
+  try {
+    await backupDataFiles(app, "repair", { data: repaired, corruptDataRaw: raw });
+  } catch (error) {
+    console.error("[Focus Timer] Backup before repair failed, skip repair:", error);
+    return;
+  }
+  await writeJson(app, DATA_PATH, repaired);
+}
+
+async function createBackup(app, reason = "manual") {
+  return dataFileLock.runWithLock(() => backupDataFiles(app, reason));
+}
+
+/** 距最近一次备份超过一天时自动备份 */
+async function ensureDailyBackup(app) {
+  if (!(await isDailyBackupDue(app))) return null;
+  return createBackup(app, "daily");
+}
+
+/**
+ * 从备份恢复会话与设置（保留当前计时状态，避免恢复出过期的进行中计时）。
+ * 恢复前会先备份当前数据。
+ */
+async function restoreBackup(app, name) {
+  const content = await readBackup(app, name);
+  const backupVersion = getSchemaVersion(content);
+  if (backupVersion > SCHEMA_VERSION) {
+    throw new DataFileVersionError(backupVersion);
+  }
+  const restored = normalizeDataFile(content);
+
+  await dataFileLock.runWithLock(async () => {
+    const data = await readDataFileForWrite(app);
+    await backupDataFiles(app, "before-restore", { data });
+    // 备份包含全部会话（含归档），恢复后统一写入日志，之后由定期归档重新拆分
+    await writeSessionJournal(app, restored.sessions);
+    await removeArchives(app);
+    // 较早的备份没有休息记录，此时保留现有记录
+    if (Array.isArray(content.rests)) {
+      const rests = content.rests.filter(isValidRest);
+      await app.vault.adapter.write(RESTS_JOURNAL_PATH, rests.map(serializeJournalLine).join(""));
+      await setRestJournalCache(app, { rests, endsWithNewline: true });
+      // 恢复后以备份为准，不再补回本机尚未同步的休息记录
+      pendingLocalRests.clear();
+      await recordOwnWrite(app, RESTS_JOURNAL_PATH);
+    }
+    await writeJson(app, DATA_PATH, { ...data, schemaVersion: SCHEMA_VERSION, settings: restored.settings, sessions: [] });
+  });
+  return restored;
+}
+
 async function loadDataFile(app, { allowDefault = true, repair = false } = {}) {
   const exists = await app.vault.adapter.exists(DATA_PATH);
   if (!exists) {
@@ -276,8 +953,8 @@ async function loadDataFile(app, { allowDefault = true, repair = false } = {}) {
     const originalCount = Array.isArray(direct.data.sessions) ? direct.data.sessions.length : 0;
     const salvaged = originalCount !== normalized.sessions.length;
 
-    if (repair && salvaged) {
-      await writeJson(app, DATA_PATH, normalized);
+    if (repair && salvaged && normalized.schemaVersion <= SCHEMA_VERSION) {
+      await writeRepairedDataFile(app, normalized, raw);
     }
 
     return {
@@ -290,8 +967,8 @@ async function loadDataFile(app, { allowDefault = true, repair = false } = {}) {
 
   const salvageResult = salvageDataFile(raw);
   if (salvageResult) {
-    if (repair) {
-      await writeJson(app, DATA_PATH, salvageResult.data);
+    if (repair && salvageResult.data.schemaVersion <= SCHEMA_VERSION) {
+      await writeRepairedDataFile(app, salvageResult.data, raw);
     }
     return {
       data: salvageResult.data,
@@ -326,12 +1003,16 @@ async function readDataFileForWrite(app) {
   }
 
   const result = await loadDataFile(app, { allowDefault: false, repair: true });
+  if (result.data.schemaVersion > SCHEMA_VERSION) {
+    throw new DataFileVersionError(result.data.schemaVersion);
+  }
   return result.data;
 }
 
 async function writeDataFile(app, data) {
   await dataFileLock.runWithLock(async () => {
-    await writeJson(app, DATA_PATH, data);
+    await readDataFileForWrite(app);
+    await writeJson(app, DATA_PATH, { ...data, schemaVersion: SCHEMA_VERSION });
   });
 }
 
@@ -343,21 +1024,31 @@ async function readState(app) {
 async function writeState(app, state) {
   await dataFileLock.runWithLock(async () => {
     const data = await readDataFileForWrite(app);
-    data.state = { ...data.state, ...state };
+    data.state = { ...data.state, ...state, updatedAt: nowISO() };
     await writeJson(app, DATA_PATH, data);
   });
 }
 
-async function readSessions(app) {
-  const data = await readDataFile(app);
-  return Array.isArray(data.sessions) ? data.sessions : [];
+/**
+ * 读取会话。可传 { from, to }（Date 或 ISO 字符串）只加载覆盖该时间范围的归档；
+ * 日志中的近期会话总是全部返回，调用方仍需按日期自行筛选。
+ */
+async function readSessions(app, range = {}) {
+  return loadAllSessions(app, range);
 }
 
+/** 整体替换全部会话历史（含归档文件） */
 async function writeSessions(app, sessions) {
   await dataFileLock.runWithLock(async () => {
-    const data = await readDataFileForWrite(app);
-    data.sessions = sessions;
-    await writeJson(app, DATA_PATH, data);
+    const next = sessions.filter(isValidSession);
+    const current = await loadAllSessions(app);
+    const nextIds = new Set(next.map((session) => session.id));
+    // 批量删除（新列表缺少已有会话）前先备份
+    if (current.some((session) => !nextIds.has(session.id))) {
+      await backupDataFiles(app, "bulk-delete");
+    }
+    await writeSessionJournal(app, next);
+    await removeArchives(app);
   });
 }
 
@@ -369,28 +1060,256 @@ async function readSettings(app) {
 async function writeSettings(app, settings) {
   await dataFileLock.runWithLock(async () => {
     const data = await readDataFileForWrite(app);
-    data.settings = { ...data.settings, ...settings };
+    data.settings = { ...data.settings, ...settings, updatedAt: nowISO() };
     await writeJson(app, DATA_PATH, data);
   });
 }
 
+/** 追加一条会话：只在日志末尾写入一行，不重写已有记录 */
 async function appendSession(app, session) {
   await ensureDataFileExists(app);
   await dataFileLock.runWithLock(async () => {
-    const data = await readDataFileForWrite(app);
-    const sessions = Array.isArray(data.sessions) ? data.sessions : [];
+    const journal = await loadSessionJournal(app);
     if (session && session.id != null) {
-      const exists = sessions.some((item) => item && item.id === session.id);
+      const exists = journal.sessions.some((item) => item && item.id === session.id);
       if (exists) return;
     }
-    sessions.push(session);
-    data.sessions = sessions;
-    await writeJson(app, DATA_PATH, data);
+    await appendJournalEntry(app, journal, session);
+  });
+}
+
+/**
+ * 修改一条会话：合并 changes 后追加同 id 的新版本行（读取时以后出现的为准）。
+ * 会话不存在时返回 null；合并结果不合法时抛出错误且不写入。
+ */
+async function updateSession(app, id, changes) {
+  await ensureDataFileExists(app);
+  return dataFileLock.runWithLock(async () => {
+    const journal = await loadSessionJournal(app);
+    // 已归档的会话：修改后的版本写入日志，读取时覆盖归档中的旧版本
+    const current = journal.sessions.find((session) => session.id === id)
+      || (await loadAllSessions(app)).find((session) => session.id === id);
+    if (!current) return null;
+
+    const updated = { ...current, ...changes, id, updatedAt: nowISO() };
+    if (!isValidSession(updated)) {
+      throw new Error("会话数据不合法，未保存修改");
+    }
+    await appendJournalEntry(app, journal, updated);
+    return updated;
+  });
+}
+
+/** 删除一条会话：追加删除标记行；会话不存在时返回 false */
+async function deleteSession(app, id) {
+  await ensureDataFileExists(app);
+  return dataFileLock.runWithLock(async () => {
+    const journal = await loadSessionJournal(app);
+    const exists = journal.sessions.some((session) => session.id === id)
+      || (await loadAllSessions(app)).some((session) => session.id === id);
+    if (!exists) return false;
+    await appendJournalEntry(app, journal, { id, deleted: true });
+    return true;
+  });
+}
+
+/** 读取各数据文件原文（不修复、不使用缓存），供完整性检查使用 */
+async function readDataSources(app) {
+  const adapter = app.vault.adapter;
+  const readIfExists = async (path) => ((await adapter.exists(path)) ? adapter.read(path) : null);
+  const archives = [];
+  for (const year of await listArchiveYears(app)) {
+    archives.push({ year, raw: await readIfExists(getArchivePath(year)) });
+  }
+  return {
+    dataRaw: await readIfExists(DATA_PATH),
+    journalRaw: await readIfExists(SESSIONS_JOURNAL_PATH),
+    archives
+  };
+}
+
+/**
+ * 执行完整性检查生成的修复操作（见 integrity.js 的 planIntegrityRepairs），执行前先备份。
+ * 单条会话的修改/删除以日志行写入，归档中的会话同样适用。
+ */
+async function applyIntegrityRepairs(app, ops) {
+  await dataFileLock.runWithLock(async () => {
+    await backupDataFiles(app, "repair");
+
+    for (const op of ops) {
+      if (op.type === "dropInvalid") {
+        // data.json 损坏或含不合法内联会话：按常规修复流程抢救并写回
+        if (op.sources.includes("data.json")) {
+          await loadDataFile(app, { allowDefault: false, repair: true });
+        }
+        if (op.sources.includes("sessions.jsonl")) {
+          const journal = await loadSessionJournal(app);
+          await writeSessionJournal(app, journal.sessions, journal.deletedIds);
+        }
+        for (const year of await listArchiveYears(app)) {
+          if (op.sources.includes(`sessions-${year}.json`)) {
+            await writeArchive(app, year, await loadArchive(app, year));
+          }
+        }
+      } else if (op.type === "dedupeSessions") {
+        // 日志中有的会话以日志为准（与读取一致），从归档移除；只在归档中的保留其开始时间所属年份的一份（找不到则保留第一次出现）
+        const journal = await loadSessionJournal(app);
+        const journalIds = new Set(journal.sessions.map((session) => session.id));
+        const years = await listArchiveYears(app);
+        const owner = new Map();
+        for (const year of years) {
+          for (const session of await loadArchive(app, year)) {
+            const startYear = new Date(session.start).getFullYear();
+            if (!owner.has(session.id) || startYear === year) owner.set(session.id, year);
+          }
+        }
+        for (const year of years) {
+          const existing = await loadArchive(app, year);
+          const seen = new Set();
+          const kept = existing.filter((session) => {
+            if (journalIds.has(session.id) || owner.get(session.id) !== year || seen.has(session.id)) return false;
+            seen.add(session.id);
+            return true;
+          });
+          if (kept.length !== existing.length) {
+            await writeArchive(app, year, kept);
+          }
+        }
+        // data.json 中残留的内联会话：日志或归档已有同 id 的移除
+        const data = await readDataFileForWrite(app);
+        const inline = Array.isArray(data.sessions) ? data.sessions : [];
+        const remainingInline = inline.filter((session) => !journalIds.has(session.id) && !owner.has(session.id));
+        if (remainingInline.length !== inline.length) {
+          await writeJson(app, DATA_PATH, { ...data, sessions: remainingInline });
+        }
+      } else if (op.type === "resetState") {
+        const data = await readDataFileForWrite(app);
+        data.state = { active: false, resting: false, updatedAt: nowISO() };
+        await writeJson(app, DATA_PATH, data);
+      } else if (op.type === "update" || op.type === "delete") {
+        const current = (await loadAllSessions(app)).find((session) => session.id === op.id);
+        if (!current) continue;
+        const journal = await loadSessionJournal(app);
+        const entry = op.type === "delete"
+          ? { id: op.id, deleted: true }
+          : { ...current, ...op.changes, id: op.id, updatedAt: nowISO() };
+        await appendJournalEntry(app, journal, entry);
+      }
+    }
+  });
+}
+
+/** 比较两份 state/settings 的 updatedAt：>0 表示 a 更新，<0 表示 b 更新，0 表示无法区分 */
+function compareUpdatedAt(a, b) {
+  const ta = a && a.updatedAt ? new Date(a.updatedAt).getTime() : NaN;
+  const tb = b && b.updatedAt ? new Date(b.updatedAt).getTime() : NaN;
+  if (Number.isFinite(ta) && Number.isFinite(tb)) return ta - tb;
+  if (Number.isFinite(ta)) return 1;
+  if (Number.isFinite(tb)) return -1;
+  return 0;
+}
+
+/**
+ * 处理外部（同步工具、其他设备）对 data.json / sessions.jsonl / rests.jsonl 的修改，而不是直接覆盖：
+ * - 会话与休息记录按 id 合并：外部版本缺失的本机新记录重新追加；
+ * - state / settings 按 updatedAt 最后写入者胜出：本机更新则写回，外部更新则采用外部版本。
+ * 返回哪些部分发生了变化，供插件刷新计时器、设置与视图。
+ */
+async function reconcileExternalChanges(app) {
+  return dataFileLock.runWithLock(async () => {
+    const result = { sessionsChanged: false, restsChanged: false, stateChanged: false, settingsChanged: false };
+    const adapter = app.vault.adapter;
+
+    const dataSignature = await getFileSignature(app, DATA_PATH);
+    if (dataSignature && dataSignature !== ownWriteSignatures.get(DATA_PATH)) {
+      const local = lastWrittenData;
+      // 旧版本插件写入的文件需先迁移（例如内联的 sessions 并入日志）
+      if (await runDataMigrations(app)) {
+        result.sessionsChanged = true;
+      }
+      const remote = (await loadDataFile(app, { allowDefault: false, repair: true })).data;
+      if (remote.schemaVersion > SCHEMA_VERSION) {
+        throw new DataFileVersionError(remote.schemaVersion);
+      }
+      const merged = { ...remote };
+      let keepLocal = false;
+
+      if (local && compareUpdatedAt(local.state, remote.state) > 0) {
+        merged.state = local.state;
+        keepLocal = true;
+      } else if (!local || JSON.stringify(local.state) !== JSON.stringify(remote.state)) {
+        result.stateChanged = true;
+      }
+
+      if (local && compareUpdatedAt(local.settings, remote.settings) > 0) {
+        merged.settings = local.settings;
+        keepLocal = true;
+      } else if (!local || JSON.stringify(local.settings) !== JSON.stringify(remote.settings)) {
+        result.settingsChanged = true;
+      }
+
+      if (keepLocal) {
+        await writeJson(app, DATA_PATH, merged);
+      } else {
+        lastWrittenData = { state: remote.state, settings: remote.settings };
+        await recordOwnWrite(app, DATA_PATH);
+      }
+    }
+
+    const journalSignature = await getFileSignature(app, SESSIONS_JOURNAL_PATH);
+    if (journalSignature !== ownWriteSignatures.get(SESSIONS_JOURNAL_PATH)) {
+      result.sessionsChanged = true;
+      const remote = await loadSessionJournal(app);
+      const remoteById = new Map(remote.sessions.map((session) => [session.id, session]));
+      const missing = [];
+      for (const [id, { entry }] of pendingLocalEntries) {
+        // 外部版本已包含本机这一行（相同内容或已删除），说明另一端已同步到
+        const synced = isSessionTombstone(entry)
+          ? !remoteById.has(id)
+          : remoteById.has(id) && JSON.stringify(remoteById.get(id)) === JSON.stringify(entry);
+        if (synced) {
+          pendingLocalEntries.delete(id);
+        } else {
+          missing.push(entry);
+        }
+      }
+
+      let journal = remote;
+      for (const entry of missing) {
+        await appendJournalEntry(app, journal, entry);
+        journal = journalCache || journal;
+      }
+      if (missing.length === 0) {
+        await recordOwnWrite(app, SESSIONS_JOURNAL_PATH);
+      }
+    }
+
+    // 休息记录只追加、不修改：外部版本已有同 id 即视为已同步
+    const restsSignature = await getFileSignature(app, RESTS_JOURNAL_PATH);
+    if (restsSignature !== ownWriteSignatures.get(RESTS_JOURNAL_PATH)) {
+      result.restsChanged = true;
+      const remoteIds = new Set((await loadRestJournal(app)).map((rest) => rest.id));
+      const missing = [];
+      for (const [id, { entry }] of pendingLocalRests) {
+        if (remoteIds.has(id)) {
+          pendingLocalRests.delete(id);
+        } else {
+          missing.push(entry);
+        }
+      }
+      for (const rest of missing) {
+        await appendRestLine(app, rest);
+      }
+      await recordOwnWrite(app, RESTS_JOURNAL_PATH);
+    }
+
+    return result;
   });
 }
 
 module.exports = {
   DataFileCorruptError,
+  DataFileVersionError,
   ensureDataFileExists,
   readDataFile,
   writeDataFile,
@@ -401,8 +1320,24 @@ module.exports = {
   readSettings,
   writeSettings,
   appendSession,
+  updateSession,
+  deleteSession,
+  readRests,
+  appendRest,
+  compactSessionJournal,
+  archiveOldSessions,
+  reconcileExternalChanges,
+  readDataSources,
+  applyIntegrityRepairs,
+  getInvalidSessionReason,
+  createBackup,
+  ensureDailyBackup,
+  restoreBackup,
   // exported for testing
+  DATA_MIGRATIONS,
+  getSchemaVersion,
   isValidSession,
   normalizeDataFile,
-  salvageDataFile
+  salvageDataFile,
+  salvageSessionJournal
 };
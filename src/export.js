@@ -0,0 +1,233 @@
+const { normalizePath } = require("obsidian");
+const { t } = require("./i18n.js");
+const { SCHEMA_VERSION } = require("./core.js");
+const { nowISO } = require("./constants.js");
+const { getDateKey, formatTimeShort, formatSessionStatus } = require("./format.js");
+
+/** 各导出格式的扩展名与 MIME 类型 */
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", mime: "text/csv;charset=utf-8;" },
+  json: { extension: "json", mime: "application/json;charset=utf-8;" },
+  markdown: { extension: "md", mime: "text/markdown;charset=utf-8;" },
+  ics: { extension: "ics", mime: "text/calendar;charset=utf-8;" }
+};
+
+/** 按日期范围（本地日期 YYYY-MM-DD，含首尾）与任务名称（包含匹配，不区分大小写）筛选 */
+function filterSessionsForExport(sessions, { from = "", to = "", task = "" } = {}) {
+  const keyword = String(task || "").trim().toLowerCase();
+  return sessions.filter((session) => {
+    const dateKey = getDateKey(session.start);
+    if (from && dateKey < from) return false;
+    if (to && dateKey > to) return false;
+    if (keyword && !String(session.note || "").toLowerCase().includes(keyword)) return false;
+    return true;
+  });
+}
+
+// 转义CSV字段（处理逗号、引号、换行符）
+function escapeCSV(field) {
+  if (field === null || field === undefined) return "";
+  const str = String(field);
+  if (str.includes(",") || str.includes('"') || str.includes("\n")) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/** CSV：表头随界面语言，带 BOM 以便表格软件正确识别中文 */
+function buildCSVExport(sessions) {
+  const csvRows = [t("csvHeaders").join(",")];
+  sessions.forEach(session => {
+    const plannedMinutes = session.plannedSec ? Math.round(session.plannedSec / 60) : "";
+    // 0 秒的会话（刚开始就放弃）明确写 0，重新导入时不会被当作缺少时长
+    const actualSec = typeof session.actualSec === "number" ? session.actualSec : "";
+    const actualMinutes = actualSec === "" ? "" : Math.round(actualSec / 60);
+    const statusText = formatSessionStatus(session.status);
+    const row = [
+      escapeCSV(session.id),
+      escapeCSV(session.start),
+      escapeCSV(session.end || ""),
+      escapeCSV(session.plannedSec || ""),
+      escapeCSV(plannedMinutes),
+      escapeCSV(actualSec),
+      escapeCSV(actualMinutes),
+      escapeCSV(statusText),
+      escapeCSV(session.note || ""),
+      escapeCSV(session.createdAt)
+    ];
+    csvRows.push(row.join(","));
+  });
+  // 添加BOM以支持中文（UTF-8 with BOM）
+  return "\uFEFF" + csvRows.join("\n");
+}
+
+/** JSON：会话原样导出，保留全部字段 */
+function buildJSONExport(sessions) {
+  return JSON.stringify({
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: nowISO(),
+    sessions
+  }, null, 2);
+}
+
+function escapeMarkdownCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function formatClock(isoString) {
+  if (!isoString) return "";
+  const date = new Date(isoString);
+  return `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+}
+
+/** Markdown：标题 + 筛选条件 + 表格 + 合计 */
+function buildMarkdownExport(sessions, filters = {}) {
+  const headers = t("markdownExportHeaders");
+  const lines = [`# ${t("markdownExportTitle")}`, ""];
+
+  const conditions = [];
+  if (filters.from || filters.to) {
+    conditions.push(t("markdownExportRange").replace("{from}", filters.from || "…").replace("{to}", filters.to || "…"));
+  }
+  if (filters.task && filters.task.trim()) {
+    conditions.push(t("markdownExportTask").replace("{task}", filters.task.trim()));
+  }
+  if (conditions.length > 0) {
+    lines.push(...conditions.map((condition) => `> ${condition}`), "");
+  }
+
+  lines.push(`| ${headers.join(" | ")} |`);
+  lines.push(`| ${headers.map(() => "---").join(" | ")} |`);
+  sessions.forEach((session) => {
+    const statusText = formatSessionStatus(session.status);
+    const row = [
+      getDateKey(session.start),
+      formatClock(session.start),
+      formatClock(session.end),
+      formatTimeShort(session.actualSec || 0),
+      statusText,
+      session.note || ""
+    ];
+    lines.push(`| ${row.map(escapeMarkdownCell).join(" | ")} |`);
+  });
+
+  const completed = sessions.filter((session) => session.status === "completed");
+  const totalSec = completed.reduce((sum, session) => sum + (session.actualSec || 0), 0);
+  lines.push("", t("markdownExportTotal").replace("{count}", completed.length).replace("{duration}", formatTimeShort(totalSec)), "");
+  return lines.join("\n");
+}
+
+function toICSDate(isoString) {
+  return new Date(isoString).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeICSText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** 按 RFC 5545 折行：每行不超过 75 字节，续行以空格开头 */
+function foldICSLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/** iCalendar：每条已完成的会话一个 VEVENT（UTC 时间） */
+function buildICSExport(sessions) {
+  const stamp = toICSDate(nowISO());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Focus Timer//Obsidian Plugin//EN",
+    "CALSCALE:GREGORIAN"
+  ];
+  sessions
+    .filter((session) => session.status === "completed" && session.start && session.end)
+    .forEach((session) => {
+      const note = session.note && session.note.trim() ? session.note.trim() : t("oneTask");
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${escapeICSText(session.id)}@focus-timer`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${toICSDate(session.start)}`,
+        `DTEND:${toICSDate(session.end)}`,
+        `SUMMARY:${escapeICSText(note)}`,
+        `DESCRIPTION:${escapeICSText(t("icsExportDescription").replace("{duration}", formatTimeShort(session.actualSec || 0)))}`,
+        "END:VEVENT"
+      );
+    });
+  lines.push("END:VCALENDAR");
+  return lines.map(foldICSLine).join("\r\n") + "\r\n";
+}
+
+/** 生成导出内容，format 为 EXPORT_FORMATS 的键 */
+function buildExport(format, sessions, filters = {}) {
+  if (format === "json") return buildJSONExport(sessions);
+  if (format === "markdown") return buildMarkdownExport(sessions, filters);
+  if (format === "ics") return buildICSExport(sessions);
+  return buildCSVExport(sessions);
+}
+
+/** 默认文件名（包含当前日期） */
+function getExportFileName(format, date = new Date()) {
+  return `${t("csvFilename")}-${getDateKey(date)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/** 通过浏览器下载链接保存 */
+function downloadExport(content, fileName, format) {
+  const blob = new Blob([content], { type: EXPORT_FORMATS[format].mime });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/** 规范化库内导出路径，缺少扩展名时补上 */
+function normalizeExportPath(path, format) {
+  const extension = `.${EXPORT_FORMATS[format].extension}`;
+  let normalized = normalizePath(String(path || "").trim());
+  if (!normalized || normalized === "/") return "";
+  if (!normalized.toLowerCase().endsWith(extension)) normalized += extension;
+  return normalized;
+}
+
+/** 写入库内路径（自动创建上级文件夹，已存在时覆盖） */
+async function writeExportToVault(app, path, content) {
+  const adapter = app.vault.adapter;
+  const folder = path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "";
+  if (folder && !(await adapter.exists(folder))) {
+    await adapter.mkdir(folder);
+  }
+  await adapter.write(path, content);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  filterSessionsForExport,
+  buildExport,
+  getExportFileName,
+  downloadExport,
+  normalizeExportPath,
+  writeExportToVault
+};
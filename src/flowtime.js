@@ -0,0 +1,63 @@
+/**
+ * 心流计时（Flowtime）：专注时不设计划时长（同正计时），结束后按专注时长计算休息。
+ * 规则 ratio：休息 = 专注 ÷ flowtimeRatio；规则 tiers：按专注时长所在档位取休息分钟数。
+ */
+
+/** 默认档位：不足 25 分钟休息 5 分钟，25-50 分钟休息 8 分钟，50-90 分钟休息 10 分钟，90 分钟以上休息 15 分钟 */
+const DEFAULT_FLOWTIME_TIERS = [
+  { fromMinutes: 0, restMinutes: 5 },
+  { fromMinutes: 25, restMinutes: 8 },
+  { fromMinutes: 50, restMinutes: 10 },
+  { fromMinutes: 90, restMinutes: 15 }
+];
+
+const FLOWTIME_RULES = ["ratio", "tiers"];
+
+function clampRestMinutes(minutes) {
+  return Math.min(Math.max(Math.round(minutes), 1), 600);
+}
+
+/** 规范化档位：丢弃无效项，按起始分钟排序、去重；全部无效时使用默认档位 */
+function normalizeFlowtimeTiers(list) {
+  const seen = new Set();
+  const tiers = (Array.isArray(list) ? list : [])
+    .filter((tier) => tier && Number.isFinite(tier.fromMinutes) && tier.fromMinutes >= 0 && Number.isFinite(tier.restMinutes) && tier.restMinutes > 0)
+    .map((tier) => ({ fromMinutes: Math.floor(tier.fromMinutes), restMinutes: clampRestMinutes(tier.restMinutes) }))
+    .sort((a, b) => a.fromMinutes - b.fromMinutes)
+    .filter((tier) => !seen.has(tier.fromMinutes) && seen.add(tier.fromMinutes));
+  return tiers.length > 0 ? tiers : DEFAULT_FLOWTIME_TIERS.map((tier) => ({ ...tier }));
+}
+
+/** 解析设置中的档位文本：每行「专注起始分钟=休息分钟」，如 25=8 */
+function parseFlowtimeTiers(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.match(/^\s*(\d+)\s*[=:：]\s*(\d+)\s*$/))
+    .filter(Boolean)
+    .map((match) => ({ fromMinutes: Number(match[1]), restMinutes: Number(match[2]) }));
+}
+
+function formatFlowtimeTiers(tiers) {
+  return tiers.map((tier) => `${tier.fromMinutes}=${tier.restMinutes}`).join("\n");
+}
+
+/** 按设置计算专注 focusSec 秒后应休息的分钟数（1-600） */
+function getFlowtimeRestMinutes(focusSec, settings) {
+  const focusMinutes = Math.max(focusSec || 0, 0) / 60;
+  if (settings.flowtimeRule === "tiers") {
+    const tiers = normalizeFlowtimeTiers(settings.flowtimeTiers);
+    const tier = [...tiers].reverse().find((item) => focusMinutes >= item.fromMinutes) || tiers[0];
+    return tier.restMinutes;
+  }
+  const ratio = settings.flowtimeRatio > 0 ? settings.flowtimeRatio : 5;
+  return clampRestMinutes(focusMinutes / ratio);
+}
+
+module.exports = {
+  DEFAULT_FLOWTIME_TIERS,
+  FLOWTIME_RULES,
+  normalizeFlowtimeTiers,
+  parseFlowtimeTiers,
+  formatFlowtimeTiers,
+  getFlowtimeRestMinutes
+};
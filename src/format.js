@@ -1,4 +1,4 @@
-const { getLanguage } = require("./i18n.js");
+const { getLanguage, t } = require("./i18n.js");
 
 function msBetween(aIso, bIso) {
   const a = new Date(aIso).getTime();
@@ -53,6 +53,19 @@ function formatTimeShort(seconds) {
   return lang === 'zh' ? `${minutes}分钟` : `${minutes} min`;
 }
 
+/** 文件大小：B / KB / MB */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/** 会话状态的显示文本：完成 / 放弃 / 跳过（流程中跳过的步骤） */
+function formatSessionStatus(status) {
+  if (status === "completed") return t("completedStatus");
+  return status === "skipped" ? t("skippedStatus") : t("abandonedStatus");
+}
+
 function getDateKey(date) {
   const d = new Date(date);
   d.setHours(0, 0, 0, 0);
@@ -62,6 +75,50 @@ function getDateKey(date) {
   return `${year}-${month}-${day}`;
 }
 
+/** 转为 <input type="datetime-local"> 使用的本地时间字符串 YYYY-MM-DDTHH:MM */
+function toLocalDateTimeInput(date) {
+  const d = new Date(date);
+  const hours = String(d.getHours()).padStart(2, '0');
+  const minutes = String(d.getMinutes()).padStart(2, '0');
+  return `${getDateKey(d)}T${hours}:${minutes}`;
+}
+
+/** 会话条目后缀：打断次数（没有打断时为空字符串） */
+function formatInterruptionSuffix(interruptions) {
+  if (!interruptions || interruptions.length === 0) return "";
+  const separator = getLanguage() === 'zh' ? "，" : ", ";
+  return separator + t("interruptionCount").replace("{count}", interruptions.length);
+}
+
+/** 打断明细（用于悬停提示），每条一行：时间 类型 · 备注 */
+function formatInterruptionDetails(interruptions) {
+  const types = t("interruptionTypes");
+  return (interruptions || []).map((item) => {
+    const time = new Date(item.at);
+    const timeStr = `${String(time.getHours()).padStart(2, '0')}:${String(time.getMinutes()).padStart(2, '0')}`;
+    const type = types[item.type] || types.internal;
+    return item.note ? `${timeStr} ${type} · ${item.note}` : `${timeStr} ${type}`;
+  }).join("\n");
+}
+
+/** 当天打断汇总，如「今天打断 3 次（内部 1 · 外部 2）」 */
+function formatInterruptionSummary(label, counts) {
+  return t("interruptionSummary")
+    .replace("{label}", label)
+    .replace("{count}", counts.total)
+    .replace("{internal}", counts.internal)
+    .replace("{external}", counts.external);
+}
+
+/** 当天休息汇总，如「今天休息 3 次，共 15分钟（提前结束 1 次）」 */
+function formatRestSummary(label, rest) {
+  const text = t("restSummary")
+    .replace("{label}", label)
+    .replace("{count}", rest.count)
+    .replace("{duration}", formatTimeShort(rest.totalSec));
+  return rest.endedEarly > 0 ? text + t("restSummaryEndedEarly").replace("{count}", rest.endedEarly) : text;
+}
+
 module.exports = {
   msBetween,
   formatTime,
@@ -69,5 +126,12 @@ module.exports = {
   formatHours,
   formatTimeChinese,
   formatTimeShort,
-  getDateKey
+  formatFileSize,
+  formatSessionStatus,
+  getDateKey,
+  toLocalDateTimeInput,
+  formatInterruptionSuffix,
+  formatInterruptionDetails,
+  formatInterruptionSummary,
+  formatRestSummary
 };
@@ -0,0 +1,149 @@
+const { t } = require("./i18n.js");
+const { getDateKey, formatTimeShort } = require("./format.js");
+
+/** 目标上限：分钟数与次数 */
+const GOAL_MAX_MINUTES = 100000;
+const GOAL_MAX_SESSIONS = 100;
+
+/** 显示顺序：每日时长、每日次数、每周、每月 */
+const GOAL_KEYS = ["daily", "dailySessions", "weekly", "monthly"];
+
+function toGoalNumber(value, max) {
+  return Number.isFinite(value) && value > 0 ? Math.min(Math.floor(value), max) : 0;
+}
+
+/** 规范化设置中的目标；0 表示不设目标，weekdayMinutes 从星期日开始，null 表示沿用每日目标 */
+function normalizeGoals(goals) {
+  const source = goals && typeof goals === "object" ? goals : {};
+  const weekdays = Array.isArray(source.weekdayMinutes) ? source.weekdayMinutes : [];
+  return {
+    dailyMinutes: toGoalNumber(source.dailyMinutes, GOAL_MAX_MINUTES),
+    dailySessions: toGoalNumber(source.dailySessions, GOAL_MAX_SESSIONS),
+    weeklyMinutes: toGoalNumber(source.weeklyMinutes, GOAL_MAX_MINUTES),
+    monthlyMinutes: toGoalNumber(source.monthlyMinutes, GOAL_MAX_MINUTES),
+    weekdayMinutes: Array.from({ length: 7 }, (_, day) => {
+      const value = weekdays[day];
+      return Number.isFinite(value) && value >= 0 ? Math.min(Math.floor(value), GOAL_MAX_MINUTES) : null;
+    })
+  };
+}
+
+/** 某天的每日专注目标（分钟），星期覆盖优先；0 表示当天不设目标 */
+function getDailyMinutesGoal(goals, date) {
+  const override = goals.weekdayMinutes[new Date(date).getDay()];
+  return override != null ? override : goals.dailyMinutes;
+}
+
+/** 本地日期所在周的周一 0 点 */
+function getWeekStart(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+  return start;
+}
+
+/** 计算目标进度需要的最早日期：所在周的周一与当月 1 日中较早者 */
+function getGoalRangeStart(date = new Date()) {
+  const weekStart = getWeekStart(date);
+  const monthStart = new Date(date);
+  monthStart.setHours(0, 0, 0, 0);
+  monthStart.setDate(1);
+  return weekStart < monthStart ? weekStart : monthStart;
+}
+
+/**
+ * 基准日的目标进度，只统计已完成的会话。
+ * 返回已设置的目标 [{ key, done, target, reached }]；时长类的 done/target 为秒，次数类为次数。
+ */
+function calculateGoalProgress(sessions, goals, baseDate = new Date()) {
+  const dayKey = getDateKey(baseDate);
+  const weekStartKey = getDateKey(getWeekStart(baseDate));
+  const weekEnd = getWeekStart(baseDate);
+  weekEnd.setDate(weekEnd.getDate() + 6);
+  const weekEndKey = getDateKey(weekEnd);
+  const monthPrefix = dayKey.slice(0, 7);
+
+  const totals = { daily: 0, dailySessions: 0, weekly: 0, monthly: 0 };
+  sessions.forEach((session) => {
+    if (session.status !== "completed") return;
+    const key = getDateKey(session.start);
+    const sec = session.actualSec || 0;
+    if (key === dayKey) {
+      totals.daily += sec;
+      totals.dailySessions++;
+    }
+    if (key >= weekStartKey && key <= weekEndKey) totals.weekly += sec;
+    if (key.startsWith(monthPrefix)) totals.monthly += sec;
+  });
+
+  const targets = {
+    daily: getDailyMinutesGoal(goals, baseDate) * 60,
+    dailySessions: goals.dailySessions,
+    weekly: goals.weeklyMinutes * 60,
+    monthly: goals.monthlyMinutes * 60
+  };
+  return GOAL_KEYS
+    .filter((key) => targets[key] > 0)
+    .map((key) => ({ key, done: totals[key], target: targets[key], reached: totals[key] >= targets[key] }));
+}
+
+/** 加入 session 后新达成的目标（session 之前未达成、之后达成），返回进度项 */
+function getNewlyReachedGoals(sessions, goals, session) {
+  const before = calculateGoalProgress(sessions.filter((item) => item.id !== session.id), goals, session.start);
+  const after = calculateGoalProgress([...sessions.filter((item) => item.id !== session.id), session], goals, session.start);
+  return after.filter((item) => item.reached && !before.some((prev) => prev.key === item.key && prev.reached));
+}
+
+/** 进度文字，如「45分钟 / 2时0分」「2 / 4 个任务」 */
+function formatGoalValue(item) {
+  if (item.key === "dailySessions") return `${item.done} / ${item.target} ${t("tasks")}`;
+  return `${formatTimeShort(item.done)} / ${formatTimeShort(item.target)}`;
+}
+
+/** 进度条（用原生 DOM 创建，视图与代码块共用） */
+function createGoalBar(item) {
+  const bar = document.createElement("div");
+  bar.className = "focus-timer-plugin-goal-bar";
+  if (item.reached) bar.classList.add("focus-timer-plugin-goal-reached");
+  bar.title = `${t("goalLabels")[item.key]} ${formatGoalValue(item)}`;
+  const fill = document.createElement("div");
+  fill.className = "focus-timer-plugin-goal-bar-fill";
+  fill.style.setProperty("--focus-goal-progress", `${Math.min(item.done / item.target, 1) * 100}%`);
+  bar.appendChild(fill);
+  return bar;
+}
+
+/** 目标列表：每项一行「名称 进度」加进度条 */
+function createGoalList(progress) {
+  const list = document.createElement("div");
+  list.className = "focus-timer-plugin-goal-list";
+  progress.forEach((item) => {
+    const row = document.createElement("div");
+    row.className = "focus-timer-plugin-goal-item";
+    const header = document.createElement("div");
+    header.className = "focus-timer-plugin-goal-header";
+    const label = document.createElement("span");
+    label.textContent = t("goalLabels")[item.key];
+    const value = document.createElement("span");
+    value.textContent = item.reached ? `✓ ${formatGoalValue(item)}` : formatGoalValue(item);
+    header.appendChild(label);
+    header.appendChild(value);
+    row.appendChild(header);
+    row.appendChild(createGoalBar(item));
+    list.appendChild(row);
+  });
+  return list;
+}
+
+module.exports = {
+  GOAL_MAX_MINUTES,
+  GOAL_MAX_SESSIONS,
+  normalizeGoals,
+  getDailyMinutesGoal,
+  getGoalRangeStart,
+  calculateGoalProgress,
+  getNewlyReachedGoals,
+  formatGoalValue,
+  createGoalBar,
+  createGoalList
+};
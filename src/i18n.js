@@ -37,6 +37,7 @@ const translations = {
     oneTask: "一个任务",
     completed: "完成了",
     abandoned: "放弃了",
+    skipped: "跳过了",
     today: "今天",
     timerSettings: "Timer设置",
     autoContinueAfterCountdown: "倒计时结束后自动继续计时",
@@ -61,9 +62,9 @@ const translations = {
     quickTimer1: "快捷Timer 1",
     quickTimer2: "快捷Timer 2",
     quickTimer3: "快捷Timer 3",
-    quickTimerDesc: "设置第一个快捷timer的名称和倒计时时间（分钟）。英文字符最多40个。",
-    quickTimerDesc2: "设置第二个快捷timer的名称和倒计时时间（分钟）。英文字符最多40个。",
-    quickTimerDesc3: "设置第三个快捷timer的名称和倒计时时间（分钟）。英文字符最多40个。",
+    quickTimerDesc: "设置第一个快捷timer的名称、倒计时时间（分钟）和计时模式。英文字符最多40个。",
+    quickTimerDesc2: "设置第二个快捷timer的名称、倒计时时间（分钟）和计时模式。英文字符最多40个。",
+    quickTimerDesc3: "设置第三个快捷timer的名称、倒计时时间（分钟）和计时模式。英文字符最多40个。",
     timerName: "Timer名称",
     codeBlockChartSettings: "Focus 代码块图表默认设置",
     showFocusTime: "显示专注时间（代码块）",
@@ -98,15 +99,15 @@ const translations = {
     csvFilename: "专注数据",
     completedStatus: "完成",
     abandonedStatus: "放弃",
+    skippedStatus: "跳过",
     exportData: "导出数据",
-    exportDataDesc: "将专注数据导出为CSV格式文件",
-    exportCSV: "导出CSV",
+    exportDataDesc: "将专注数据导出为 CSV、JSON、Markdown 或 iCalendar（.ics）文件，可下载或保存到库内",
     exportSuccess: "数据导出成功！",
     exportFailed: "导出失败",
     noDataToExport: "没有数据可导出",
     deleteAllHistory: "删除所有历史记录",
-    deleteAllHistoryDesc: "清空所有专注数据，此操作不可恢复。点击后需二次确认。",
-    deleteAllHistoryConfirm: "确定要删除所有专注历史记录吗？此操作不可恢复。",
+    deleteAllHistoryDesc: "清空所有专注数据。删除前会自动备份，可在下方「备份」中恢复。点击后需二次确认。",
+    deleteAllHistoryConfirm: "确定要删除所有专注历史记录吗？删除前会自动创建一份备份。",
     deleteAllHistorySuccess: "已删除所有历史记录",
     deleteFailed: "删除失败",
     suggestTasks: "联想任务（每行一个）",
@@ -132,7 +133,263 @@ const translations = {
     focusStopFailed: "当前未在执行任务，放弃/完成任务失败",
     completeCountdownEarlyDisabled: "已关闭「倒计时允许提前完成」，无法提前完成",
     settingsLoadFailed: "加载设置失败，已使用默认值",
-    settingsSaveFailed: "保存设置失败，请稍后重试"
+    settingsSaveFailed: "保存设置失败，请稍后重试",
+    backups: "备份",
+    backupKeepCount: "保留备份份数",
+    backupKeepCountDesc: "修复数据、批量删除、格式迁移前以及每天都会自动备份到插件目录的 backups 文件夹，超出份数时删除最旧的备份。只接受 1-100 的整数。",
+    backupNow: "立即备份",
+    backupNowDesc: "手动创建一份当前专注数据与设置的备份。",
+    backupCreated: "已创建备份",
+    backupFailed: "备份失败",
+    noBackups: "暂无备份",
+    backupReasonLabels: { daily: "每日备份", manual: "手动备份", repair: "修复前", "bulk-delete": "批量删除前", migration: "迁移前", "before-restore": "恢复前", import: "导入前" },
+    backupPreview: "{count} 条记录，{from} 至 {to}",
+    backupPreviewEmpty: "{count} 条记录",
+    backupUnreadable: "无法读取备份",
+    restoreBackup: "恢复",
+    restoreBackupConfirm: "该备份有 {preview}。确定用该备份覆盖当前的专注记录和设置吗？当前数据会先自动备份，进行中的计时不受影响。",
+    restoreBackupSuccess: "已从备份恢复",
+    restoreBackupFailed: "恢复失败",
+    dataFileNewerVersion: "专注计时器：data.json 由更新版本的插件写入，为避免覆盖数据，插件已停止加载。请升级插件后重试。",
+    editSession: "编辑记录",
+    deleteSession: "删除记录",
+    deleteSessionConfirm: "确定要删除这条专注记录吗？",
+    sessionStart: "开始时间",
+    sessionEnd: "结束时间",
+    sessionStatus: "状态",
+    sessionNote: "专注事项",
+    save: "保存",
+    sessionInvalidTime: "请填写有效的开始和结束时间",
+    sessionEndBeforeStart: "结束时间必须晚于开始时间",
+    sessionInFuture: "结束时间不能晚于当前时间",
+    sessionTooLong: "单次专注不能超过 24 小时",
+    sessionUpdated: "已更新专注记录",
+    sessionDeleted: "已删除专注记录",
+    sessionSaveFailed: "保存专注记录失败",
+    addManualSession: "补录专注",
+    manualSessionDate: "日期",
+    manualSessionDuration: "实际时长（分钟）",
+    manualSessionPlanned: "计划时长（分钟）",
+    manualSessionPlannedDesc: "留空表示正计时",
+    manualSessionInvalidDuration: "实际时长需为正整数分钟",
+    manualSessionInvalidPlanned: "计划时长需为正整数分钟，或留空",
+    manualSessionExists: "该开始时间已有一条专注记录",
+    manualSessionAdded: "已补录专注记录",
+    statsIncludeManual: "统计包含手动补录",
+    statsIncludeManualDesc: "关闭后，统计卡片和图表不计入手动补录的专注记录；记录列表仍会显示它们。",
+    archiveAfterDays: "归档早于多少天的记录",
+    archiveAfterDaysDesc: "超过该天数的专注记录会移入插件目录下按年份划分的归档文件（如 sessions-2024.json），日常统计只读取需要的年份。只接受 30-3650 的整数，默认 365。",
+    checkData: "检查专注数据",
+    checkDataDesc: "扫描数据文件，列出无效记录、重复 id、时间重叠、时长异常、结束早于开始以及残留的计时状态，可预览后逐类修复。",
+    integrityTitle: "专注数据检查",
+    integrityScanning: "正在检查…",
+    integrityScanFailed: "检查失败",
+    integrityNoIssues: "未发现问题，共检查 {count} 条记录。",
+    integritySummary: "共检查 {count} 条记录，发现以下问题：",
+    integrityCategories: {"invalidSessions": "无效记录", "duplicateIds": "重复 id", "overlaps": "时间重叠", "badDurations": "时长异常", "endBeforeStart": "结束早于开始", "staleState": "残留的计时状态"},
+    integrityCategoryDescs: {"invalidSessions": "无法解析或缺少必要字段的记录，读取时会被忽略。修复：移除这些记录。", "duplicateIds": "同一条记录同时出现在会话日志、多个归档或 data.json 残留的旧记录中。修复：日志中有的以日志为准，只在归档中的保留其开始时间所在年份的一份，并移除 data.json 中重复的旧记录。", "overlaps": "两条记录的时间段相互重叠。修复：删除被完全包含的记录，或把前一条的结束时间截到后一条开始。", "badDurations": "时长为负、不是数字或超过 24 小时。修复：按开始/结束时间重新计算，无法计算时删除。", "endBeforeStart": "结束时间早于开始时间。修复：按时长重新计算结束时间，无法计算时删除。", "staleState": "当前计时状态明显异常（如专注已持续超过 24 小时）。修复：重置为空闲。"},
+    integrityReasons: {"parseError": "无法解析", "notObject": "不是对象", "missingId": "缺少 id", "missingStart": "缺少开始时间", "invalidStatus": "状态无效", "unparseableFile": "文件无法解析", "badStartDate": "开始时间无效", "badEndDate": "结束时间无效", "negative": "时长为负", "tooLong": "超过 24 小时", "notNumber": "时长不是数字", "activeAndResting": "同时处于专注与休息状态", "activeWithoutStart": "专注中但缺少开始时间", "activeTooLong": "专注已持续超过 24 小时", "restExpired": "休息早已结束但仍处于休息状态"},
+    integrityLocation: "{source} 第 {location} 条",
+    integrityMore: "……另有 {count} 条",
+    integrityFix: "修复…",
+    integrityPreviewTitle: "将执行以下修改：",
+    integrityBackupNote: "修复前会自动创建一份备份，可在设置的「备份」中恢复。",
+    integrityBack: "返回",
+    integrityApply: "应用修复",
+    integrityOpDropInvalid: "从 {sources} 中移除 {count} 条无效记录",
+    integrityOpDedupe: "{count} 个重复 id 各只保留一份",
+    integrityOpDelete: "删除：{session}",
+    integrityOpUpdate: "修改：{session} → {changes}",
+    integrityOpResetState: "将计时状态重置为空闲",
+    integrityRepairDone: "修复完成，修复前的数据已备份",
+    integrityRepairFailed: "修复失败",
+    importData: "导入数据",
+    importDataDesc: "从CSV文件导入专注记录，支持本插件导出的文件（任一语言）以及 Toggl、Clockify、Forest 等计时工具的导出",
+    importCSV: "导入CSV",
+    csvImportTitle: "导入CSV",
+    csvImportFileInfo: "{file}：共 {count} 行数据",
+    csvImportPreset: "文件格式",
+    csvImportPresets: {"custom": "自定义", "focusTimer": "专注计时器导出", "toggl": "Toggl", "clockify": "Clockify", "forest": "Forest"},
+    csvImportFields: {"id": "ID", "start": "开始日期/时间", "startTime": "开始时间（单独一列时）", "end": "结束日期/时间", "endTime": "结束时间（单独一列时）", "duration": "实际时长", "planned": "计划时长（秒）", "status": "状态", "note": "任务名称", "createdAt": "创建时间"},
+    csvImportNoColumn: "（不导入）",
+    csvImportDurationUnit: "时长单位",
+    csvImportDurationUnitDesc: "时长为纯数字时的单位；形如 1:30:00 的时长会自动识别",
+    csvImportDurationUnits: {"seconds": "秒", "minutes": "分钟", "hours": "小时"},
+    csvImportDateOrder: "日期顺序",
+    csvImportDateOrderDesc: "形如 03/04/2024 的日期按哪种顺序解析",
+    csvImportDateOrders: {"auto": "自动", "mdy": "月/日/年", "dmy": "日/月/年"},
+    csvImportSummary: "将导入 {count} 条记录，跳过 {duplicates} 条已存在的记录，{invalid} 行无法识别",
+    csvImportInvalidLine: "第 {line} 行：{reason}",
+    csvImportReasons: {"badStart": "开始时间无法识别", "badEnd": "结束时间无法识别", "badDuration": "时长无法识别", "missingDuration": "缺少结束时间或时长", "endBeforeStart": "结束时间早于开始时间", "tooLong": "时长超过24小时"},
+    csvImportConfirm: "导入 {count} 条",
+    csvImportSuccess: "已导入 {count} 条专注记录",
+    csvImportFailed: "导入失败",
+    csvImportEmpty: "CSV文件中没有数据",
+    exportFormat: "格式",
+    exportFormats: {"csv": "CSV", "json": "JSON（完整数据）", "markdown": "Markdown 表格", "ics": "iCalendar（.ics）"},
+    exportTarget: "保存位置",
+    exportTargetDownload: "下载文件",
+    exportTargetVault: "保存到库内",
+    exportPath: "库内路径",
+    exportPathDesc: "相对于库根目录的文件路径，上级文件夹不存在时会自动创建",
+    exportFrom: "开始日期",
+    exportTo: "结束日期",
+    exportTask: "任务",
+    exportTaskDesc: "只导出任务名称包含该文字的记录，留空为全部",
+    exportConfirm: "导出",
+    exportOverwrite: "覆盖",
+    exportFileExists: "{path} 已存在，再次点击将覆盖",
+    exportInvalidPath: "请填写库内路径",
+    exportInvalidRange: "开始日期不能晚于结束日期",
+    exportSavedTo: "已导出到 {path}",
+    markdownExportTitle: "专注记录",
+    markdownExportHeaders: ["日期", "开始", "结束", "时长", "状态", "任务"],
+    markdownExportRange: "日期：{from} 至 {to}",
+    markdownExportTask: "任务：{task}",
+    markdownExportTotal: "共完成 {count} 次专注，合计 {duration}",
+    icsExportDescription: "专注 {duration}",
+    pause: "暂停",
+    resume: "继续",
+    paused: "已暂停",
+    focusPaused: "专注已暂停",
+    focusResumed: "专注已继续",
+    pauseFailed: "当前没有可暂停的专注",
+    resumeFailed: "当前专注未暂停",
+    longBreakInterval: "长休息间隔（次）",
+    longBreakIntervalDesc: "每完成这么多次专注后下一次休息为长休息（番茄循环，手动开始休息同样计数），范围 2-12，默认 4；0 表示不使用长休息",
+    longBreakMinutes: "长休息时间（分钟）",
+    longBreakMinutesDesc: "完成一轮番茄循环后的休息时长，默认 15 分钟，最大 600",
+    autoStartFocusAfterRest: "休息结束后自动开始专注",
+    autoStartFocusAfterRestDesc: "开启后，休息结束时按上一次专注的模式、时长与事项自动开始下一次专注",
+    abandonResetsCycle: "放弃专注时重置循环",
+    abandonResetsCycleDesc: "开启后，放弃专注会让番茄循环从头计数；关闭则保留当前进度",
+    longRestStarted: "长休息开始：{minutes} 分钟",
+    longResting: "长休息中",
+    cycleProgressTitle: "番茄循环：每 {count} 次专注后长休息",
+    logInterruption: "记录打断",
+    interruption: "打断",
+    interruptionType: "打断类型",
+    interruptionTypeDesc: "内部：自己走神、想起别的事；外部：他人或消息打扰",
+    interruptionTypes: {"internal": "内部", "external": "外部"},
+    interruptionNote: "备注（可选）",
+    interruptionNotePlaceholder: "例如：查看消息",
+    interruptionCount: "{count}次打断",
+    interruptionSummary: "{label}打断 {count} 次（内部 {internal} · 外部 {external}）",
+    interruptionLogged: "已记录打断（本次第 {count} 次）",
+    interruptionFailed: "只有专注进行中才能记录打断",
+    theDay: "当天",
+    staleSessionTitle: "发现未结束的专注",
+    staleSessionDesc: "上次关闭 Obsidian 时，「{task}」仍在计时（开始于 {start}）。",
+    staleSessionLastSeen: "最后在线：{time}",
+    staleSessionPlannedEnd: "计划结束：{time}",
+    staleCompleteAtPlannedEnd: "按计划结束时间完成",
+    staleCompleteAtLastSeen: "按最后在线时间完成",
+    staleCompleteDesc: "记为完成，专注时长 {duration}",
+    staleAbandon: "放弃",
+    staleAbandonDesc: "记为放弃，时长计到最后在线时间",
+    staleKeepRunning: "继续计时",
+    staleKeepRunningDesc: "离线时间也计入本次专注；倒计时已到点时会立即完成",
+    timerGapTitle: "计时出现断档",
+    timerGapDesc: "从 {start} 起计时中断了 {duration}（可能是电脑睡眠或系统时间变化），这段时间如何处理？",
+    timerGapExclude: "不计入",
+    timerGapExcludeDesc: "从本次专注时长中扣除这段时间，并记录在会话中",
+    timerGapPause: "改为暂停",
+    timerGapPauseDesc: "从断档开始时暂停专注，稍后手动继续",
+    timerGapCount: "计入专注",
+    timerGapCountDesc: "这段时间照常计入本次专注",
+    timerGapExcluded: "已扣除 {duration}",
+    extendCountdown: "延长 {minutes} 分钟",
+    shortenCountdown: "缩短 {minutes} 分钟",
+    countdownAdjusted: "计划时长已调整为 {duration}",
+    adjustCountdownFailed: "只有倒计时进行中才能调整时长",
+    restSummary: "{label}休息 {count} 次，共 {duration}",
+    restSummaryEndedEarly: "（提前结束 {count} 次）",
+    routine: "流程",
+    routines: "流程",
+    routinesDesc: "把多段专注与休息串成固定流程（如 热身 10 分钟 → 专注 50 分钟 → 休息 10 分钟），每个流程都会注册为一条命令",
+    routineNamePlaceholder: "流程名称",
+    startRoutine: "开始流程",
+    deleteRoutine: "删除流程",
+    deleteRoutineConfirm: "确定删除流程「{name}」吗？",
+    routineStepTypes: {"focus": "专注", "rest": "休息"},
+    minutes: "分钟",
+    routineStepLabelPlaceholder: "专注事项（可选）",
+    moveUp: "上移",
+    moveDown: "下移",
+    deleteRoutineStep: "删除步骤",
+    addRoutineStep: "添加步骤",
+    addRoutine: "添加流程",
+    routineStarted: "开始流程「{name}」",
+    routineFinished: "流程「{name}」已完成",
+    routineStopped: "已结束流程「{name}」",
+    routineNotRunning: "当前没有进行中的流程",
+    routineStepSkipped: "已跳过本步专注，记录 {minutes} 分钟",
+    routineEmpty: "流程不存在或没有步骤",
+    routineProgress: "{name} · 第 {current}/{total} 步：{step}",
+    routineNextStep: "下一步：{step}",
+    skipRoutineStep: "跳过",
+    stopRoutine: "结束流程",
+    goals: "专注目标",
+    goalsDesc: "设置后在计时器、统计卡片与 focus 代码块中显示进度，达成时提示；留空或 0 表示不设目标",
+    goalDailyMinutes: "每日专注时长（分钟）",
+    goalDailyMinutesDesc: "每天完成的专注累计达到该时长",
+    goalDailySessions: "每日完成次数",
+    goalDailySessionsDesc: "每天完成的专注次数（放弃的不计）",
+    goalWeeklyMinutes: "每周专注时长（分钟）",
+    goalWeeklyMinutesDesc: "每周（周一至周日）完成的专注累计达到该时长",
+    goalMonthlyMinutes: "每月专注时长（分钟）",
+    goalMonthlyMinutesDesc: "每个自然月完成的专注累计达到该时长",
+    goalWeekdayMinutes: "按星期设置每日时长",
+    goalWeekdayMinutesDesc: "从周一到周日分别设置当天的每日专注时长（分钟）；留空沿用上面的每日目标，0 表示当天不设目标",
+    weekdayShort: ["周日", "周一", "周二", "周三", "周四", "周五", "周六"],
+    goalLabels: {"daily": "每日专注", "dailySessions": "每日完成", "weekly": "每周专注", "monthly": "每月专注"},
+    goalToday: "今日目标",
+    goalReached: "已达成目标：{goal}（{progress}）",
+    flowtime: "心流计时",
+    flowtimeDesc: "心流计时：不设时长，结束后按专注时长计算休息",
+    flowtimeStarted: "心流计时开始",
+    flowtimeRestSuggested: "建议休息 {minutes} 分钟",
+    flowtimeRule: "心流计时休息规则",
+    flowtimeRuleDesc: "心流计时结束后，休息时长按专注时长的比例或所在档位计算（开启自动休息时自动进入该时长的休息）",
+    flowtimeRules: {"ratio": "按比例", "tiers": "按档位"},
+    flowtimeRatio: "心流计时比例",
+    flowtimeRatioDesc: "按比例时，休息时长 = 专注时长 ÷ 该值（如 5 表示专注 50 分钟休息 10 分钟）",
+    flowtimeTiers: "心流计时档位",
+    flowtimeTiersDesc: "按档位时，每行「专注分钟=休息分钟」，表示专注达到该分钟数时的休息时长，如 25=8 表示专注 25 分钟以上休息 8 分钟",
+    sounds: "声音与通知",
+    soundsDesc: "计时到点、休息结束与结束前提醒的提示音，专注时的背景音，以及计时结束时的系统通知；声音可使用内置音效或库内音频文件",
+    soundVolume: "提示音音量",
+    ambientVolume: "背景音音量",
+    soundEvents: {"focusEnd": "专注到点", "restEnd": "休息结束", "warning": "结束前提醒", "ambient": "专注背景音"},
+    soundNames: {"none": "无", "bell": "铃声", "chime": "风铃", "digital": "电子音", "ticking": "滴答声", "whiteNoise": "白噪音", "brownNoise": "布朗噪音", "file": "库内文件"},
+    soundFilePlaceholder: "库内音频路径，如 sounds/bell.mp3",
+    soundPreview: "试听",
+    soundFileMissing: "找不到音频文件：{path}",
+    desktopNotifications: "系统通知",
+    desktopNotificationsDesc: "倒计时到点完成、休息结束、正计时达到上限时发送系统通知，Obsidian 不在前台也能看到；点击通知打开计时面板。开启时需要授权，无法发送时改用 Obsidian 提示",
+    desktopNotificationsDenied: "未获得系统通知权限，请在系统设置中允许 Obsidian 发送通知",
+    desktopNotificationsTest: "发送测试通知",
+    desktopNotificationsTestBody: "系统通知已开启",
+    desktopNotificationTitles: {"focusEnd": "专注完成", "countdownEnd": "倒计时结束", "restEnd": "休息结束", "stopwatchCap": "正计时已结束", "warning": "即将结束", "milestone": "专注里程碑"},
+    desktopNotifyFocusEnd: "{task} · {minutes} 分钟",
+    desktopNotifyOvertime: "已到计划时长，正在继续计时",
+    desktopNotifyRestEnd: "可以开始下一次专注了",
+    warningMinutes: "结束前提醒",
+    warningMinutesDesc: "倒计时剩余这些分钟数时各提醒一次（逗号分隔，如 5, 2；留空不提醒），每次专注只提醒一次",
+    milestoneMinutes: "正计时里程碑",
+    milestoneMinutesDesc: "正计时与心流计时每满这些分钟数的整数倍时提醒（逗号分隔，如 60；留空不提醒）",
+    warningNotice: "还剩 {minutes} 分钟",
+    milestoneNotice: "已专注 {minutes} 分钟",
+    messageTemplates: "消息模板",
+    messageTemplatesDesc: "自定义开始、结束与休息时的提示，设置了完成与休息结束模板时系统通知也使用该消息；留空使用内置消息。占位符：{task} 专注事项，{minutes} 分钟数（开始时为计划时长，结束时为实际时长），{planned} 计划时长，{todayTotal} 今日累计专注，{goalProgress} 今日目标进度，{cycle} 本轮第几个番茄（如 2/4）",
+    messageTemplateEvents: {"start": "开始专注", "complete": "完成专注", "abandon": "放弃专注", "restStart": "开始休息", "restEnd": "休息结束"},
+    messageTemplateExamples: {"start": "开始 {task}：{planned}", "complete": "完成 {task}（{minutes} 分钟），今日 {todayTotal}", "abandon": "放弃 {task}（{minutes} 分钟）", "restStart": "休息 {minutes} 分钟，本轮 {cycle}", "restEnd": "休息结束，今日目标 {goalProgress}"},
+    messageTemplateUnknown: "未知占位符：{names}，修正前不会保存",
+    zenMode: "专注时精简界面",
+    zenModeDesc: "专注期间让 Obsidian 安静下来：折叠侧边栏、隐藏功能区与状态栏（保留计时器）。专注结束或开始休息时恢复原来的布局；专注期间调整过窗格时不恢复侧边栏",
+    zenModeEnabled: "专注时进入精简界面",
+    zenModeOptions: {"collapseSidebars": "折叠左右侧边栏", "hideRibbon": "隐藏功能区", "hideStatusBar": "隐藏状态栏（保留计时器）"},
+    zenModeRestoreSkipped: "专注期间窗格布局有调整，未恢复侧边栏"
   },
   en: {
     cancel: "Cancel",
@@ -170,6 +427,7 @@ const translations = {
     oneTask: "a task",
     completed: "completed",
     abandoned: "abandoned",
+    skipped: "skipped",
     today: "Today",
     timerSettings: "Timer Settings",
     autoContinueAfterCountdown: "Auto Continue After Countdown",
@@ -194,9 +452,9 @@ const translations = {
     quickTimer1: "Quick Timer 1",
     quickTimer2: "Quick Timer 2",
     quickTimer3: "Quick Timer 3",
-    quickTimerDesc: "Set the name and countdown duration (minutes) for the first quick timer. Max 40 ASCII characters.",
-    quickTimerDesc2: "Set the name and countdown duration (minutes) for the second quick timer. Max 40 ASCII characters.",
-    quickTimerDesc3: "Set the name and countdown duration (minutes) for the third quick timer. Max 40 ASCII characters.",
+    quickTimerDesc: "Set the name, countdown duration (minutes) and timer mode for the first quick timer. Max 40 ASCII characters.",
+    quickTimerDesc2: "Set the name, countdown duration (minutes) and timer mode for the second quick timer. Max 40 ASCII characters.",
+    quickTimerDesc3: "Set the name, countdown duration (minutes) and timer mode for the third quick timer. Max 40 ASCII characters.",
     timerName: "Timer Name",
     codeBlockChartSettings: "Focus Code Block Chart Default Settings",
     showFocusTime: "Show Focus Time (Code Block)",
@@ -231,15 +489,15 @@ const translations = {
     csvFilename: "Focus Data",
     completedStatus: "Completed",
     abandonedStatus: "Abandoned",
+    skippedStatus: "Skipped",
     exportData: "Export Data",
-    exportDataDesc: "Export focus data as CSV file",
-    exportCSV: "Export CSV",
+    exportDataDesc: "Export focus data as CSV, JSON, Markdown or iCalendar (.ics), as a download or into the vault",
     exportSuccess: "Data exported successfully!",
     exportFailed: "Export failed",
     noDataToExport: "No data to export",
     deleteAllHistory: "Delete All History",
-    deleteAllHistoryDesc: "Clear all focus data. This action cannot be undone. Requires confirmation.",
-    deleteAllHistoryConfirm: "Are you sure you want to delete all focus history records? This action cannot be undone.",
+    deleteAllHistoryDesc: "Clear all focus data. A backup is created first and can be restored under \"Backups\" below. Requires confirmation.",
+    deleteAllHistoryConfirm: "Are you sure you want to delete all focus history records? A backup will be created first.",
     deleteAllHistorySuccess: "All history records deleted",
     deleteFailed: "Delete failed",
     suggestTasks: "Suggested Tasks (one per line)",
@@ -265,7 +523,263 @@ const translations = {
     focusStopFailed: "You are not focusing now, nothing to abandon/complete",
     completeCountdownEarlyDisabled: "Early complete is disabled; cannot complete countdown early",
     settingsLoadFailed: "Failed to load settings, using defaults",
-    settingsSaveFailed: "Failed to save settings, please try again"
+    settingsSaveFailed: "Failed to save settings, please try again",
+    backups: "Backups",
+    backupKeepCount: "Backups to Keep",
+    backupKeepCountDesc: "A backup is saved to the backups folder in the plugin directory before any repair, bulk delete or migration, and once a day. The oldest backups are removed beyond this count. Only accepts integers from 1-100.",
+    backupNow: "Back Up Now",
+    backupNowDesc: "Manually create a backup of the current focus data and settings.",
+    backupCreated: "Backup created",
+    backupFailed: "Backup failed",
+    noBackups: "No backups yet",
+    backupReasonLabels: { daily: "Daily", manual: "Manual", repair: "Before repair", "bulk-delete": "Before bulk delete", migration: "Before migration", "before-restore": "Before restore", import: "Before import" },
+    backupPreview: "{count} records, {from} to {to}",
+    backupPreviewEmpty: "{count} records",
+    backupUnreadable: "Cannot read backup",
+    restoreBackup: "Restore",
+    restoreBackupConfirm: "This backup has {preview}. Replace the current focus records and settings with this backup? Current data is backed up first; a running timer is not affected.",
+    restoreBackupSuccess: "Restored from backup",
+    restoreBackupFailed: "Restore failed",
+    dataFileNewerVersion: "Focus Timer: data.json was written by a newer version of the plugin. Loading stopped to avoid overwriting it. Please update the plugin.",
+    editSession: "Edit record",
+    deleteSession: "Delete record",
+    deleteSessionConfirm: "Delete this focus record?",
+    sessionStart: "Start",
+    sessionEnd: "End",
+    sessionStatus: "Status",
+    sessionNote: "Focus item",
+    save: "Save",
+    sessionInvalidTime: "Please enter a valid start and end time",
+    sessionEndBeforeStart: "End time must be after start time",
+    sessionInFuture: "End time cannot be in the future",
+    sessionTooLong: "A single session cannot exceed 24 hours",
+    sessionUpdated: "Focus record updated",
+    sessionDeleted: "Focus record deleted",
+    sessionSaveFailed: "Failed to save focus record",
+    addManualSession: "Add session manually",
+    manualSessionDate: "Date",
+    manualSessionDuration: "Duration (minutes)",
+    manualSessionPlanned: "Planned duration (minutes)",
+    manualSessionPlannedDesc: "Leave empty for a stopwatch session",
+    manualSessionInvalidDuration: "Duration must be a positive whole number of minutes",
+    manualSessionInvalidPlanned: "Planned duration must be a positive whole number of minutes, or empty",
+    manualSessionExists: "A focus record with this start time already exists",
+    manualSessionAdded: "Focus session added",
+    statsIncludeManual: "Include manual entries in stats",
+    statsIncludeManualDesc: "When off, stat cards and charts ignore manually added sessions; they still appear in the record list.",
+    archiveAfterDays: "Archive records older than (days)",
+    archiveAfterDaysDesc: "Focus records older than this are moved into per-year archive files in the plugin folder (e.g. sessions-2024.json); everyday stats only read the years they need. Whole numbers from 30 to 3650, default 365.",
+    checkData: "Check focus data",
+    checkDataDesc: "Scan the data files for invalid records, duplicate ids, overlapping sessions, bad durations, end-before-start times and a stale timer state, then preview and fix each category.",
+    integrityTitle: "Focus data check",
+    integrityScanning: "Checking…",
+    integrityScanFailed: "Check failed",
+    integrityNoIssues: "No problems found in {count} records.",
+    integritySummary: "Checked {count} records and found these problems:",
+    integrityCategories: {"invalidSessions": "Invalid records", "duplicateIds": "Duplicate ids", "overlaps": "Overlapping sessions", "badDurations": "Bad durations", "endBeforeStart": "End before start", "staleState": "Stale timer state"},
+    integrityCategoryDescs: {"invalidSessions": "Records that cannot be parsed or lack required fields; they are ignored when reading. Fix: remove them.", "duplicateIds": "The same record appears in more than one place: the session journal, several archives or leftover records in data.json. Fix: the journal copy wins, records only in archives keep the copy in the year they started, and duplicate leftovers are removed from data.json.", "overlaps": "Two records overlap in time. Fix: delete a record fully inside another, or trim the earlier one to end when the later one starts.", "badDurations": "Duration is negative, not a number or longer than 24 hours. Fix: recompute from start/end, or delete if that is impossible.", "endBeforeStart": "End time is before start time. Fix: recompute the end from the duration, or delete if that is impossible.", "staleState": "The current timer state is clearly broken (e.g. focusing for more than 24 hours). Fix: reset it to idle."},
+    integrityReasons: {"parseError": "cannot be parsed", "notObject": "not an object", "missingId": "missing id", "missingStart": "missing start time", "invalidStatus": "invalid status", "unparseableFile": "file cannot be parsed", "badStartDate": "invalid start time", "badEndDate": "invalid end time", "negative": "negative duration", "tooLong": "longer than 24 hours", "notNumber": "duration is not a number", "activeAndResting": "focusing and resting at the same time", "activeWithoutStart": "focusing without a start time", "activeTooLong": "focusing for more than 24 hours", "restExpired": "rest ended long ago but is still active"},
+    integrityLocation: "{source} entry {location}",
+    integrityMore: "…and {count} more",
+    integrityFix: "Fix…",
+    integrityPreviewTitle: "The following changes will be made:",
+    integrityBackupNote: "A backup is created first; you can restore it under Backups in the settings.",
+    integrityBack: "Back",
+    integrityApply: "Apply fix",
+    integrityOpDropInvalid: "Remove {count} invalid records from {sources}",
+    integrityOpDedupe: "Keep a single copy of {count} duplicate ids",
+    integrityOpDelete: "Delete: {session}",
+    integrityOpUpdate: "Change: {session} → {changes}",
+    integrityOpResetState: "Reset the timer state to idle",
+    integrityRepairDone: "Fixed; the previous data was backed up",
+    integrityRepairFailed: "Fix failed",
+    importData: "Import Data",
+    importDataDesc: "Import focus sessions from a CSV file: this plugin's own export (in either language) or exports from timers such as Toggl, Clockify and Forest",
+    importCSV: "Import CSV",
+    csvImportTitle: "Import CSV",
+    csvImportFileInfo: "{file}: {count} data rows",
+    csvImportPreset: "File format",
+    csvImportPresets: {"custom": "Custom", "focusTimer": "Focus Timer export", "toggl": "Toggl", "clockify": "Clockify", "forest": "Forest"},
+    csvImportFields: {"id": "ID", "start": "Start date/time", "startTime": "Start time (separate column)", "end": "End date/time", "endTime": "End time (separate column)", "duration": "Actual duration", "planned": "Planned duration (seconds)", "status": "Status", "note": "Task name", "createdAt": "Created at"},
+    csvImportNoColumn: "(Not imported)",
+    csvImportDurationUnit: "Duration unit",
+    csvImportDurationUnitDesc: "Unit for plain-number durations; durations like 1:30:00 are detected automatically",
+    csvImportDurationUnits: {"seconds": "Seconds", "minutes": "Minutes", "hours": "Hours"},
+    csvImportDateOrder: "Date order",
+    csvImportDateOrderDesc: "How to read dates like 03/04/2024",
+    csvImportDateOrders: {"auto": "Auto", "mdy": "Month/Day/Year", "dmy": "Day/Month/Year"},
+    csvImportSummary: "{count} sessions will be imported, {duplicates} existing sessions skipped, {invalid} rows not recognized",
+    csvImportInvalidLine: "Line {line}: {reason}",
+    csvImportReasons: {"badStart": "Unrecognized start time", "badEnd": "Unrecognized end time", "badDuration": "Unrecognized duration", "missingDuration": "Missing end time or duration", "endBeforeStart": "End time is before start time", "tooLong": "Duration exceeds 24 hours"},
+    csvImportConfirm: "Import {count}",
+    csvImportSuccess: "Imported {count} focus sessions",
+    csvImportFailed: "Import failed",
+    csvImportEmpty: "The CSV file has no data",
+    exportFormat: "Format",
+    exportFormats: {"csv": "CSV", "json": "JSON (full data)", "markdown": "Markdown table", "ics": "iCalendar (.ics)"},
+    exportTarget: "Save to",
+    exportTargetDownload: "Download",
+    exportTargetVault: "Vault",
+    exportPath: "Vault path",
+    exportPathDesc: "File path relative to the vault root; missing folders are created",
+    exportFrom: "From",
+    exportTo: "To",
+    exportTask: "Task",
+    exportTaskDesc: "Only export sessions whose task name contains this text; leave empty for all",
+    exportConfirm: "Export",
+    exportOverwrite: "Overwrite",
+    exportFileExists: "{path} already exists. Click again to overwrite",
+    exportInvalidPath: "Please enter a vault path",
+    exportInvalidRange: "The start date cannot be after the end date",
+    exportSavedTo: "Exported to {path}",
+    markdownExportTitle: "Focus Sessions",
+    markdownExportHeaders: ["Date", "Start", "End", "Duration", "Status", "Task"],
+    markdownExportRange: "Dates: {from} to {to}",
+    markdownExportTask: "Task: {task}",
+    markdownExportTotal: "{count} completed sessions, {duration} in total",
+    icsExportDescription: "Focused for {duration}",
+    pause: "Pause",
+    resume: "Resume",
+    paused: "Paused",
+    focusPaused: "Focus paused",
+    focusResumed: "Focus resumed",
+    pauseFailed: "No running focus session to pause",
+    resumeFailed: "The focus session is not paused",
+    longBreakInterval: "Long Break Interval (sessions)",
+    longBreakIntervalDesc: "After this many completed focus sessions the next break is a long break (a Pomodoro cycle; manually started breaks count too). 2-12, default 4; 0 turns long breaks off",
+    longBreakMinutes: "Long Break Duration (minutes)",
+    longBreakMinutesDesc: "Break length after a full Pomodoro cycle. Default 15 minutes, max 600",
+    autoStartFocusAfterRest: "Auto Start Focus After Rest",
+    autoStartFocusAfterRestDesc: "When enabled, the next focus starts automatically when a break ends, using the previous session's mode, duration and task",
+    abandonResetsCycle: "Abandon Resets Cycle",
+    abandonResetsCycleDesc: "When enabled, abandoning a session restarts the Pomodoro cycle count; otherwise the current progress is kept",
+    longRestStarted: "Long break started: {minutes} minutes",
+    longResting: "Long Break",
+    cycleProgressTitle: "Pomodoro cycle: a long break after every {count} sessions",
+    logInterruption: "Log interruption",
+    interruption: "Interrupt",
+    interruptionType: "Type",
+    interruptionTypeDesc: "Internal: your own wandering thoughts; external: people or messages",
+    interruptionTypes: {"internal": "Internal", "external": "External"},
+    interruptionNote: "Note (optional)",
+    interruptionNotePlaceholder: "e.g. checked messages",
+    interruptionCount: "{count} interruption(s)",
+    interruptionSummary: "{label}: {count} interruption(s) (internal {internal} · external {external})",
+    interruptionLogged: "Interruption logged ({count} this session)",
+    interruptionFailed: "Interruptions can only be logged during a focus session",
+    theDay: "That day",
+    staleSessionTitle: "Unfinished focus session found",
+    staleSessionDesc: "\"{task}\" was still running when Obsidian was last closed (started {start}).",
+    staleSessionLastSeen: "Last seen: {time}",
+    staleSessionPlannedEnd: "Planned end: {time}",
+    staleCompleteAtPlannedEnd: "Complete at planned end",
+    staleCompleteAtLastSeen: "Complete at last seen",
+    staleCompleteDesc: "Record as completed, focus time {duration}",
+    staleAbandon: "Abandon",
+    staleAbandonDesc: "Record as abandoned, timed up to when Obsidian was last seen",
+    staleKeepRunning: "Keep running",
+    staleKeepRunningDesc: "The time Obsidian was closed counts toward this session; an overdue countdown completes right away",
+    timerGapTitle: "Timer gap detected",
+    timerGapDesc: "The timer was interrupted for {duration} starting {start} (the computer may have slept or the system clock changed). How should this time be handled?",
+    timerGapExclude: "Exclude",
+    timerGapExcludeDesc: "Subtract this time from the session and record it on the session",
+    timerGapPause: "Pause",
+    timerGapPauseDesc: "Pause the session from when the gap began and resume it manually",
+    timerGapCount: "Count it",
+    timerGapCountDesc: "Count this time toward the session as usual",
+    timerGapExcluded: "Excluded {duration}",
+    extendCountdown: "Extend by {minutes} min",
+    shortenCountdown: "Shorten by {minutes} min",
+    countdownAdjusted: "Planned duration is now {duration}",
+    adjustCountdownFailed: "Only a running countdown can be adjusted",
+    restSummary: "{label}: {count} break(s), {duration} in total",
+    restSummaryEndedEarly: " ({count} ended early)",
+    routine: "Routine",
+    routines: "Routines",
+    routinesDesc: "Chain focus and rest periods into a fixed routine (e.g. warm-up 10 min → focus 50 min → rest 10 min). Each routine is registered as a command",
+    routineNamePlaceholder: "Routine name",
+    startRoutine: "Start routine",
+    deleteRoutine: "Delete routine",
+    deleteRoutineConfirm: "Delete the routine \"{name}\"?",
+    routineStepTypes: {"focus": "Focus", "rest": "Rest"},
+    minutes: "Minutes",
+    routineStepLabelPlaceholder: "Task (optional)",
+    moveUp: "Move up",
+    moveDown: "Move down",
+    deleteRoutineStep: "Delete step",
+    addRoutineStep: "Add step",
+    addRoutine: "Add routine",
+    routineStarted: "Started routine \"{name}\"",
+    routineFinished: "Routine \"{name}\" finished",
+    routineStopped: "Stopped routine \"{name}\"",
+    routineNotRunning: "No routine is running",
+    routineStepSkipped: "Skipped this focus step, {minutes} min recorded",
+    routineEmpty: "The routine does not exist or has no steps",
+    routineProgress: "{name} · step {current}/{total}: {step}",
+    routineNextStep: "Next: {step}",
+    skipRoutineStep: "Skip",
+    stopRoutine: "Stop routine",
+    goals: "Focus Goals",
+    goalsDesc: "Show progress in the timer, stat cards and focus code blocks, with a notice when a goal is reached; leave empty or 0 for no goal",
+    goalDailyMinutes: "Daily focus (minutes)",
+    goalDailyMinutesDesc: "Total completed focus time per day",
+    goalDailySessions: "Daily completed sessions",
+    goalDailySessionsDesc: "Number of completed focus sessions per day (abandoned ones don't count)",
+    goalWeeklyMinutes: "Weekly focus (minutes)",
+    goalWeeklyMinutesDesc: "Total completed focus time per week (Monday to Sunday)",
+    goalMonthlyMinutes: "Monthly focus (minutes)",
+    goalMonthlyMinutesDesc: "Total completed focus time per calendar month",
+    goalWeekdayMinutes: "Daily focus by weekday",
+    goalWeekdayMinutesDesc: "Daily focus minutes for each day from Monday to Sunday; leave empty to use the daily goal above, 0 for no goal that day",
+    weekdayShort: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+    goalLabels: {"daily": "Daily focus", "dailySessions": "Daily sessions", "weekly": "Weekly focus", "monthly": "Monthly focus"},
+    goalToday: "Today's goal",
+    goalReached: "Goal reached: {goal} ({progress})",
+    flowtime: "Flowtime",
+    flowtimeDesc: "Flowtime: no fixed duration; the break is based on how long you focused",
+    flowtimeStarted: "Flowtime started",
+    flowtimeRestSuggested: "Suggested break: {minutes} min",
+    flowtimeRule: "Flowtime break rule",
+    flowtimeRuleDesc: "After a Flowtime session, the break length is a ratio of the focus time or comes from its tier (with auto-break on, the break starts automatically)",
+    flowtimeRules: {"ratio": "Ratio", "tiers": "Tiers"},
+    flowtimeRatio: "Flowtime ratio",
+    flowtimeRatioDesc: "With the ratio rule, break = focus time ÷ this value (e.g. 5 means 50 min of focus earns a 10 min break)",
+    flowtimeTiers: "Flowtime tiers",
+    flowtimeTiersDesc: "With the tier rule, one \"focus minutes=break minutes\" per line, giving the break once focus reaches that many minutes; e.g. 25=8 means 25 min or more of focus earns an 8 min break",
+    sounds: "Sounds & Notifications",
+    soundsDesc: "Alert sounds when a countdown ends, a break ends or before the end, an ambient sound while focusing, and system notifications when a timer ends; sounds can be bundled or audio files from your vault",
+    soundVolume: "Alert volume",
+    ambientVolume: "Ambient volume",
+    soundEvents: {"focusEnd": "Focus ends", "restEnd": "Break ends", "warning": "Pre-end warning", "ambient": "Ambient sound while focusing"},
+    soundNames: {"none": "None", "bell": "Bell", "chime": "Chime", "digital": "Digital", "ticking": "Ticking", "whiteNoise": "White noise", "brownNoise": "Brown noise", "file": "Vault file"},
+    soundFilePlaceholder: "Vault audio path, e.g. sounds/bell.mp3",
+    soundPreview: "Preview",
+    soundFileMissing: "Audio file not found: {path}",
+    desktopNotifications: "System notifications",
+    desktopNotificationsDesc: "Send a system notification when a countdown completes, a break ends or a stopwatch reaches its limit, so you see it while Obsidian is in the background; click it to open the timer panel. Requires permission; falls back to an Obsidian notice when it can't be sent",
+    desktopNotificationsDenied: "Notification permission was not granted; allow Obsidian to send notifications in your system settings",
+    desktopNotificationsTest: "Send a test notification",
+    desktopNotificationsTestBody: "System notifications are on",
+    desktopNotificationTitles: {"focusEnd": "Focus complete", "countdownEnd": "Countdown finished", "restEnd": "Break over", "stopwatchCap": "Stopwatch stopped", "warning": "Almost done", "milestone": "Focus milestone"},
+    desktopNotifyFocusEnd: "{task} · {minutes} min",
+    desktopNotifyOvertime: "Planned time reached, still counting",
+    desktopNotifyRestEnd: "Ready for the next focus session",
+    warningMinutes: "Pre-end warnings",
+    warningMinutesDesc: "Warn when a countdown has this many minutes left (comma-separated, e.g. 5, 2; empty for none); each fires once per session",
+    milestoneMinutes: "Stopwatch milestones",
+    milestoneMinutesDesc: "Notify every time a stopwatch or Flowtime session reaches a multiple of these minutes (comma-separated, e.g. 60; empty for none)",
+    warningNotice: "{minutes} minutes left",
+    milestoneNotice: "You've focused {minutes} minutes",
+    messageTemplates: "Message templates",
+    messageTemplatesDesc: "Customize the messages shown when focus or a break starts and ends; the complete and break-end templates are also used for system notifications. Leave empty for the built-in message. Placeholders: {task} focus task, {minutes} minutes (planned at start, actual at the end), {planned} planned duration, {todayTotal} focus time today, {goalProgress} today's goal progress, {cycle} position in the current round (e.g. 2/4)",
+    messageTemplateEvents: {"start": "Focus started", "complete": "Focus completed", "abandon": "Focus abandoned", "restStart": "Break started", "restEnd": "Break ended"},
+    messageTemplateExamples: {"start": "Starting {task}: {planned}", "complete": "Done: {task} ({minutes} min), {todayTotal} today", "abandon": "Abandoned {task} ({minutes} min)", "restStart": "Break for {minutes} min, {cycle} this round", "restEnd": "Break over, daily goal {goalProgress}"},
+    messageTemplateUnknown: "Unknown placeholders: {names}; not saved until fixed",
+    zenMode: "Distraction-free mode",
+    zenModeDesc: "Make Obsidian quieter while you focus: collapse the sidebars and hide the ribbon and status bar (except the timer). The previous layout comes back when focus ends or a break starts; if you rearranged panes in the meantime the sidebars are left as they are",
+    zenModeEnabled: "Enter distraction-free mode while focusing",
+    zenModeOptions: {"collapseSidebars": "Collapse left and right sidebars", "hideRibbon": "Hide the ribbon", "hideStatusBar": "Hide the status bar (except the timer)"},
+    zenModeRestoreSkipped: "Panes were rearranged during focus, so the sidebars were not restored"
   }
 };
 
@@ -0,0 +1,292 @@
+const { MAX_SESSION_SEC } = require("./constants.js");
+const { getSessionFocusSec } = require("./timer-state.js");
+
+/** 会话区间重叠的容差（毫秒），避免秒级取整造成误报 */
+const OVERLAP_TOLERANCE_MS = 1000;
+/** 休息结束超过该时长仍处于休息状态，视为残留状态 */
+const STALE_REST_MS = 60 * 60 * 1000;
+
+function parseJson(raw) {
+  try {
+    return { ok: true, data: JSON.parse(String(raw).trim().replace(/^\uFEFF/, "")) };
+  } catch {
+    return { ok: false };
+  }
+}
+
+function toTime(value) {
+  if (typeof value !== "string" || !value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+function previewRaw(raw) {
+  const text = typeof raw === "string" ? raw : JSON.stringify(raw);
+  return text && text.length > 120 ? `${text.slice(0, 120)}…` : text;
+}
+
+/** 检查当前状态是否为异常残留，返回原因代码列表 */
+function getStaleStateReasons(state, now) {
+  if (!state || typeof state !== "object") return [];
+  const reasons = [];
+  if (state.active && state.resting) reasons.push("activeAndResting");
+  if (state.active) {
+    const start = toTime(state.start);
+    if (start === null) reasons.push("activeWithoutStart");
+    else if (now - start > MAX_SESSION_SEC * 1000) reasons.push("activeTooLong");
+  }
+  if (state.resting) {
+    const restEnd = toTime(state.restEnd);
+    if (restEnd !== null && now - restEnd > STALE_REST_MS) reasons.push("restExpired");
+  }
+  return reasons;
+}
+
+/**
+ * 扫描各数据文件原文，返回问题报告（不修改任何数据）。
+ * sources 来自 data.js 的 readDataSources；getInvalidReason 为 data.js 的会话校验。
+ */
+function checkDataIntegrity(sources, getInvalidReason, now = Date.now()) {
+  const report = {
+    sessionCount: 0,
+    invalidSessions: [],
+    duplicateIds: [],
+    overlaps: [],
+    badDurations: [],
+    endBeforeStart: [],
+    staleState: null
+  };
+
+  // 每个 id 出现的位置（data.json 残留的内联会话、日志、各年归档），出现在多处即为重复
+  const occurrences = new Map();
+  const addOccurrence = (source, session) => {
+    if (!occurrences.has(session.id)) occurrences.set(session.id, []);
+    occurrences.get(session.id).push({ source, session });
+  };
+
+  // data.json：文件本身与残留的内联会话
+  let state = null;
+  if (sources.dataRaw != null) {
+    const parsed = parseJson(sources.dataRaw);
+    if (!parsed.ok) {
+      report.invalidSessions.push({ source: "data.json", location: null, reason: "unparseableFile", preview: previewRaw(sources.dataRaw) });
+    } else {
+      state = parsed.data && parsed.data.state;
+      const inline = parsed.data && Array.isArray(parsed.data.sessions) ? parsed.data.sessions : [];
+      inline.forEach((session, index) => {
+        const reason = getInvalidReason(session);
+        if (reason) report.invalidSessions.push({ source: "data.json", location: index + 1, reason, preview: previewRaw(session) });
+        else addOccurrence("data.json", session);
+      });
+    }
+  }
+
+  // 会话日志：逐行解析，同 id 以后出现的为准
+  const journalById = new Map();
+  const deletedIds = new Set();
+  if (sources.journalRaw != null) {
+    String(sources.journalRaw).split(/\r?\n/).forEach((line, index) => {
+      const text = line.trim().replace(/^\uFEFF/, "");
+      if (!text) return;
+      const parsed = parseJson(text);
+      if (!parsed.ok) {
+        report.invalidSessions.push({ source: "sessions.jsonl", location: index + 1, reason: "parseError", preview: previewRaw(text) });
+        return;
+      }
+      const entry = parsed.data;
+      if (entry && entry.id != null && entry.deleted === true) {
+        journalById.delete(entry.id);
+        deletedIds.add(entry.id);
+        return;
+      }
+      const reason = getInvalidReason(entry);
+      if (reason) {
+        report.invalidSessions.push({ source: "sessions.jsonl", location: index + 1, reason, preview: previewRaw(text) });
+        return;
+      }
+      journalById.set(entry.id, entry);
+      deletedIds.delete(entry.id);
+    });
+  }
+
+  for (const session of journalById.values()) addOccurrence("sessions.jsonl", session);
+
+  // 归档文件
+  const archiveOccurrences = new Map();
+  for (const { year, raw } of sources.archives || []) {
+    const source = `sessions-${year}.json`;
+    const parsed = parseJson(raw);
+    if (!parsed.ok || !parsed.data || !Array.isArray(parsed.data.sessions)) {
+      report.invalidSessions.push({ source, location: null, reason: "unparseableFile", preview: previewRaw(raw) });
+      continue;
+    }
+    parsed.data.sessions.forEach((session, index) => {
+      const reason = getInvalidReason(session);
+      if (reason) {
+        report.invalidSessions.push({ source, location: index + 1, reason, preview: previewRaw(session) });
+        return;
+      }
+      if (!archiveOccurrences.has(session.id)) archiveOccurrences.set(session.id, []);
+      archiveOccurrences.get(session.id).push({ year, session });
+      if (!deletedIds.has(session.id)) addOccurrence(source, session);
+    });
+  }
+
+  // 报告读取时生效的那一份：日志优先，其次最后一个归档
+  for (const [id, items] of occurrences) {
+    if (items.length > 1) {
+      const effective = journalById.get(id) || items[items.length - 1].session;
+      report.duplicateIds.push({ id, sources: items.map((item) => item.source), session: effective });
+    }
+  }
+
+  // 合并后的会话（与 readSessions 一致：日志覆盖归档，删除标记生效）
+  const merged = new Map();
+  for (const [id, occurrences] of archiveOccurrences) {
+    if (!deletedIds.has(id)) merged.set(id, occurrences[occurrences.length - 1].session);
+  }
+  for (const [id, session] of journalById) merged.set(id, session);
+  report.sessionCount = merged.size;
+
+  const timed = [];
+  for (const session of merged.values()) {
+    const start = toTime(session.start);
+    if (start === null) {
+      report.invalidSessions.push({ source: "merged", location: session.id, reason: "badStartDate", preview: previewRaw(session), id: session.id });
+      continue;
+    }
+    const hasEnd = session.end != null;
+    const end = hasEnd ? toTime(session.end) : null;
+    if (hasEnd && end === null) {
+      report.invalidSessions.push({ source: "merged", location: session.id, reason: "badEndDate", preview: previewRaw(session), id: session.id });
+      continue;
+    }
+    if (end !== null && end < start) {
+      report.endBeforeStart.push({ session });
+    }
+    const actual = session.actualSec;
+    if (actual != null) {
+      if (typeof actual !== "number" || !Number.isFinite(actual)) {
+        report.badDurations.push({ session, reason: "notNumber" });
+      } else if (actual < 0) {
+        report.badDurations.push({ session, reason: "negative" });
+      } else if (actual > MAX_SESSION_SEC) {
+        report.badDurations.push({ session, reason: "tooLong" });
+      }
+    }
+    if (end !== null && end >= start) {
+      timed.push({ session, start, end });
+    }
+  }
+
+  // 重叠：按开始时间排序后，与此前结束最晚的会话比较
+  timed.sort((a, b) => a.start - b.start);
+  let latest = null;
+  for (const item of timed) {
+    if (latest && item.start < latest.end - OVERLAP_TOLERANCE_MS) {
+      report.overlaps.push({ first: latest.session, second: item.session });
+    }
+    if (!latest || item.end > latest.end) latest = item;
+  }
+
+  const staleReasons = getStaleStateReasons(state, now);
+  if (staleReasons.length > 0) {
+    report.staleState = { reasons: staleReasons, state };
+  }
+
+  return report;
+}
+
+/** 报告中是否存在任何问题 */
+function hasIntegrityIssues(report) {
+  return report.invalidSessions.length > 0
+    || report.duplicateIds.length > 0
+    || report.overlaps.length > 0
+    || report.badDurations.length > 0
+    || report.endBeforeStart.length > 0
+    || report.staleState !== null;
+}
+
+function durationBetween(startIso, endIso) {
+  return Math.floor((new Date(endIso).getTime() - new Date(startIso).getTime()) / 1000);
+}
+
+/**
+ * 为某一类问题生成修复操作（供预览后交给 data.js 的 applyIntegrityRepairs 执行）：
+ * - { type: "delete", id, session }
+ * - { type: "update", id, session, changes }
+ * - { type: "dropInvalid", sources } / { type: "dedupeSessions" } / { type: "resetState" }
+ */
+function planIntegrityRepairs(report, category) {
+  const ops = [];
+
+  if (category === "invalidSessions") {
+    const sources = new Set();
+    for (const item of report.invalidSessions) {
+      if (item.source === "merged") {
+        ops.push({ type: "delete", id: item.id, reason: item.reason, preview: item.preview });
+      } else {
+        sources.add(item.source);
+      }
+    }
+    if (sources.size > 0) {
+      ops.unshift({ type: "dropInvalid", sources: [...sources], count: report.invalidSessions.filter((item) => item.source !== "merged").length });
+    }
+  } else if (category === "duplicateIds") {
+    if (report.duplicateIds.length > 0) {
+      ops.push({ type: "dedupeSessions", count: report.duplicateIds.length });
+    }
+  } else if (category === "overlaps") {
+    const deleted = new Set();
+    const trimmed = new Set();
+    for (const { first, second } of report.overlaps) {
+      if (deleted.has(first.id) || deleted.has(second.id)) continue;
+      // 完全包含：删除被包含的那条；部分重叠：把前一条的结束时间截到后一条开始
+      if (new Date(second.end).getTime() <= new Date(first.end).getTime()) {
+        deleted.add(second.id);
+        ops.push({ type: "delete", id: second.id, session: second, reason: "containedIn", other: first });
+      } else if (!trimmed.has(first.id)) {
+        trimmed.add(first.id);
+        ops.push({
+          type: "update",
+          id: first.id,
+          session: first,
+          changes: { end: second.start, actualSec: getSessionFocusSec(first, first.start, second.start) }
+        });
+      }
+    }
+  } else if (category === "badDurations") {
+    for (const { session } of report.badDurations) {
+      // 时长按结束减开始再扣除暂停重算（同 stopFocus）；起止时间本身不合理时删除
+      const wallSec = session.end ? durationBetween(session.start, session.end) : NaN;
+      if (Number.isFinite(wallSec) && wallSec >= 0 && wallSec <= MAX_SESSION_SEC) {
+        ops.push({ type: "update", id: session.id, session, changes: { actualSec: getSessionFocusSec(session) } });
+      } else {
+        ops.push({ type: "delete", id: session.id, session });
+      }
+    }
+  } else if (category === "endBeforeStart") {
+    for (const { session } of report.endBeforeStart) {
+      const actual = session.actualSec;
+      if (typeof actual === "number" && Number.isFinite(actual) && actual >= 0 && actual <= MAX_SESSION_SEC) {
+        const end = new Date(new Date(session.start).getTime() + actual * 1000).toISOString();
+        ops.push({ type: "update", id: session.id, session, changes: { end } });
+      } else {
+        ops.push({ type: "delete", id: session.id, session });
+      }
+    }
+  } else if (category === "staleState") {
+    if (report.staleState) {
+      ops.push({ type: "resetState", reasons: report.staleState.reasons });
+    }
+  }
+
+  return ops;
+}
+
+module.exports = {
+  checkDataIntegrity,
+  hasIntegrityIssues,
+  planIntegrityRepairs,
+  getStaleStateReasons
+};
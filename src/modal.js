@@ -1,13 +1,22 @@
 const obsidian = require("obsidian");
-const { Modal } = obsidian;
-const { t } = require("./i18n.js");
+const { Modal, Setting, Notice } = obsidian;
+const { t, getLanguage } = require("./i18n.js");
+const { planIntegrityRepairs, hasIntegrityIssues } = require("./integrity.js");
+const { FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER, MAX_SESSION_SEC, nowISO } = require("./constants.js");
+const { toLocalDateTimeInput, getDateKey, formatDate, formatTimeShort, formatSessionStatus } = require("./format.js");
+const { getSessionFocusSec } = require("./timer-state.js");
+const { limitInputLength } = require("./utils.js");
+const { attachTaskSuggest } = require("./task-suggest.js");
+const { EXPORT_FORMATS, getExportFileName, normalizeExportPath } = require("./export.js");
+const { NO_COLUMN, IMPORT_FIELDS, IMPORT_PRESETS, detectImportPreset, buildImportMapping, planCsvImport } = require("./csv-import.js");
 
 class ConfirmModal extends Modal {
-  constructor(app, title, message, onConfirm) {
+  constructor(app, title, message, onConfirm, confirmText = null) {
     super(app);
     this.titleText = title;
     this.messageText = message;
     this.onConfirm = onConfirm;
+    this.confirmText = confirmText;
   }
 
   onOpen() {
@@ -22,7 +31,7 @@ class ConfirmModal extends Modal {
     const cancelBtn = buttons.createEl("button", { text: t("cancel") });
     cancelBtn.onclick = () => this.close();
 
-    const confirmBtn = buttons.createEl("button", { text: t("delete") });
+    const confirmBtn = buttons.createEl("button", { text: this.confirmText || t("delete") });
     confirmBtn.addClass("mod-warning");
     confirmBtn.onclick = async () => {
       try {
@@ -40,4 +49,869 @@ class ConfirmModal extends Modal {
   }
 }
 
-module.exports = { ConfirmModal };
+/**
+ * 编辑单条专注记录：开始/结束时间、状态与专注事项。
+ * onSave(changes) 接收校验通过的修改（含重新计算的 actualSec）。
+ */
+class SessionEditModal extends Modal {
+  constructor(app, session, onSave) {
+    super(app);
+    this.session = session;
+    this.onSave = onSave;
+    this.values = {
+      start: toLocalDateTimeInput(session.start),
+      end: toLocalDateTimeInput(session.end || session.start),
+      status: session.status,
+      note: session.note || ""
+    };
+  }
+
+  onOpen() {
+    const { contentEl, titleEl } = this;
+    titleEl.setText(t("editSession"));
+    contentEl.empty();
+
+    new Setting(contentEl)
+      .setName(t("sessionStart"))
+      .addText((text) => {
+        text.inputEl.type = "datetime-local";
+        text.setValue(this.values.start).onChange((value) => { this.values.start = value; });
+      });
+
+    new Setting(contentEl)
+      .setName(t("sessionEnd"))
+      .addText((text) => {
+        text.inputEl.type = "datetime-local";
+        text.setValue(this.values.end).onChange((value) => { this.values.end = value; });
+      });
+
+    new Setting(contentEl)
+      .setName(t("sessionStatus"))
+      .addDropdown((dropdown) => dropdown
+        .addOption("completed", t("completedStatus"))
+        .addOption("abandoned", t("abandonedStatus"))
+        .addOption("skipped", t("skippedStatus"))
+        .setValue(this.values.status)
+        .onChange((value) => { this.values.status = value; }));
+
+    new Setting(contentEl)
+      .setName(t("sessionNote"))
+      .addText((text) => {
+        text.setValue(this.values.note).onChange((value) => {
+          const limited = limitInputLength(value, FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER);
+          if (limited !== value) text.setValue(limited);
+          this.values.note = limited;
+        });
+      });
+
+    this.errorEl = contentEl.createDiv({ cls: "focus-timer-plugin-session-edit-error" });
+
+    const buttons = contentEl.createDiv({ cls: "focus-timer-plugin-confirm-buttons" });
+
+    const cancelBtn = buttons.createEl("button", { text: t("cancel") });
+    cancelBtn.onclick = () => this.close();
+
+    const saveBtn = buttons.createEl("button", { text: t("save") });
+    saveBtn.addClass("mod-cta");
+    saveBtn.onclick = async () => {
+      const result = this.validate();
+      if (result.error) {
+        this.errorEl.setText(result.error);
+        return;
+      }
+      saveBtn.disabled = true;
+      try {
+        await this.onSave(result.changes);
+        this.close();
+      } catch (error) {
+        console.error("[Focus Timer] Failed to save session:", error);
+        this.errorEl.setText(t("sessionSaveFailed"));
+        saveBtn.disabled = false;
+      }
+    };
+  }
+
+  /** 校验输入，返回 { error } 或 { changes } */
+  validate() {
+    const start = new Date(this.values.start);
+    const end = new Date(this.values.end);
+    if (!this.values.start || !this.values.end || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return { error: t("sessionInvalidTime") };
+    }
+    if (end.getTime() <= start.getTime()) {
+      return { error: t("sessionEndBeforeStart") };
+    }
+    // datetime-local 精确到分钟，允许结束时间落在当前这一分钟内
+    if (end.getTime() > Date.now() + 60 * 1000) {
+      return { error: t("sessionInFuture") };
+    }
+    const actualSec = Math.floor((end.getTime() - start.getTime()) / 1000);
+    if (actualSec > MAX_SESSION_SEC) {
+      return { error: t("sessionTooLong") };
+    }
+
+    // 未改动的时间保留原始秒级精度
+    const startIso = this.values.start === toLocalDateTimeInput(this.session.start) ? this.session.start : start.toISOString();
+    const originalEnd = this.session.end || this.session.start;
+    const endIso = this.values.end === toLocalDateTimeInput(originalEnd) ? originalEnd : end.toISOString();
+    const changes = {
+      start: startIso,
+      end: endIso,
+      status: this.values.status,
+      note: this.values.note.trim()
+    };
+    // 只在时间改动时重算时长（扣除暂停），只改状态或事项时保留原时长
+    if (startIso !== this.session.start || endIso !== originalEnd) {
+      changes.actualSec = getSessionFocusSec(this.session, startIso, endIso);
+    }
+    return { changes };
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/**
+ * 手动补录一条过去的专注记录：日期、开始时间、时长、计划时长、状态与专注事项。
+ * onSave(session) 接收校验通过、标记为 manual 的会话。
+ */
+class ManualSessionModal extends Modal {
+  constructor(app, plugin, onSave) {
+    super(app);
+    this.plugin = plugin;
+    this.onSave = onSave;
+    const defaultMinutes = plugin.settings.defaultDurationMinutes || 25;
+    const start = new Date(Date.now() - defaultMinutes * 60 * 1000);
+    this.values = {
+      date: getDateKey(start),
+      time: toLocalDateTimeInput(start).slice(11),
+      durationMinutes: String(defaultMinutes),
+      plannedMinutes: String(defaultMinutes),
+      status: "completed",
+      note: ""
+    };
+  }
+
+  onOpen() {
+    const { contentEl, titleEl } = this;
+    titleEl.setText(t("addManualSession"));
+    contentEl.empty();
+
+    new Setting(contentEl)
+      .setName(t("manualSessionDate"))
+      .addText((text) => {
+        text.inputEl.type = "date";
+        text.setValue(this.values.date).onChange((value) => { this.values.date = value; });
+      });
+
+    new Setting(contentEl)
+      .setName(t("sessionStart"))
+      .addText((text) => {
+        text.inputEl.type = "time";
+        text.setValue(this.values.time).onChange((value) => { this.values.time = value; });
+      });
+
+    new Setting(contentEl)
+      .setName(t("manualSessionDuration"))
+      .addText((text) => {
+        text.inputEl.type = "number";
+        text.inputEl.min = "1";
+        text.setValue(this.values.durationMinutes).onChange((value) => { this.values.durationMinutes = value; });
+      });
+
+    new Setting(contentEl)
+      .setName(t("manualSessionPlanned"))
+      .setDesc(t("manualSessionPlannedDesc"))
+      .addText((text) => {
+        text.inputEl.type = "number";
+        text.inputEl.min = "1";
+        text.setValue(this.values.plannedMinutes).onChange((value) => { this.values.plannedMinutes = value; });
+      });
+
+    new Setting(contentEl)
+      .setName(t("sessionStatus"))
+      .addDropdown((dropdown) => dropdown
+        .addOption("completed", t("completedStatus"))
+        .addOption("abandoned", t("abandonedStatus"))
+        .setValue(this.values.status)
+        .onChange((value) => { this.values.status = value; }));
+
+    // 专注事项：与计时面板共用联想任务列表
+    const noteSetting = new Setting(contentEl).setName(t("sessionNote"));
+    const noteContainer = noteSetting.controlEl.createDiv("focus-timer-plugin-note-input-container");
+    const noteInput = noteContainer.createEl("input", {
+      type: "text",
+      placeholder: t("focusItem"),
+      cls: "focus-timer-plugin-note-input"
+    });
+    const syncNote = () => { this.values.note = noteInput.value; };
+    noteInput.addEventListener("input", syncNote);
+    noteInput.addEventListener("change", syncNote);
+    this.detachTaskSuggest = attachTaskSuggest(this.plugin, noteContainer, noteInput);
+
+    this.errorEl = contentEl.createDiv({ cls: "focus-timer-plugin-session-edit-error" });
+
+    const buttons = contentEl.createDiv({ cls: "focus-timer-plugin-confirm-buttons" });
+
+    const cancelBtn = buttons.createEl("button", { text: t("cancel") });
+    cancelBtn.onclick = () => this.close();
+
+    const saveBtn = buttons.createEl("button", { text: t("save") });
+    saveBtn.addClass("mod-cta");
+    saveBtn.onclick = async () => {
+      const result = this.validate();
+      if (result.error) {
+        this.errorEl.setText(result.error);
+        return;
+      }
+      saveBtn.disabled = true;
+      try {
+        await this.onSave(result.session);
+        this.close();
+      } catch (error) {
+        console.error("[Focus Timer] Failed to add manual session:", error);
+        this.errorEl.setText(error.message || t("sessionSaveFailed"));
+        saveBtn.disabled = false;
+      }
+    };
+  }
+
+  /** 校验输入，返回 { error } 或 { session } */
+  validate() {
+    const start = new Date(`${this.values.date}T${this.values.time}`);
+    if (!this.values.date || !this.values.time || isNaN(start.getTime())) {
+      return { error: t("sessionInvalidTime") };
+    }
+    const durationMinutes = Number(this.values.durationMinutes);
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1) {
+      return { error: t("manualSessionInvalidDuration") };
+    }
+    const actualSec = durationMinutes * 60;
+    if (actualSec > MAX_SESSION_SEC) {
+      return { error: t("sessionTooLong") };
+    }
+    // 计划时长留空表示正计时
+    const plannedText = String(this.values.plannedMinutes || "").trim();
+    const plannedMinutes = plannedText ? Number(plannedText) : null;
+    if (plannedMinutes !== null && (!Number.isInteger(plannedMinutes) || plannedMinutes < 1 || plannedMinutes * 60 > MAX_SESSION_SEC)) {
+      return { error: t("manualSessionInvalidPlanned") };
+    }
+    const end = new Date(start.getTime() + actualSec * 1000);
+    if (end.getTime() > Date.now() + 60 * 1000) {
+      return { error: t("sessionInFuture") };
+    }
+
+    const startIso = start.toISOString();
+    return {
+      session: {
+        id: startIso,
+        start: startIso,
+        end: end.toISOString(),
+        plannedSec: plannedMinutes === null ? null : plannedMinutes * 60,
+        actualSec,
+        status: this.values.status,
+        note: limitInputLength(this.values.note.trim(), FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER),
+        manual: true,
+        createdAt: nowISO()
+      }
+    };
+  }
+
+  onClose() {
+    if (this.detachTaskSuggest) {
+      this.detachTaskSuggest();
+      this.detachTaskSuggest = null;
+    }
+    this.contentEl.empty();
+  }
+}
+
+/** 完整性报告中每类问题最多列出的条目数 */
+const INTEGRITY_LIST_LIMIT = 20;
+const INTEGRITY_CATEGORIES = ["invalidSessions", "duplicateIds", "overlaps", "badDurations", "endBeforeStart", "staleState"];
+
+function describeSession(session) {
+  if (!session) return "";
+  const note = session.note && String(session.note).trim() ? String(session.note).trim() : t("oneTask");
+  const actual = session.actualSec;
+  const duration = typeof actual === "number" && actual >= 0 ? formatTimeShort(actual) : `${actual}s`;
+  return getLanguage() === 'zh'
+    ? `${formatDate(session.start)} ${note}（${duration}）`
+    : `${formatDate(session.start)} ${note} (${duration})`;
+}
+
+/**
+ * 专注数据完整性报告：按类别列出问题，每类可生成修复方案，预览确认后才写入。
+ * actions.scan() 返回 integrity.js 的报告；actions.apply(ops) 执行修复。
+ */
+class IntegrityReportModal extends Modal {
+  constructor(app, actions) {
+    super(app);
+    this.actions = actions;
+    this.report = null;
+  }
+
+  async onOpen() {
+    this.titleEl.setText(t("integrityTitle"));
+    await this.rescan();
+  }
+
+  async rescan() {
+    this.contentEl.empty();
+    this.contentEl.createEl("p", { text: t("integrityScanning") });
+    try {
+      this.report = await this.actions.scan();
+    } catch (error) {
+      console.error("[Focus Timer] Integrity check failed:", error);
+      this.contentEl.empty();
+      this.contentEl.createEl("p", { text: `${t("integrityScanFailed")}: ${error.message}` });
+      return;
+    }
+    this.renderReport();
+  }
+
+  renderReport() {
+    const { contentEl } = this;
+    const report = this.report;
+    contentEl.empty();
+
+    if (!hasIntegrityIssues(report)) {
+      contentEl.createEl("p", { text: t("integrityNoIssues").replace("{count}", report.sessionCount) });
+      return;
+    }
+    contentEl.createEl("p", { text: t("integritySummary").replace("{count}", report.sessionCount) });
+
+    const labels = t("integrityCategories");
+    for (const category of INTEGRITY_CATEGORIES) {
+      const lines = this.describeIssues(category);
+      if (lines.length === 0) continue;
+
+      const section = contentEl.createDiv({ cls: "focus-timer-plugin-integrity-section" });
+      new Setting(section)
+        .setName(`${labels[category]}（${lines.length}）`)
+        .setDesc(t("integrityCategoryDescs")[category])
+        .addButton((button) => button
+          .setButtonText(t("integrityFix"))
+          .onClick(() => this.renderPreview(category)));
+
+      const list = section.createEl("ul", { cls: "focus-timer-plugin-integrity-list" });
+      lines.slice(0, INTEGRITY_LIST_LIMIT).forEach((line) => list.createEl("li", { text: line }));
+      if (lines.length > INTEGRITY_LIST_LIMIT) {
+        list.createEl("li", { text: t("integrityMore").replace("{count}", lines.length - INTEGRITY_LIST_LIMIT) });
+      }
+    }
+  }
+
+  /** 某类问题的逐条说明 */
+  describeIssues(category) {
+    const report = this.report;
+    const reasons = t("integrityReasons");
+    if (category === "invalidSessions") {
+      return report.invalidSessions.map((item) => {
+        let where = "";
+        if (item.source !== "merged") {
+          where = item.location == null
+            ? item.source
+            : t("integrityLocation").replace("{source}", item.source).replace("{location}", item.location);
+        }
+        const colon = getLanguage() === 'zh' ? "：" : ": ";
+        return `${where ? `${where} · ` : ""}${reasons[item.reason] || item.reason}${colon}${item.preview}`;
+      });
+    }
+    if (category === "duplicateIds") {
+      return report.duplicateIds.map((item) => `${describeSession(item.session)} · ${item.sources.join(", ")}`);
+    }
+    if (category === "overlaps") {
+      return report.overlaps.map((item) => `${describeSession(item.first)} ↔ ${describeSession(item.second)}`);
+    }
+    if (category === "badDurations") {
+      return report.badDurations.map((item) => `${describeSession(item.session)} · ${reasons[item.reason] || item.reason}`);
+    }
+    if (category === "endBeforeStart") {
+      return report.endBeforeStart.map((item) => `${describeSession(item.session)} · ${t("sessionEnd")} ${formatDate(item.session.end)}`);
+    }
+    if (category === "staleState" && report.staleState) {
+      return report.staleState.reasons.map((reason) => reasons[reason] || reason);
+    }
+    return [];
+  }
+
+  /** 修复预览：列出将执行的修改，确认后才写入 */
+  renderPreview(category) {
+    const { contentEl } = this;
+    const ops = planIntegrityRepairs(this.report, category);
+    contentEl.empty();
+    contentEl.createEl("h4", { text: t("integrityCategories")[category] });
+    contentEl.createEl("p", { text: t("integrityPreviewTitle") });
+
+    const list = contentEl.createEl("ul", { cls: "focus-timer-plugin-integrity-list" });
+    ops.forEach((op) => list.createEl("li", { text: this.describeOp(op) }));
+    contentEl.createEl("p", { text: t("integrityBackupNote"), cls: "focus-timer-plugin-integrity-note" });
+
+    const buttons = contentEl.createDiv({ cls: "focus-timer-plugin-confirm-buttons" });
+    const backBtn = buttons.createEl("button", { text: t("integrityBack") });
+    backBtn.onclick = () => this.renderReport();
+
+    const applyBtn = buttons.createEl("button", { text: t("integrityApply") });
+    applyBtn.addClass("mod-warning");
+    applyBtn.disabled = ops.length === 0;
+    applyBtn.onclick = async () => {
+      applyBtn.disabled = true;
+      try {
+        await this.actions.apply(ops);
+        new Notice(t("integrityRepairDone"));
+      } catch (error) {
+        console.error("[Focus Timer] Integrity repair failed:", error);
+        new Notice(`${t("integrityRepairFailed")}: ${error.message}`, 5000);
+      }
+      await this.rescan();
+    };
+  }
+
+  describeOp(op) {
+    if (op.type === "dropInvalid") {
+      return t("integrityOpDropInvalid").replace("{count}", op.count).replace("{sources}", op.sources.join(", "));
+    }
+    if (op.type === "dedupeSessions") {
+      return t("integrityOpDedupe").replace("{count}", op.count);
+    }
+    if (op.type === "resetState") {
+      return t("integrityOpResetState");
+    }
+    if (op.type === "delete") {
+      return t("integrityOpDelete").replace("{session}", op.session ? describeSession(op.session) : op.preview);
+    }
+    const changes = Object.entries(op.changes).map(([key, value]) => {
+      if (key === "end") return `${t("sessionEnd")} ${formatDate(value)}`;
+      if (key === "actualSec") return formatTimeShort(value);
+      return `${key}: ${value}`;
+    });
+    return t("integrityOpUpdate").replace("{session}", describeSession(op.session)).replace("{changes}", changes.join(getLanguage() === 'zh' ? "，" : ", "));
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/** 导入预览中最多列出的会话与错误行数 */
+const CSV_PREVIEW_LIMIT = 10;
+
+/**
+ * CSV 导入：识别表头预设（本插件导出 / Toggl / Clockify / Forest），可逐列调整映射，
+ * 预览去重后的结果，确认后交给 onImport(sessions) 写入。
+ */
+class CsvImportModal extends Modal {
+  constructor(app, { fileName, rows, existingIds, onImport }) {
+    super(app);
+    this.fileName = fileName;
+    this.rows = rows;
+    this.headers = rows[0] || [];
+    this.existingIds = existingIds;
+    this.onImport = onImport;
+    this.preset = detectImportPreset(this.headers) || "custom";
+    this.mapping = buildImportMapping(this.headers, this.preset);
+  }
+
+  onOpen() {
+    this.titleEl.setText(t("csvImportTitle"));
+    this.render();
+  }
+
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("p", {
+      text: t("csvImportFileInfo").replace("{file}", this.fileName).replace("{count}", Math.max(0, this.rows.length - 1))
+    });
+
+    const presetLabels = t("csvImportPresets");
+    new Setting(contentEl)
+      .setName(t("csvImportPreset"))
+      .addDropdown((dropdown) => {
+        dropdown.addOption("custom", presetLabels.custom);
+        Object.keys(IMPORT_PRESETS).forEach((name) => dropdown.addOption(name, presetLabels[name]));
+        dropdown.setValue(this.preset).onChange((value) => {
+          this.preset = value;
+          this.mapping = buildImportMapping(this.headers, value);
+          this.render();
+        });
+      });
+
+    // 列映射：每个字段对应一列，“未选择”表示不导入该字段
+    const fieldLabels = t("csvImportFields");
+    const columnOptions = this.headers.map((header, index) => [String(index), header.trim() || `#${index + 1}`]);
+    for (const field of IMPORT_FIELDS) {
+      new Setting(contentEl)
+        .setName(fieldLabels[field])
+        .addDropdown((dropdown) => {
+          dropdown.addOption(String(NO_COLUMN), t("csvImportNoColumn"));
+          columnOptions.forEach(([value, label]) => dropdown.addOption(value, label));
+          dropdown.setValue(String(this.mapping.columns[field])).onChange((value) => {
+            this.mapping.columns[field] = Number(value);
+            this.renderPreview();
+          });
+        });
+    }
+
+    const unitLabels = t("csvImportDurationUnits");
+    new Setting(contentEl)
+      .setName(t("csvImportDurationUnit"))
+      .setDesc(t("csvImportDurationUnitDesc"))
+      .addDropdown((dropdown) => {
+        ["seconds", "minutes", "hours"].forEach((unit) => dropdown.addOption(unit, unitLabels[unit]));
+        dropdown.setValue(this.mapping.durationUnit).onChange((value) => {
+          this.mapping.durationUnit = value;
+          this.renderPreview();
+        });
+      });
+
+    const orderLabels = t("csvImportDateOrders");
+    new Setting(contentEl)
+      .setName(t("csvImportDateOrder"))
+      .setDesc(t("csvImportDateOrderDesc"))
+      .addDropdown((dropdown) => {
+        ["auto", "mdy", "dmy"].forEach((order) => dropdown.addOption(order, orderLabels[order]));
+        dropdown.setValue(this.mapping.dateOrder).onChange((value) => {
+          this.mapping.dateOrder = value;
+          this.renderPreview();
+        });
+      });
+
+    this.previewEl = contentEl.createDiv({ cls: "focus-timer-plugin-integrity-section" });
+
+    const buttons = contentEl.createDiv({ cls: "focus-timer-plugin-confirm-buttons" });
+    const cancelBtn = buttons.createEl("button", { text: t("cancel") });
+    cancelBtn.onclick = () => this.close();
+
+    this.importBtn = buttons.createEl("button", { text: t("csvImportConfirm") });
+    this.importBtn.addClass("mod-cta");
+    this.importBtn.onclick = async () => {
+      const sessions = this.plan.sessions;
+      this.importBtn.disabled = true;
+      try {
+        await this.onImport(sessions);
+        this.close();
+      } catch (error) {
+        console.error("[Focus Timer] CSV import failed:", error);
+        new Notice(`${t("csvImportFailed")}: ${error.message}`, 5000);
+        this.importBtn.disabled = false;
+      }
+    };
+
+    this.renderPreview();
+  }
+
+  /** 按当前映射重新生成导入计划并显示预览 */
+  renderPreview() {
+    const el = this.previewEl;
+    el.empty();
+    this.plan = planCsvImport(this.rows, this.mapping, this.existingIds);
+    const { sessions, duplicates, invalid } = this.plan;
+
+    el.createEl("p", {
+      text: t("csvImportSummary")
+        .replace("{count}", sessions.length)
+        .replace("{duplicates}", duplicates)
+        .replace("{invalid}", invalid.length)
+    });
+
+    if (sessions.length > 0) {
+      const list = el.createEl("ul", { cls: "focus-timer-plugin-integrity-list" });
+      sessions.slice(0, CSV_PREVIEW_LIMIT).forEach((session) => {
+        const status = formatSessionStatus(session.status);
+        list.createEl("li", { text: `${describeSession(session)} · ${status}` });
+      });
+      if (sessions.length > CSV_PREVIEW_LIMIT) {
+        list.createEl("li", { text: t("integrityMore").replace("{count}", sessions.length - CSV_PREVIEW_LIMIT) });
+      }
+    }
+
+    if (invalid.length > 0) {
+      const reasons = t("csvImportReasons");
+      const list = el.createEl("ul", { cls: "focus-timer-plugin-integrity-list" });
+      invalid.slice(0, CSV_PREVIEW_LIMIT).forEach((item) => {
+        list.createEl("li", { text: t("csvImportInvalidLine").replace("{line}", item.line).replace("{reason}", reasons[item.reason] || item.reason) });
+      });
+      if (invalid.length > CSV_PREVIEW_LIMIT) {
+        list.createEl("li", { text: t("integrityMore").replace("{count}", invalid.length - CSV_PREVIEW_LIMIT) });
+      }
+    }
+
+    this.importBtn.setText(t("csvImportConfirm").replace("{count}", sessions.length));
+    this.importBtn.disabled = sessions.length === 0;
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/**
+ * 导出数据：选择格式（CSV / JSON / Markdown / iCalendar）与保存位置（下载或库内路径），
+ * Markdown 始终写入库内，可按日期范围与任务筛选。确认后交给 onExport(options) 执行。
+ */
+class ExportModal extends Modal {
+  constructor(app, plugin, onExport) {
+    super(app);
+    this.plugin = plugin;
+    this.onExport = onExport;
+    this.values = {
+      format: "csv",
+      target: "download",
+      folder: plugin.settings.exportFolder || "",
+      path: "",
+      from: "",
+      to: "",
+      task: ""
+    };
+    this.values.path = this.getDefaultPath();
+    this.confirmOverwrite = false;
+  }
+
+  getDefaultPath() {
+    const fileName = getExportFileName(this.values.format);
+    return this.values.folder ? `${this.values.folder}/${fileName}` : fileName;
+  }
+
+  /** Markdown 只能写入库内 */
+  getTarget() {
+    return this.values.format === "markdown" ? "vault" : this.values.target;
+  }
+
+  onOpen() {
+    this.titleEl.setText(t("exportData"));
+    this.render();
+  }
+
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+    this.confirmOverwrite = false;
+
+    const formatLabels = t("exportFormats");
+    new Setting(contentEl)
+      .setName(t("exportFormat"))
+      .addDropdown((dropdown) => {
+        Object.keys(EXPORT_FORMATS).forEach((format) => dropdown.addOption(format, formatLabels[format]));
+        dropdown.setValue(this.values.format).onChange((value) => {
+          this.values.format = value;
+          this.values.path = this.getDefaultPath();
+          this.render();
+        });
+      });
+
+    if (this.values.format !== "markdown") {
+      new Setting(contentEl)
+        .setName(t("exportTarget"))
+        .addDropdown((dropdown) => dropdown
+          .addOption("download", t("exportTargetDownload"))
+          .addOption("vault", t("exportTargetVault"))
+          .setValue(this.values.target)
+          .onChange((value) => {
+            this.values.target = value;
+            this.render();
+          }));
+    }
+
+    if (this.getTarget() === "vault") {
+      new Setting(contentEl)
+        .setName(t("exportPath"))
+        .setDesc(t("exportPathDesc"))
+        .addText((text) => text
+          .setPlaceholder(getExportFileName(this.values.format))
+          .setValue(this.values.path)
+          .onChange((value) => {
+            this.values.path = value;
+            this.resetOverwrite();
+          }));
+    }
+
+    if (this.values.format === "markdown") {
+      new Setting(contentEl)
+        .setName(t("exportFrom"))
+        .addText((text) => {
+          text.inputEl.type = "date";
+          text.setValue(this.values.from).onChange((value) => { this.values.from = value; });
+        });
+      new Setting(contentEl)
+        .setName(t("exportTo"))
+        .addText((text) => {
+          text.inputEl.type = "date";
+          text.setValue(this.values.to).onChange((value) => { this.values.to = value; });
+        });
+      new Setting(contentEl)
+        .setName(t("exportTask"))
+        .setDesc(t("exportTaskDesc"))
+        .addText((text) => text
+          .setPlaceholder(t("focusItem"))
+          .setValue(this.values.task)
+          .onChange((value) => { this.values.task = value; }));
+    }
+
+    this.errorEl = contentEl.createDiv({ cls: "focus-timer-plugin-session-edit-error" });
+
+    const buttons = contentEl.createDiv({ cls: "focus-timer-plugin-confirm-buttons" });
+    const cancelBtn = buttons.createEl("button", { text: t("cancel") });
+    cancelBtn.onclick = () => this.close();
+
+    this.exportBtn = buttons.createEl("button", { text: t("exportConfirm") });
+    this.exportBtn.addClass("mod-cta");
+    this.exportBtn.onclick = () => this.submit();
+  }
+
+  resetOverwrite() {
+    if (!this.confirmOverwrite) return;
+    this.confirmOverwrite = false;
+    this.errorEl.setText("");
+    this.exportBtn.setText(t("exportConfirm"));
+  }
+
+  async submit() {
+    const { format, from, to, task } = this.values;
+    const target = this.getTarget();
+    if (format === "markdown" && from && to && from > to) {
+      this.errorEl.setText(t("exportInvalidRange"));
+      return;
+    }
+
+    let path = "";
+    if (target === "vault") {
+      path = normalizeExportPath(this.values.path, format);
+      if (!path) {
+        this.errorEl.setText(t("exportInvalidPath"));
+        return;
+      }
+      // 已存在的文件需再次点击确认覆盖
+      if (!this.confirmOverwrite && (await this.app.vault.adapter.exists(path))) {
+        this.confirmOverwrite = true;
+        this.errorEl.setText(t("exportFileExists").replace("{path}", path));
+        this.exportBtn.setText(t("exportOverwrite"));
+        return;
+      }
+    }
+
+    this.exportBtn.disabled = true;
+    try {
+      const exported = await this.onExport({ format, target, path, filters: format === "markdown" ? { from, to, task } : {} });
+      if (exported) this.close();
+      else this.exportBtn.disabled = false;
+    } catch (error) {
+      console.error("[Focus Timer] Export failed:", error);
+      this.errorEl.setText(`${t("exportFailed")}: ${error.message}`);
+      this.exportBtn.disabled = false;
+    }
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/** 记录一次打断：选择内部/外部，可附简短备注，不会停止计时 */
+class InterruptionModal extends Modal {
+  constructor(app, onSubmit) {
+    super(app);
+    this.onSubmit = onSubmit;
+    this.values = { type: "internal", note: "" };
+  }
+
+  onOpen() {
+    const { contentEl, titleEl } = this;
+    titleEl.setText(t("logInterruption"));
+    contentEl.empty();
+
+    const types = t("interruptionTypes");
+    new Setting(contentEl)
+      .setName(t("interruptionType"))
+      .setDesc(t("interruptionTypeDesc"))
+      .addDropdown((dropdown) => dropdown
+        .addOption("internal", types.internal)
+        .addOption("external", types.external)
+        .setValue(this.values.type)
+        .onChange((value) => { this.values.type = value; }));
+
+    new Setting(contentEl)
+      .setName(t("interruptionNote"))
+      .addText((text) => {
+        text.setPlaceholder(t("interruptionNotePlaceholder")).onChange((value) => { this.values.note = value; });
+        text.inputEl.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            this.submit();
+          }
+        });
+        window.setTimeout(() => text.inputEl.focus(), 0);
+      });
+
+    const buttons = contentEl.createDiv({ cls: "focus-timer-plugin-confirm-buttons" });
+    const cancelBtn = buttons.createEl("button", { text: t("cancel") });
+    cancelBtn.onclick = () => this.close();
+
+    const saveBtn = buttons.createEl("button", { text: t("save") });
+    saveBtn.addClass("mod-cta");
+    saveBtn.onclick = () => this.submit();
+  }
+
+  async submit() {
+    this.close();
+    await this.onSubmit(this.values.type, this.values.note);
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/**
+ * 计时异常时让用户选择处理方式（如启动时发现遗留专注、睡眠后计时出现断档）。
+ * choices 为 [{ key, name, desc }]，第一项为推荐项；直接关闭弹窗视为选择 dismissKey。
+ */
+class TimerChoiceModal extends Modal {
+  constructor(app, { title, lines, choices, dismissKey, onChoose }) {
+    super(app);
+    this.titleText = title;
+    this.lines = lines;
+    this.choices = choices;
+    this.dismissKey = dismissKey;
+    this.onChoose = onChoose;
+    this.chosen = false;
+  }
+
+  onOpen() {
+    const { contentEl, titleEl } = this;
+    titleEl.setText(this.titleText);
+    contentEl.empty();
+
+    this.lines.forEach((line) => {
+      contentEl.createEl("p", { text: line, cls: "focus-timer-plugin-confirm-message" });
+    });
+
+    this.choices.forEach((choice, index) => {
+      new Setting(contentEl)
+        .setName(choice.name)
+        .setDesc(choice.desc || "")
+        .addButton((button) => {
+          button.setButtonText(choice.name).onClick(() => this.choose(choice.key));
+          if (index === 0) button.setCta();
+        });
+    });
+  }
+
+  async choose(key) {
+    this.chosen = true;
+    this.close();
+    await this.onChoose(key);
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    if (!this.chosen) {
+      this.chosen = true;
+      this.onChoose(this.dismissKey);
+    }
+  }
+}
+
+module.exports = { ConfirmModal, SessionEditModal, ManualSessionModal, IntegrityReportModal, CsvImportModal, ExportModal, InterruptionModal, TimerChoiceModal };
@@ -0,0 +1,56 @@
+const { Notice } = require("obsidian");
+
+/**
+ * 系统通知（HTML5 Notification）：Obsidian 不在前台时 Notice 容易错过。
+ * 未授权或不支持时退回 Obsidian Notice。
+ */
+
+function isDesktopNotificationSupported() {
+  return typeof Notification !== "undefined";
+}
+
+/** 当前授权状态："granted" | "denied" | "default"，不支持时为 "unsupported" */
+function getDesktopNotificationPermission() {
+  return isDesktopNotificationSupported() ? Notification.permission : "unsupported";
+}
+
+/** 请求授权（已授权时直接返回 true） */
+async function requestDesktopNotificationPermission() {
+  if (!isDesktopNotificationSupported()) return false;
+  if (Notification.permission === "granted") return true;
+  if (Notification.permission === "denied") return false;
+  try {
+    return (await Notification.requestPermission()) === "granted";
+  } catch (error) {
+    console.error("[Focus Timer] Failed to request notification permission:", error);
+    return false;
+  }
+}
+
+/**
+ * 发送系统通知，点击时调用 onClick；silent 为 true 时不播放系统提示音（已有插件提示音时）。
+ * 无法发送时显示 Notice。返回是否以系统通知发送。
+ */
+function showDesktopNotification(title, body, { onClick = null, silent = false } = {}) {
+  if (getDesktopNotificationPermission() === "granted") {
+    try {
+      const notification = new Notification(title, { body, silent });
+      notification.onclick = () => {
+        notification.close();
+        if (onClick) onClick();
+      };
+      return true;
+    } catch (error) {
+      console.error("[Focus Timer] Failed to show notification:", error);
+    }
+  }
+  new Notice(body ? `${title}\n${body}` : title, 8000);
+  return false;
+}
+
+module.exports = {
+  isDesktopNotificationSupported,
+  getDesktopNotificationPermission,
+  requestDesktopNotificationPermission,
+  showDesktopNotification
+};
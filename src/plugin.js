@@ -1,5 +1,5 @@
 const obsidian = require("obsidian");
-const { Plugin, Notice, Component } = obsidian;
+const { Plugin, Notice, Component, setIcon } = obsidian;
 
 /** 代码块 date:today 午夜刷新定时器的生命周期：随代码块卸载时清除 */
 class FocusBlockDailyRefresh extends Component {
@@ -12,7 +12,7 @@ class FocusBlockDailyRefresh extends Component {
     this.plugin.timerManager.clear(this.timerId);
   }
 }
-const { TimerManager } = require("./core.js");
+const { TimerManager, DATA_PATH, SESSIONS_JOURNAL_PATH, RESTS_JOURNAL_PATH, DEFAULT_ARCHIVE_AFTER_DAYS, getDefaultSettings } = require("./core.js");
 const {
   VIEW_TYPE,
   MAX_SUGGEST_TASKS,
@@ -20,17 +20,30 @@ const {
   FOCUS_NOTE_MAX_OTHER,
   QUICK_TIMER_MAX_ASCII,
   QUICK_TIMER_MAX_OTHER,
+  HEARTBEAT_INTERVAL_MS,
+  TIMER_GAP_THRESHOLD_SEC,
   nowISO,
   clamp0
 } = require("./constants.js");
 const { getLanguage, resetLanguageCache, t } = require("./i18n.js");
-const { ensureDataFileExists, readState, readSessions, writeState, appendSession, readSettings, writeSettings } = require("./data.js");
-const { msBetween, formatTime, getDateKey, formatTimeChinese, formatTimeShort } = require("./format.js");
-const { defaultChartRangeToShortKey, chartRangeToLabelAndCalculation, calculateChartData, createLineChart, CHART_RANGE_CONFIG } = require("./chart.js");
-const { calculateStats } = require("./stats.js");
+const { DataFileVersionError, ensureDataFileExists, readState, readSessions, readRests, writeState, appendSession, appendRest, updateSession, deleteSession, readSettings, writeSettings, compactSessionJournal, archiveOldSessions, ensureDailyBackup, reconcileExternalChanges, readDataSources, applyIntegrityRepairs, getInvalidSessionReason } = require("./data.js");
+const { configureBackups } = require("./backup.js");
+const { msBetween, formatTime, formatDate, getDateKey, formatTimeChinese, formatTimeShort, formatInterruptionSuffix, formatInterruptionDetails, formatInterruptionSummary, formatRestSummary } = require("./format.js");
+const { defaultChartRangeToShortKey, chartRangeToLabelAndCalculation, getEarliestChartRangeStart, calculateChartData, createLineChart, CHART_RANGE_CONFIG } = require("./chart.js");
+const { calculateStats, getStatsRangeStart, filterSessionsForStats } = require("./stats.js");
 const { FocusTimerView } = require("./view.js");
 const { FocusTimerSettingTab } = require("./settings-tab.js");
+const { ConfirmModal, SessionEditModal, ManualSessionModal, IntegrityReportModal, InterruptionModal, TimerChoiceModal } = require("./modal.js");
+const { checkDataIntegrity } = require("./integrity.js");
 const { limitInputLength } = require("./utils.js");
+const { normalizeRoutines, getRoutineName } = require("./routines.js");
+const { normalizeGoals, getGoalRangeStart, calculateGoalProgress, getNewlyReachedGoals, formatGoalValue, createGoalBar, createGoalList } = require("./goals.js");
+const { TIMER_MODES, isOpenEndedMode, getElapsedExcludingPauses, isFocusPaused, getTotalPausedSec, getFocusElapsedSec, getStaleSessionInfo, getDueTimerAlerts, normalizeAlertMinutes } = require("./timer-state.js");
+const { FLOWTIME_RULES, normalizeFlowtimeTiers, getFlowtimeRestMinutes } = require("./flowtime.js");
+const { SoundPlayer, normalizeSoundSettings } = require("./sound.js");
+const { showDesktopNotification } = require("./notify.js");
+const { normalizeMessageTemplates, usesPlaceholder, renderMessageTemplate } = require("./templates.js");
+const { ZenMode, normalizeZenModeSettings } = require("./zen-mode.js");
 
 module.exports = class FocusTimerPlugin extends Plugin {
   statusBarEl = null;
@@ -38,34 +51,37 @@ module.exports = class FocusTimerPlugin extends Plugin {
   statusBarStartTime = null; // 本地记录的开始时间
   statusBarPlannedSec = null; // 计划时长
   statusBarMode = null; // "focus" | "rest" | null
+  statusBarPausedSec = 0; // 已结束的暂停累计秒数
+  statusBarPauseStart = null; // 正在暂停时的暂停开始时间
   _timerActive = false;
   _timerResting = false;
   _tickActive = false;
   _tickRunning = false;
   _autoStopInFlight = false;
   _tickTimerId = "focus-tick";
-  settings = {
-    autoContinue: false, // 倒计时结束后是否自动继续计时
-    defaultMode: "countdown", // 默认模式：countdown（倒计时）或 stopwatch（正计时）
-    adjustStepMinutes: 5, // 加/减按钮每次增减的分钟数（1-60）
-    defaultChartRange: "14天", // 默认图表显示范围：7天/14天/30天/本月/今年
-    defaultDurationMinutes: 25, // 默认倒计时时间（分钟），不填写时默认25分钟
-    quickTimer1: { name: "", minutes: 25 }, // 快捷timer 1
-    quickTimer2: { name: "", minutes: 25 }, // 快捷timer 2
-    quickTimer3: { name: "", minutes: 25 }, // 快捷timer 3
-    autoRest: false, // 是否在计时结束后自动进入休息
-    defaultRestMinutes: 5, // 默认休息时间（分钟）
-    keyboardShortcuts: false, // 聚焦面板时：Enter 开始，上/下 加减时间
-    statusBarShowFocus: true, // 状态栏是否显示专注/休息计时
-    allowCompleteCountdownEarly: false, // 倒计时进行时是否允许提前完成（关则只显示放弃、命令完成不可用）
-    suggestTasks: [], // 联想任务列表（专注事项输入时联想；新任务开始后自动加入）
-    codeBlockChartShowTime: true, // focus 代码块图表默认：显示专注时间
-    codeBlockChartShowCount: true // focus 代码块图表默认：显示任务数量
-  };
+  _heartbeatActive = false;
+  _heartbeatTimerId = "focus-heartbeat";
+  _staleSessionPending = false; // 启动时发现遗留专注，等待用户选择处理方式（期间不自动结束、不写心跳）
+  _lastTickAt = null; // 上一次计时刷新的时间，用于发现睡眠/时钟跳变造成的断档
+  _timerGapPending = false; // 发现计时断档，等待用户选择计入、扣除还是暂停
+  _countdownEndAlertedFor = null; // 已提醒过到点（提示音、系统通知）的专注（开始时间），避免每秒重复
+  _firedAlerts = new Set(); // 本次专注已发出的结束前提醒与里程碑（与 state.firedAlerts 同步，重启后不重复）
+  sound = null; // 提示音与背景音（SoundPlayer，onload 时创建）
+  settings = getDefaultSettings();
 
   async onload() {
-    // 保险：若无 data.json 则创建默认模板，防止启动失败
-    await ensureDataFileExists(this.app);
+    // 保险：若无 data.json 则创建默认模板，防止启动失败；同时执行格式迁移
+    try {
+      await ensureDataFileExists(this.app);
+    } catch (error) {
+      // data.json 来自更新版本的插件：不加载任何功能，避免覆盖新格式数据
+      if (error instanceof DataFileVersionError) {
+        console.error("[Focus Timer]", error.message);
+        new Notice(t("dataFileNewerVersion"), 0);
+        return;
+      }
+      throw error;
+    }
 
     // 初始化语言检测（延迟执行以确保 DOM 已加载，使用统一定时器管理器）
     this.timerManager.scheduleTimeout("init-language", 100, () => {
@@ -75,6 +91,25 @@ module.exports = class FocusTimerPlugin extends Plugin {
 
     // 加载设置
     await this.loadSettings();
+    this.sound = new SoundPlayer(this.app, this.timerManager);
+    this.zenMode = new ZenMode(this.app, this.timerManager);
+    this.app.workspace.onLayoutReady(() => this.updateZenMode());
+
+    // 数据维护：会话日志压缩 + 每日备份（启动时一次，之后每小时检查一次）
+    await this.runDataMaintenance();
+    this.timerManager.scheduleInterval("data-maintenance", 60 * 60 * 1000, () => this.runDataMaintenance());
+
+    // 监听同步工具/其他设备对数据文件的修改，合并而不是覆盖
+    this.registerEvent(this.app.vault.on("raw", (path) => {
+      if (path === DATA_PATH || path === SESSIONS_JOURNAL_PATH || path === RESTS_JOURNAL_PATH) {
+        this.scheduleExternalSync();
+      }
+    }));
+    // 关闭期间日志被同步覆盖时，启动后补回本机尚未同步的记录
+    this.scheduleExternalSync();
+
+    // 上次关闭或崩溃时遗留的专注：先询问处理方式，避免按整段离线时间自动完成
+    await this.checkStaleSession();
     await this.syncLocalTimerState();
 
     // 添加设置标签页
@@ -265,6 +300,54 @@ module.exports = class FocusTimerPlugin extends Plugin {
       callback: () => this.stopFocus("abandoned"),
     });
 
+    this.addCommand({
+      id: "focus-toggle-pause",
+      name: "Pause/Resume Focus",
+      callback: () => this.togglePauseFocus(),
+    });
+
+    this.addCommand({
+      id: "focus-extend-countdown",
+      name: "Extend Countdown",
+      callback: () => this.adjustRunningCountdown(1),
+    });
+
+    this.addCommand({
+      id: "focus-shorten-countdown",
+      name: "Shorten Countdown",
+      callback: () => this.adjustRunningCountdown(-1),
+    });
+
+    this.addCommand({
+      id: "focus-skip-routine-step",
+      name: "Skip Routine Step",
+      callback: () => this.skipRoutineStep(),
+    });
+
+    this.addCommand({
+      id: "focus-stop-routine",
+      name: "Stop Routine",
+      callback: () => this.stopRoutine(),
+    });
+
+    this.addCommand({
+      id: "focus-log-interruption",
+      name: "Log Interruption",
+      callback: () => this.openInterruptionModal(),
+    });
+
+    this.addCommand({
+      id: "focus-add-manual-session",
+      name: "Add Session Manually",
+      callback: () => this.openManualSessionModal(),
+    });
+
+    this.addCommand({
+      id: "focus-check-data",
+      name: "Check Focus Data",
+      callback: () => this.openIntegrityReport(),
+    });
+
     this.addCommand({
       id: "focus-open-view",
       name: "Open Focus Timer View",
@@ -276,6 +359,7 @@ module.exports = class FocusTimerPlugin extends Plugin {
 
     // 添加快捷Timer命令（可在设置中配置，支持快捷键绑定）
     this.registerQuickTimerCommands();
+    this.registerRoutineCommands();
 
     // 状态栏：仅当设置开启时添加并显示专注情况
     if (this.settings.statusBarShowFocus !== false) {
@@ -287,6 +371,53 @@ module.exports = class FocusTimerPlugin extends Plugin {
     }
   }
 
+  async runDataMaintenance() {
+    try {
+      await archiveOldSessions(this.app, { olderThanDays: this.settings.archiveAfterDays });
+    } catch (error) {
+      console.error("[Focus Timer] Failed to archive old sessions:", error);
+    }
+    try {
+      await compactSessionJournal(this.app);
+    } catch (error) {
+      console.error("[Focus Timer] Failed to compact session journal:", error);
+    }
+    try {
+      await ensureDailyBackup(this.app);
+    } catch (error) {
+      console.error("[Focus Timer] Failed to create daily backup:", error);
+    }
+  }
+
+  // Obsidian 检测到 data.json 被外部修改时调用
+  async onExternalSettingsChange() {
+    this.scheduleExternalSync();
+  }
+
+  // 同步工具往往连续写入多次，合并前稍作等待
+  scheduleExternalSync() {
+    this.timerManager.scheduleTimeout("external-sync", 500, () => this.syncExternalChanges());
+  }
+
+  async syncExternalChanges() {
+    try {
+      const changes = await reconcileExternalChanges(this.app);
+      if (changes.settingsChanged) {
+        await this.loadSettings();
+        this.registerQuickTimerCommands();
+        this.registerRoutineCommands();
+      }
+      if (changes.stateChanged) {
+        await this.updateStatusBarDisplay();
+      }
+      if (changes.sessionsChanged || changes.restsChanged || changes.stateChanged || changes.settingsChanged) {
+        this.updateView();
+      }
+    } catch (error) {
+      console.error("[Focus Timer] Failed to merge external data changes:", error);
+    }
+  }
+
   async openView() {
     const { workspace } = this.app;
     let leaf = workspace.getLeavesOfType(VIEW_TYPE)[0];
@@ -306,8 +437,16 @@ module.exports = class FocusTimerPlugin extends Plugin {
 
     if (state.active && !state.resting) {
       // 保存开始时间和计划时长，用于本地计时
+      const previousStartTime = this.statusBarStartTime;
       this.statusBarStartTime = state.start ? new Date(state.start).getTime() : null;
+      // 已发出的提醒：以文件为准，同一次专注保留本地尚未写入的记录
+      const firedAlerts = Array.isArray(state.firedAlerts) ? state.firedAlerts : [];
+      this._firedAlerts = this.statusBarStartTime === previousStartTime
+        ? new Set([...this._firedAlerts, ...firedAlerts])
+        : new Set(firedAlerts);
       this.statusBarPlannedSec = state.plannedSec ?? null;
+      this.statusBarPausedSec = typeof state.pausedSec === "number" ? state.pausedSec : 0;
+      this.statusBarPauseStart = isFocusPaused(state) && state.pauseStart ? new Date(state.pauseStart).getTime() : null;
       this.statusBarMode = "focus";
       this._timerActive = true;
       this._timerResting = false;
@@ -315,6 +454,8 @@ module.exports = class FocusTimerPlugin extends Plugin {
       // 休息状态
       this.statusBarStartTime = state.restStart ? new Date(state.restStart).getTime() : Date.now();
       this.statusBarPlannedSec = typeof state.restSec === "number" ? state.restSec : 0;
+      this.statusBarPausedSec = 0;
+      this.statusBarPauseStart = null;
       this.statusBarMode = "rest";
       this._timerActive = false;
       this._timerResting = true;
@@ -322,6 +463,8 @@ module.exports = class FocusTimerPlugin extends Plugin {
       // 清除计时器数据
       this.statusBarStartTime = null;
       this.statusBarPlannedSec = null;
+      this.statusBarPausedSec = 0;
+      this.statusBarPauseStart = null;
       this.statusBarMode = null;
       this._timerActive = false;
       this._timerResting = false;
@@ -362,22 +505,28 @@ module.exports = class FocusTimerPlugin extends Plugin {
       return;
     }
     
+    // 暂停时显示暂停图标，时间停在暂停那一刻
+    const icon = this.statusBarPauseStart !== null ? "⏸️" : "⏱️";
+
     // 正计时模式（plannedSec为null）：实时显示已用时间
     if (this.statusBarStartTime && this.statusBarPlannedSec === null) {
-      const now = Date.now();
-      const elapsed = Math.floor((now - this.statusBarStartTime) / 1000);
+      const elapsed = this.getLocalFocusElapsedSec();
       // 正计时时实时显示
-      this.statusBarEl.setText(`⏱️ ${formatTime(elapsed)}`);
+      this.statusBarEl.setText(`${icon} ${formatTime(elapsed)}`);
       return;
     }
     
     if (this.statusBarStartTime && this.statusBarPlannedSec !== null) {
-      const now = Date.now();
-      const elapsed = Math.floor((now - this.statusBarStartTime) / 1000);
-      this.statusBarEl.setText(`⏱️ ${formatTime(elapsed)} / ${formatTime(this.statusBarPlannedSec)}`);
+      const elapsed = this.getLocalFocusElapsedSec();
+      this.statusBarEl.setText(`${icon} ${formatTime(elapsed)} / ${formatTime(this.statusBarPlannedSec)}`);
     }
   }
 
+  // 本地计算的专注有效时长（扣除暂停），不读取文件
+  getLocalFocusElapsedSec(now = Date.now()) {
+    return getElapsedExcludingPauses(this.statusBarStartTime, this.statusBarPausedSec, this.statusBarPauseStart, now);
+  }
+
   updateTickingState() {
     const shouldRun = this._timerActive || this._timerResting;
     if (shouldRun) {
@@ -385,12 +534,185 @@ module.exports = class FocusTimerPlugin extends Plugin {
     } else {
       this.stopUnifiedTimer();
     }
+    this.updateHeartbeat();
+    this.updateAmbientSound();
+    this.updateZenMode();
+  }
+
+  /** 播放计时事项的提示音（event 见 sound.js 的 SOUND_EVENTS） */
+  playSound(event) {
+    const sounds = this.settings.sounds;
+    if (!this.sound || !sounds) return;
+    this.sound.play(sounds[event], sounds.volume);
+  }
+
+  /**
+   * 计时事项的系统通知（event 为 focusEnd / countdownEnd / restEnd / stopwatchCap / warning / milestone），开启系统通知时才发送。
+   * 已有插件提示音时通知静音；点击通知回到 Obsidian 并打开计时面板。
+   */
+  notifyTimerEvent(event, body) {
+    if (this.settings.desktopNotifications !== true) return;
+    const sounds = this.settings.sounds;
+    const soundEvent = event === "restEnd" ? "restEnd" : (event === "warning" || event === "milestone" ? "warning" : "focusEnd");
+    showDesktopNotification(t("desktopNotificationTitles")[event], body, {
+      silent: Boolean(sounds && sounds[soundEvent] !== "none"),
+      onClick: () => {
+        window.focus();
+        this.openView();
+      }
+    });
+  }
+
+  /**
+   * 按设置中的消息模板生成提示（event 见 MESSAGE_EVENTS），模板为空时返回 fallback。
+   * context 为 { note, minutes, plannedSec, mode, cycle }；今日累计与目标进度只在模板用到时读取记录。
+   */
+  async formatMessage(event, context, fallback) {
+    const template = this.settings.messageTemplates && this.settings.messageTemplates[event];
+    if (!template) return fallback;
+    const values = {
+      task: context.note && context.note.trim() ? context.note.trim() : t("oneTask"),
+      minutes: context.minutes,
+      planned: context.plannedSec ? formatTimeShort(context.plannedSec) : (context.mode ? t(context.mode) : ""),
+      cycle: context.cycle != null && this.getLongBreakInterval() > 0 ? `${context.cycle}/${this.getLongBreakInterval()}` : "",
+      todayTotal: "",
+      goalProgress: ""
+    };
+    if (usesPlaceholder(template, ["todayTotal", "goalProgress"])) {
+      try {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const sessions = filterSessionsForStats(await readSessions(this.app, { from: today }), this.settings);
+        const todayKey = getDateKey(today);
+        const todaySec = sessions
+          .filter((session) => session.status === "completed" && getDateKey(session.start) === todayKey)
+          .reduce((sum, session) => sum + (session.actualSec || 0), 0);
+        values.todayTotal = formatTimeShort(todaySec);
+        // 每日时长目标优先，其次每日次数目标；都未设置时为空
+        const dailyGoal = calculateGoalProgress(sessions, this.settings.goals)
+          .find((item) => item.key === "daily" || item.key === "dailySessions");
+        if (dailyGoal) values.goalProgress = formatGoalValue(dailyGoal);
+      } catch (error) {
+        console.error("[Focus Timer] Failed to read sessions for message template:", error);
+      }
+    }
+    return renderMessageTemplate(template, values);
+  }
+
+  // 开启精简界面时：专注中（含暂停）进入，结束或开始休息时退出；工作区布局就绪前不处理
+  updateZenMode() {
+    if (!this.zenMode || !this.app.workspace.layoutReady) return;
+    const zen = this.settings.zenMode;
+    try {
+      if (this._timerActive && zen && zen.enabled) {
+        this.zenMode.enter(zen);
+      } else if (this.zenMode.active && !this.zenMode.exit()) {
+        new Notice(t("zenModeRestoreSkipped"));
+      }
+    } catch (error) {
+      console.error("[Focus Timer] Failed to update distraction-free mode:", error);
+    }
+  }
+
+  // 专注进行中（未暂停）播放背景音，其余时候停止
+  updateAmbientSound() {
+    if (!this.sound) return;
+    const sounds = this.settings.sounds;
+    if (this._timerActive && this.statusBarPauseStart === null && sounds && sounds.ambient !== "none") {
+      this.sound.setAmbient(sounds.ambient, sounds.ambientVolume);
+    } else {
+      this.sound.stopAmbient();
+    }
+  }
+
+  // 专注进行中定期写入心跳（最后在线时间），供下次启动时判断专注是否遗留
+  updateHeartbeat() {
+    if (this._timerActive) {
+      if (this._heartbeatActive) return;
+      this._heartbeatActive = true;
+      this.timerManager.scheduleInterval(this._heartbeatTimerId, HEARTBEAT_INTERVAL_MS, () => this.writeHeartbeat());
+    } else if (this._heartbeatActive) {
+      this._heartbeatActive = false;
+      this.timerManager.clear(this._heartbeatTimerId);
+    }
+  }
+
+  async writeHeartbeat() {
+    if (this._staleSessionPending || !this._timerActive) return;
+    try {
+      await writeState(this.app, { heartbeat: nowISO() });
+    } catch (error) {
+      console.error("[Focus Timer] Failed to write heartbeat:", error);
+    }
+  }
+
+  // 启动时检查遗留专注；弹窗等布局就绪后再打开
+  async checkStaleSession() {
+    const state = await readState(this.app);
+    const info = getStaleSessionInfo(state);
+    if (!info) return;
+    this._staleSessionPending = true;
+    this.app.workspace.onLayoutReady(() => this.openStaleSessionModal(state, info));
+  }
+
+  // 列出遗留专注的信息与可选的处理方式
+  openStaleSessionModal(state, info) {
+    const task = state.note && state.note.trim() ? state.note.trim() : t("oneTask");
+    const lines = [t("staleSessionDesc").replace("{task}", task).replace("{start}", formatDate(state.start))];
+    if (info.lastSeenMs != null) {
+      lines.push(t("staleSessionLastSeen").replace("{time}", formatDate(info.lastSeenMs)));
+    }
+    if (info.plannedEndMs != null) {
+      lines.push(t("staleSessionPlannedEnd").replace("{time}", formatDate(info.plannedEndMs)));
+    }
+
+    // 与 stopFocus 的提前完成限制一致：不允许提前完成时，未到计划时长只能放弃
+    const canComplete = (endMs) => this.settings.allowCompleteCountdownEarly === true
+      || state.plannedSec == null
+      || getFocusElapsedSec(state, endMs) >= state.plannedSec;
+    const durationDesc = (endMs) => t("staleCompleteDesc").replace("{duration}", formatTimeShort(getFocusElapsedSec(state, endMs)));
+
+    const choices = [];
+    if (info.plannedEndMs != null && info.plannedEndMs <= Date.now()) {
+      choices.push({ key: "plannedEnd", name: t("staleCompleteAtPlannedEnd"), desc: durationDesc(info.plannedEndMs) });
+    }
+    if (info.lastSeenMs != null && canComplete(info.lastSeenMs)) {
+      choices.push({ key: "lastSeen", name: t("staleCompleteAtLastSeen"), desc: durationDesc(info.lastSeenMs) });
+    }
+    choices.push({ key: "abandon", name: t("staleAbandon"), desc: t("staleAbandonDesc") });
+    choices.push({ key: "keep", name: t("staleKeepRunning"), desc: t("staleKeepRunningDesc") });
+
+    new TimerChoiceModal(this.app, {
+      title: t("staleSessionTitle"),
+      lines,
+      choices,
+      dismissKey: "keep",
+      onChoose: (key) => this.resolveStaleSession(key, info)
+    }).open();
+  }
+
+  // 按用户选择结束遗留专注；结束时间取过去的时间点，因此不自动进入休息
+  async resolveStaleSession(choice, info) {
+    this._staleSessionPending = false;
+    if (choice === "plannedEnd") {
+      await this.stopFocus("completed", { endAt: info.plannedEndMs, autoRest: false });
+    } else if (choice === "lastSeen") {
+      await this.stopFocus("completed", { endAt: info.lastSeenMs, autoRest: false });
+    } else if (choice === "abandon") {
+      const endAt = info.lastSeenMs ?? Math.min(info.plannedEndMs ?? Date.now(), Date.now());
+      await this.stopFocus("abandoned", { endAt, autoRest: false });
+    } else {
+      await this.writeHeartbeat();
+      await this.updateStatusBarDisplay();
+      this.updateView();
+    }
   }
 
   // 启动统一计时器（面板与状态栏共用）
   startUnifiedTimer() {
     if (this._tickActive) return;
     this._tickActive = true;
+    this._lastTickAt = null;
     this.timerManager.clear(this._tickTimerId);
     this.timerManager.scheduleInterval(this._tickTimerId, 1000, () => this.tick());
     if (!this._tickRunning) {
@@ -401,6 +723,7 @@ module.exports = class FocusTimerPlugin extends Plugin {
   stopUnifiedTimer() {
     if (!this._tickActive) return;
     this._tickActive = false;
+    this._lastTickAt = null;
     this.timerManager.clear(this._tickTimerId);
   }
 
@@ -408,6 +731,7 @@ module.exports = class FocusTimerPlugin extends Plugin {
     if (this._tickRunning) return;
     this._tickRunning = true;
     try {
+      this.detectTimerGap();
       await this.handleAutoStop();
       this.updateStatusBarText();
       this.updateOpenViewsTimerDisplay();
@@ -416,8 +740,72 @@ module.exports = class FocusTimerPlugin extends Plugin {
     }
   }
 
+  /**
+   * 两次刷新相隔过久（电脑睡眠、时钟向前跳变）时询问如何处理这段时间。
+   * 只处理进行中且未暂停的专注；休息照常按墙上时间结束。
+   */
+  detectTimerGap() {
+    const now = Date.now();
+    const gapStartMs = this._lastTickAt;
+    this._lastTickAt = now;
+    if (gapStartMs === null || this._timerGapPending) return;
+    if (this.statusBarMode !== "focus" || this.statusBarPauseStart !== null) return;
+    if (now - gapStartMs <= TIMER_GAP_THRESHOLD_SEC * 1000) return;
+
+    this._timerGapPending = true;
+    const gapSec = Math.floor((now - gapStartMs) / 1000);
+    new TimerChoiceModal(this.app, {
+      title: t("timerGapTitle"),
+      lines: [t("timerGapDesc")
+        .replace("{start}", formatDate(gapStartMs))
+        .replace("{duration}", formatTimeShort(gapSec))],
+      choices: [
+        { key: "exclude", name: t("timerGapExclude"), desc: t("timerGapExcludeDesc") },
+        { key: "pause", name: t("timerGapPause"), desc: t("timerGapPauseDesc") },
+        { key: "count", name: t("timerGapCount"), desc: t("timerGapCountDesc") }
+      ],
+      dismissKey: "count",
+      onChoose: (key) => this.resolveTimerGap(key, gapStartMs, now)
+    }).open();
+  }
+
+  // 扣除：断档计入暂停时长并记录在 excludedGaps；暂停：从断档开始时算作暂停，需手动继续
+  async resolveTimerGap(choice, gapStartMs, gapEndMs) {
+    this._timerGapPending = false;
+    const state = await readState(this.app);
+    // 选择期间专注已结束或已暂停，不再处理
+    if (!state.active || state.resting || isFocusPaused(state)) return;
+    if (state.start && new Date(state.start).getTime() > gapStartMs) return;
+
+    if (choice === "exclude") {
+      const gapSec = Math.floor((gapEndMs - gapStartMs) / 1000);
+      const excludedGaps = Array.isArray(state.excludedGaps) ? state.excludedGaps : [];
+      await writeState(this.app, {
+        pausedSec: (state.pausedSec || 0) + gapSec,
+        end: state.end ? new Date(new Date(state.end).getTime() + gapSec * 1000).toISOString() : null,
+        excludedGaps: [...excludedGaps, {
+          start: new Date(gapStartMs).toISOString(),
+          end: new Date(gapEndMs).toISOString(),
+          sec: gapSec
+        }]
+      });
+      new Notice(t("timerGapExcluded").replace("{duration}", formatTimeShort(gapSec)));
+    } else if (choice === "pause") {
+      await writeState(this.app, {
+        paused: true,
+        pauseStart: new Date(gapStartMs).toISOString(),
+        pauseCount: (state.pauseCount || 0) + 1
+      });
+      new Notice(t("focusPaused"));
+    } else {
+      return;
+    }
+    await this.updateStatusBarDisplay();
+    this.updateView();
+  }
+
   async handleAutoStop() {
-    if (this._autoStopInFlight) return;
+    if (this._autoStopInFlight || this._staleSessionPending || this._timerGapPending) return;
     if (!this.statusBarStartTime || !this.statusBarMode) return;
 
     const now = Date.now();
@@ -427,7 +815,9 @@ module.exports = class FocusTimerPlugin extends Plugin {
       if (this.statusBarPlannedSec != null && elapsed >= this.statusBarPlannedSec) {
         this._autoStopInFlight = true;
         try {
-          await this.stopRest();
+          this.playSound("restEnd");
+          const message = await this.stopRest();
+          this.notifyTimerEvent("restEnd", this.settings.messageTemplates.restEnd && message ? message : t("desktopNotifyRestEnd"));
         } finally {
           this._autoStopInFlight = false;
         }
@@ -436,13 +826,20 @@ module.exports = class FocusTimerPlugin extends Plugin {
     }
 
     if (this.statusBarMode === "focus") {
+      // 暂停中不会到点；恢复后扣除暂停时间，相当于倒计时结束时间顺延
+      if (this.statusBarPauseStart !== null) return;
+      const focusElapsed = this.getLocalFocusElapsedSec(now);
+      await this.checkTimerAlerts(focusElapsed);
+
       // 正计时：到 10 小时自动完成
       if (this.statusBarPlannedSec === null) {
-        if (elapsed >= 600 * 60) {
+        if (focusElapsed >= 600 * 60) {
           this._autoStopInFlight = true;
           try {
             new Notice(t("stopwatchOver10Hours"), 5000);
+            this.playSound("focusEnd");
             await this.stopFocus("completed");
+            this.notifyTimerEvent("stopwatchCap", t("stopwatchOver10Hours"));
           } finally {
             this._autoStopInFlight = false;
           }
@@ -450,11 +847,25 @@ module.exports = class FocusTimerPlugin extends Plugin {
         return;
       }
 
+      // 倒计时到点响提示音（每次专注一次）；开启自动继续时继续计时并发送通知，重启后已超时较久的不再补发
+      if (focusElapsed >= this.statusBarPlannedSec && this._countdownEndAlertedFor !== this.statusBarStartTime) {
+        this._countdownEndAlertedFor = this.statusBarStartTime;
+        if (!this.settings.autoContinue || focusElapsed - this.statusBarPlannedSec < 60) {
+          this.playSound("focusEnd");
+          if (this.settings.autoContinue) this.notifyTimerEvent("countdownEnd", t("desktopNotifyOvertime"));
+        }
+      }
+
       // 倒计时：未开启自动继续时到点完成
-      if (elapsed >= this.statusBarPlannedSec && !this.settings.autoContinue) {
+      if (focusElapsed >= this.statusBarPlannedSec && !this.settings.autoContinue) {
         this._autoStopInFlight = true;
         try {
-          await this.stopFocus("completed");
+          const state = await readState(this.app);
+          const message = await this.stopFocus("completed");
+          // 设置了完成模板时系统通知使用同一消息
+          this.notifyTimerEvent("focusEnd", this.settings.messageTemplates.complete && message ? message : t("desktopNotifyFocusEnd")
+            .replace("{task}", state.note && state.note.trim() ? state.note.trim() : t("oneTask"))
+            .replace("{minutes}", Math.round((state.plannedSec || 0) / 60)));
         } finally {
           this._autoStopInFlight = false;
         }
@@ -462,6 +873,31 @@ module.exports = class FocusTimerPlugin extends Plugin {
     }
   }
 
+  /**
+   * 结束前提醒与里程碑（见 getDueTimerAlerts）。发出的提醒写入 state.firedAlerts，每次专注只提醒一次；
+   * 越过提醒点超过 1 分钟的（如 Obsidian 关闭期间错过的）只记为已提醒，不再补发。
+   */
+  async checkTimerAlerts(focusElapsed) {
+    const due = getDueTimerAlerts(this.statusBarPlannedSec, focusElapsed, this.settings, this._firedAlerts);
+    if (due.length === 0) return;
+    due.forEach((alert) => this._firedAlerts.add(alert.key));
+    const fresh = due.filter((alert) => alert.lateSec < 60);
+    fresh.forEach((alert) => {
+      const message = t(alert.type === "warning" ? "warningNotice" : "milestoneNotice").replace("{minutes}", alert.minutes);
+      if (this.settings.desktopNotifications === true) {
+        this.notifyTimerEvent(alert.type, message);
+      } else {
+        new Notice(message, 8000);
+      }
+    });
+    if (fresh.length > 0) this.playSound("warning");
+    try {
+      await writeState(this.app, { firedAlerts: [...this._firedAlerts] });
+    } catch (error) {
+      console.error("[Focus Timer] Failed to save fired alerts:", error);
+    }
+  }
+
   updateOpenViewsTimerDisplay() {
     const leaves = this.app.workspace.getLeavesOfType(VIEW_TYPE);
     leaves.forEach(leaf => {
@@ -497,14 +933,21 @@ module.exports = class FocusTimerPlugin extends Plugin {
       await this.saveSettings();
     }
     
+    // 休息中直接开始专注：先结束并记录这次休息
+    if (state.resting) {
+      await this.recordRest(state);
+    }
+
     const s = nowISO();
-    // mode: "countdown" 或 "stopwatch"，如果为null则使用设置中的默认模式
+    // mode: "countdown"、"stopwatch" 或 "flowtime"，如果为null则使用设置中的默认模式
     const timerMode = mode || this.settings.defaultMode;
-    const isStopwatch = timerMode === "stopwatch";
+    const isStopwatch = isOpenEndedMode(timerMode);
 
-    // 正计时模式：plannedSec为null
+    // 正计时与心流计时：plannedSec为null
     const end = isStopwatch ? null : new Date(Date.now() + plannedSec * 1000).toISOString();
     const actualPlannedSec = isStopwatch ? null : plannedSec;
+    // 上一轮已满（未经长休息）时重新开始计数
+    const cycleCount = state.cycleCount >= this.getLongBreakInterval() ? 0 : (state.cycleCount || 0);
 
     await writeState(this.app, {
       active: true,
@@ -512,33 +955,60 @@ module.exports = class FocusTimerPlugin extends Plugin {
       start: s,
       end,
       plannedSec: actualPlannedSec,
+      originalPlannedSec: actualPlannedSec,
       mode: timerMode,
       note: finalNote,
+      paused: false,
+      pauseStart: null,
+      pausedSec: 0,
+      pauseCount: 0,
+      cycleCount,
+      interruptions: [],
+      excludedGaps: [],
+      firedAlerts: [],
+      heartbeat: s,
       restStart: null,
       restEnd: null,
       restSec: null
     });
 
-    if (isStopwatch) {
-      new Notice(t("stopwatchStarted"));
+    let startMessage;
+    if (timerMode === "flowtime") {
+      startMessage = t("flowtimeStarted");
+    } else if (isStopwatch) {
+      startMessage = t("stopwatchStarted");
     } else {
-      const minutes = Math.round(plannedSec/60);
-      new Notice(t("focusStarted").replace("{minutes}", minutes));
+      startMessage = t("focusStarted").replace("{minutes}", Math.round(plannedSec/60));
     }
+    new Notice(await this.formatMessage("start", {
+      note: finalNote,
+      minutes: isStopwatch ? 0 : Math.round(plannedSec/60),
+      plannedSec: actualPlannedSec,
+      mode: timerMode,
+      cycle: cycleCount + 1
+    }, startMessage));
     await this.updateStatusBarDisplay(); // 更新本地计时器数据
     this.updateView(); // 更新视图（只在状态改变时）
   }
 
-  async stopFocus(status) {
+  /**
+   * 结束专注。status 为 completed、abandoned 或 skipped（流程中跳过本步，按实际时长记录，不计入统计、放弃与番茄循环）。
+   * options.endAt 为结束时间（毫秒时间戳，默认现在，恢复遗留专注时使用过去的时间）；
+   * options.autoRest 为 false 时即使开启自动休息也不进入休息，按流程运行时也结束流程；
+   * options.continueRoutine 为 true 时未完成也进入流程下一步（跳过步骤）。
+   * 返回显示的结束提示（按消息模板生成），未能结束时返回 undefined。
+   */
+  async stopFocus(status, { endAt = null, autoRest = true, continueRoutine = false } = {}) {
     const state = await readState(this.app);
     if (!state.active || state.resting) {
       new Notice(t("focusStopFailed"));
       return; // 已结束或正在休息（如倒计时自动完成时可能被重复调用）
     }
     // 若以「完成」结束且当前是倒计时且不允许提前完成，则拒绝（超时后允许完成）
+    const endTime = endAt ?? Date.now();
     if (status === "completed" && this.settings.allowCompleteCountdownEarly !== true) {
       const isCountdown = state.mode === "countdown" || state.plannedSec != null;
-      const elapsedSec = Math.floor(clamp0(msBetween(state.start, nowISO())) / 1000);
+      const elapsedSec = getFocusElapsedSec(state, endTime);
       const isOvertime = state.plannedSec != null && elapsedSec >= state.plannedSec;
       if (isCountdown && !isOvertime) {
         new Notice(t("completeCountdownEarlyDisabled"));
@@ -546,17 +1016,23 @@ module.exports = class FocusTimerPlugin extends Plugin {
       }
     }
 
-    const end = nowISO();
-    const actualSec = Math.floor(clamp0(msBetween(state.start, end)) / 1000);
+    // 实际时长扣除暂停（含结束时仍在进行的暂停）
+    const end = new Date(endTime).toISOString();
+    const actualSec = getFocusElapsedSec(state, endTime);
 
     const session = {
       id: state.start,
       start: state.start,
       end,
       plannedSec: state.plannedSec ?? null,
+      originalPlannedSec: state.originalPlannedSec ?? state.plannedSec ?? null,
       actualSec,
       status,
       note: state.note ?? "",
+      pauseCount: state.pauseCount || 0,
+      pausedSec: getTotalPausedSec(state, endTime),
+      interruptions: Array.isArray(state.interruptions) ? state.interruptions : [],
+      excludedGaps: Array.isArray(state.excludedGaps) ? state.excludedGaps : [],
       createdAt: nowISO()
     };
 
@@ -565,51 +1041,338 @@ module.exports = class FocusTimerPlugin extends Plugin {
     // 停止提醒（Obsidian 内）
     const mins = Math.round(actualSec / 60);
     const statusText = status === "completed" ? t("completedStatus") : t("abandonedStatus");
-    new Notice(t("focusEnded").replace("{status}", statusText).replace("{minutes}", mins));
+    const endMessage = status === "skipped"
+      ? t("routineStepSkipped").replace("{minutes}", mins)
+      : await this.formatMessage(status === "completed" ? "complete" : "abandon", {
+        note: session.note,
+        minutes: mins,
+        plannedSec: session.plannedSec,
+        mode: state.mode,
+        cycle: (state.cycleCount || 0) + 1
+      }, t("focusEnded").replace("{status}", statusText).replace("{minutes}", mins));
+    new Notice(endMessage);
+    if (status === "completed") await this.notifyReachedGoals(session);
+
+    // 番茄循环：完成计入本轮；放弃时按设置重置或保留；跳过的不影响
+    let cycleCount = state.cycleCount || 0;
+    if (status === "completed") {
+      cycleCount += 1;
+    } else if (status === "abandoned" && this.settings.abandonResetsCycle !== false) {
+      cycleCount = 0;
+    }
 
-    // 如果设置为自动休息且状态为完成，则自动进入休息
-    if (status === "completed" && this.settings.autoRest === true) {
-      await this.startRest();
+    // 按流程运行时由流程决定下一步；否则若设置为自动休息且状态为完成，则自动进入休息（满一轮时为长休息）
+    const routine = state.routine || null;
+    if (routine && autoRest && (status === "completed" || continueRoutine)) {
+      await writeState(this.app, { active: false, resting: false, paused: false, pauseStart: null, cycleCount });
+      await this.runRoutineStep(routine, routine.stepIndex + 1);
+    } else if (status === "completed" && autoRest && this.settings.autoRest === true) {
+      // 心流计时按本次专注时长计算休息，其余按番茄循环取短/长休息
+      const restMinutes = state.mode === "flowtime" ? getFlowtimeRestMinutes(actualSec, this.settings) : null;
+      await this.startRest(restMinutes, cycleCount);
     } else {
-      await writeState(this.app, { active: false, resting: false });
+      await writeState(this.app, { active: false, resting: false, paused: false, pauseStart: null, cycleCount, routine: null });
+      if (routine) new Notice(t("routineStopped").replace("{name}", routine.name));
+      if (state.mode === "flowtime" && status === "completed") {
+        new Notice(t("flowtimeRestSuggested").replace("{minutes}", getFlowtimeRestMinutes(actualSec, this.settings)));
+      }
       await this.updateStatusBarDisplay(); // 更新本地计时器数据
       this.updateView(); // 更新视图（只在状态改变时）
     }
 
     // 可选：把记录写入当天 Daily Note 的某个标题（需要你有固定 daily note 路径/命名）
     // 这里先不强绑，避免你说的“强行联系在一起”
+    return endMessage;
+  }
+
+  /** 本次完成让目标刚好达成时提示（每个目标只在跨过目标的那一次提示） */
+  async notifyReachedGoals(session) {
+    const goals = this.settings.goals;
+    if (!goals || calculateGoalProgress([], goals, session.start).length === 0) return;
+    try {
+      const sessions = await readSessions(this.app, { from: getGoalRangeStart(new Date(session.start)) });
+      getNewlyReachedGoals(filterSessionsForStats(sessions, this.settings), goals, session).forEach((item) => {
+        new Notice(t("goalReached").replace("{goal}", t("goalLabels")[item.key]).replace("{progress}", formatGoalValue(item)), 8000);
+      });
+    } catch (error) {
+      console.error("[Focus Timer] Failed to check focus goals:", error);
+    }
   }
 
-  // 开始休息
-  async startRest(restMinutes = null) {
-    const restSec = (restMinutes || this.settings.defaultRestMinutes || 5) * 60;
+  // 暂停专注：记录暂停开始时间与次数
+  async pauseFocus() {
+    const state = await readState(this.app);
+    if (!state.active || state.resting || state.paused) {
+      new Notice(t("pauseFailed"));
+      return;
+    }
+
+    await writeState(this.app, {
+      paused: true,
+      pauseStart: nowISO(),
+      pauseCount: (state.pauseCount || 0) + 1
+    });
+    new Notice(t("focusPaused"));
+    await this.updateStatusBarDisplay();
+    this.updateView();
+  }
+
+  // 继续专注：累加本次暂停时长，倒计时结束时间相应顺延
+  async resumeFocus() {
+    const state = await readState(this.app);
+    if (!isFocusPaused(state)) {
+      new Notice(t("resumeFailed"));
+      return;
+    }
+
+    const now = Date.now();
+    const pauseSec = clamp0(Math.floor(msBetween(state.pauseStart, new Date(now).toISOString()) / 1000));
+    await writeState(this.app, {
+      paused: false,
+      pauseStart: null,
+      pausedSec: (state.pausedSec || 0) + pauseSec,
+      end: state.end ? new Date(new Date(state.end).getTime() + pauseSec * 1000).toISOString() : null
+    });
+    new Notice(t("focusResumed"));
+    await this.updateStatusBarDisplay();
+    this.updateView();
+  }
+
+  async togglePauseFocus() {
+    const state = await readState(this.app);
+    if (isFocusPaused(state)) {
+      await this.resumeFocus();
+    } else {
+      await this.pauseFocus();
+    }
+  }
+
+  /**
+   * 倒计时进行中按 adjustStepMinutes 延长（direction 为 1）或缩短（-1）计划时长，结束时间同步调整。
+   * 计划时长限制在 1-600 分钟；缩短到已专注时长以内时会立即到点。
+   */
+  async adjustRunningCountdown(direction) {
+    const state = await readState(this.app);
+    if (!state.active || state.resting || state.plannedSec == null) {
+      new Notice(t("adjustCountdownFailed"));
+      return;
+    }
+
+    const stepSec = (this.settings.adjustStepMinutes || 5) * 60;
+    const plannedSec = Math.min(Math.max(state.plannedSec + direction * stepSec, 60), 600 * 60);
+    const deltaSec = plannedSec - state.plannedSec;
+    if (deltaSec === 0) return;
+
+    // 调整后重新计算结束前提醒
+    const firedAlerts = (Array.isArray(state.firedAlerts) ? state.firedAlerts : []).filter((key) => !key.startsWith("warning-"));
+    this._firedAlerts = new Set(firedAlerts);
+    await writeState(this.app, {
+      plannedSec,
+      originalPlannedSec: state.originalPlannedSec ?? state.plannedSec,
+      firedAlerts,
+      end: state.end ? new Date(new Date(state.end).getTime() + deltaSec * 1000).toISOString() : null
+    });
+    new Notice(t("countdownAdjusted").replace("{duration}", formatTimeShort(plannedSec)));
+    await this.updateStatusBarDisplay();
+    this.updateView();
+  }
+
+  // 打开记录打断的弹窗（仅专注进行中可用）
+  async openInterruptionModal() {
+    const state = await readState(this.app);
+    if (!state.active || state.resting) {
+      new Notice(t("interruptionFailed"));
+      return;
+    }
+    new InterruptionModal(this.app, (type, note) => this.logInterruption(type, note)).open();
+  }
+
+  // 记录一次打断：不停止计时，只追加到当前状态，结束专注时随会话保存
+  async logInterruption(type, note = "") {
+    const state = await readState(this.app);
+    if (!state.active || state.resting) {
+      new Notice(t("interruptionFailed"));
+      return;
+    }
+
+    const interruptions = Array.isArray(state.interruptions) ? state.interruptions : [];
+    const entry = {
+      at: nowISO(),
+      type: type === "external" ? "external" : "internal",
+      note: limitInputLength((note || "").trim(), FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER)
+    };
+    await writeState(this.app, { interruptions: [...interruptions, entry] });
+    new Notice(t("interruptionLogged").replace("{count}", interruptions.length + 1));
+    this.updateView();
+  }
+
+  // 番茄循环长度（几次专注后长休息）
+  // 0 表示不使用长休息（不计番茄循环）
+  getLongBreakInterval() {
+    return this.settings.longBreakInterval === 0 ? 0 : (this.settings.longBreakInterval || 4);
+  }
+
+  // 开始休息：cycleCount 为本轮已完成的专注次数（不传时从状态读取），满一轮时为长休息
+  async startRest(restMinutes = null, cycleCount = null) {
+    if (cycleCount === null) {
+      cycleCount = (await readState(this.app)).cycleCount || 0;
+    }
+    const interval = this.getLongBreakInterval();
+    const isLongRest = restMinutes === null && interval > 0 && cycleCount >= interval;
+    const defaultMinutes = isLongRest ? (this.settings.longBreakMinutes || 15) : (this.settings.defaultRestMinutes || 5);
+    const restSec = (restMinutes || defaultMinutes) * 60;
     const restEnd = new Date(Date.now() + restSec * 1000).toISOString();
     
     await writeState(this.app, {
       active: false,
       resting: true,
+      paused: false,
+      pauseStart: null,
       restStart: nowISO(),
       restEnd,
-      restSec
+      restSec,
+      restLong: isLongRest,
+      cycleCount
     });
 
     const restMinutesDisplay = Math.round(restSec/60);
-    new Notice(t("restStarted").replace("{minutes}", restMinutesDisplay));
+    const state = await readState(this.app);
+    new Notice(await this.formatMessage("restStart", {
+      note: state.note,
+      minutes: restMinutesDisplay,
+      plannedSec: restSec,
+      cycle: cycleCount
+    }, t(isLongRest ? "longRestStarted" : "restStarted").replace("{minutes}", restMinutesDisplay)));
     await this.updateStatusBarDisplay();
     this.updateView();
   }
 
-  // 结束休息
+  // 结束休息，返回显示的结束提示（按消息模板生成）
   async stopRest() {
     const state = await readState(this.app);
     if (!state.resting) {
       return;
     }
 
-    await writeState(this.app, { active: false, resting: false });
-    new Notice(t("restEnded"));
+    await this.recordRest(state);
+
+    // 长休息结束即完成一轮循环
+    const cycleCount = state.restLong ? 0 : (state.cycleCount || 0);
+    await writeState(this.app, { active: false, resting: false, restLong: false, cycleCount });
+    const restMessage = await this.formatMessage("restEnd", {
+      note: state.note,
+      minutes: state.restStart ? Math.round(clamp0(Date.now() - new Date(state.restStart).getTime()) / 60000) : 0,
+      plannedSec: typeof state.restSec === "number" ? state.restSec : null,
+      cycle: state.cycleCount || 0
+    }, t("restEnded"));
+    new Notice(restMessage);
+
+    if (state.routine) {
+      await this.runRoutineStep(state.routine, state.routine.stepIndex + 1);
+      return restMessage;
+    }
+
+    // 休息结束后按上一次专注的模式、时长与事项自动开始下一次专注
+    if (this.settings.autoStartFocusAfterRest === true) {
+      const mode = state.mode || this.settings.defaultMode;
+      const plannedSec = state.plannedSec || (this.settings.defaultDurationMinutes || 25) * 60;
+      await this.startFocus(isOpenEndedMode(mode) ? null : plannedSec, mode, state.note || "");
+      return restMessage;
+    }
     await this.updateStatusBarDisplay();
     this.updateView();
+    return restMessage;
+  }
+
+  // 按设置中的流程依次运行各步骤；状态中保存流程副本，运行期间修改设置不影响本次
+  async startRoutine(routineId) {
+    const routines = this.settings.routines || [];
+    const index = routines.findIndex((item) => item.id === routineId);
+    const routine = routines[index];
+    if (!routine || routine.steps.length === 0) {
+      new Notice(t("routineEmpty"));
+      return;
+    }
+    const state = await readState(this.app);
+    if (state.active && !state.resting) {
+      new Notice(t("focusStartFailed"));
+      return;
+    }
+    // 休息中开始流程：先记录被打断的休息
+    if (state.resting) {
+      await this.recordRest(state);
+    }
+
+    const name = getRoutineName(routine, index);
+    new Notice(t("routineStarted").replace("{name}", name));
+    await this.runRoutineStep({ id: routine.id, name, steps: routine.steps.map((step) => ({ ...step })) }, 0);
+  }
+
+  // 开始流程的第 index 步（专注经 startFocus，休息经 startRest）；没有下一步时结束流程
+  async runRoutineStep(routine, index) {
+    const step = routine.steps[index];
+    if (!step) {
+      await writeState(this.app, { routine: null });
+      new Notice(t("routineFinished").replace("{name}", routine.name));
+      await this.updateStatusBarDisplay();
+      this.updateView();
+      return;
+    }
+
+    await writeState(this.app, { routine: { ...routine, stepIndex: index } });
+    if (step.type === "rest") {
+      await this.startRest(step.minutes);
+    } else {
+      const isStopwatch = step.mode === "stopwatch";
+      await this.startFocus(isStopwatch ? null : step.minutes * 60, step.mode, step.label || "");
+    }
+  }
+
+  // 跳过流程当前步骤：休息直接结束，专注按实际时长记为跳过（不计入统计与放弃）后进入下一步
+  async skipRoutineStep() {
+    const state = await readState(this.app);
+    if (!state.routine) {
+      new Notice(t("routineNotRunning"));
+      return;
+    }
+    if (state.resting) {
+      await this.stopRest();
+    } else if (state.active) {
+      await this.stopFocus("skipped", { continueRoutine: true });
+    }
+  }
+
+  // 结束流程：当前计时照常继续，结束后不再进入流程的下一步
+  async stopRoutine() {
+    const state = await readState(this.app);
+    if (!state.routine) {
+      new Notice(t("routineNotRunning"));
+      return;
+    }
+    await writeState(this.app, { routine: null });
+    new Notice(t("routineStopped").replace("{name}", state.routine.name));
+    this.updateView();
+  }
+
+  // 把结束的休息写入休息记录；未到计划时长就结束（手动结束或直接开始专注）记为提前结束
+  async recordRest(state, endTime = Date.now()) {
+    if (!state.resting || !state.restStart) return;
+    const plannedSec = typeof state.restSec === "number" ? state.restSec : null;
+    const actualSec = clamp0(Math.floor((endTime - new Date(state.restStart).getTime()) / 1000));
+    try {
+      await appendRest(this.app, {
+        id: state.restStart,
+        start: state.restStart,
+        end: new Date(endTime).toISOString(),
+        plannedSec,
+        actualSec,
+        long: state.restLong === true,
+        endedEarly: plannedSec !== null && actualSec < plannedSec,
+        createdAt: nowISO()
+      });
+    } catch (error) {
+      console.error("[Focus Timer] Failed to record rest:", error);
+    }
   }
 
   async moveSuggestToFront(text) {
@@ -624,6 +1387,88 @@ module.exports = class FocusTimerPlugin extends Plugin {
     await this.saveSettings();
   }
 
+  // 编辑单条专注记录；onChanged 供代码块等调用方刷新自身
+  openSessionEditor(session, onChanged = null) {
+    new SessionEditModal(this.app, session, async (changes) => {
+      const updated = await updateSession(this.app, session.id, changes);
+      if (!updated) throw new Error("会话不存在");
+      new Notice(t("sessionUpdated"));
+      this.updateView();
+      if (onChanged) await onChanged();
+    }).open();
+  }
+
+  // 手动补录一条过去的专注记录（经 appendSession 写入，标记 manual）
+  openManualSessionModal() {
+    new ManualSessionModal(this.app, this, async (session) => {
+      const sessions = await readSessions(this.app, { from: session.start, to: session.start });
+      if (sessions.some((item) => item.id === session.id)) {
+        throw new Error(t("manualSessionExists"));
+      }
+      await appendSession(this.app, session);
+      if (session.note) {
+        await this.moveSuggestToFront(session.note);
+      }
+      new Notice(t("manualSessionAdded"));
+      this.updateView();
+    }).open();
+  }
+
+  // 专注数据完整性检查：扫描报告 + 预览后修复
+  openIntegrityReport() {
+    new IntegrityReportModal(this.app, {
+      scan: async () => checkDataIntegrity(await readDataSources(this.app), getInvalidSessionReason),
+      apply: async (ops) => {
+        await applyIntegrityRepairs(this.app, ops);
+        await this.updateStatusBarDisplay();
+        this.updateView();
+      }
+    }).open();
+  }
+
+  // 二次确认后删除单条专注记录
+  confirmDeleteSession(session, onChanged = null) {
+    new ConfirmModal(this.app, t("deleteSession"), t("deleteSessionConfirm"), async () => {
+      try {
+        await deleteSession(this.app, session.id);
+        new Notice(t("sessionDeleted"));
+        this.updateView();
+        if (onChanged) await onChanged();
+      } catch (error) {
+        console.error("[Focus Timer] Failed to delete session:", error);
+        new Notice(t("deleteFailed"));
+      }
+    }).open();
+  }
+
+  // 单条记录的编辑/删除按钮（代码块与视图共用）
+  createSessionActions(session, onChanged = null) {
+    const actions = document.createElement('div');
+    actions.className = 'focus-timer-plugin-session-actions';
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'focus-timer-plugin-session-action clickable-icon';
+    editBtn.setAttribute('aria-label', t("editSession"));
+    setIcon(editBtn, 'pencil');
+    editBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.openSessionEditor(session, onChanged);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'focus-timer-plugin-session-action clickable-icon';
+    deleteBtn.setAttribute('aria-label', t("deleteSession"));
+    setIcon(deleteBtn, 'trash-2');
+    deleteBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.confirmDeleteSession(session, onChanged);
+    });
+
+    actions.appendChild(editBtn);
+    actions.appendChild(deleteBtn);
+    return actions;
+  }
+
   updateView() {
     const leaves = this.app.workspace.getLeavesOfType(VIEW_TYPE);
     leaves.forEach(leaf => {
@@ -640,25 +1485,7 @@ module.exports = class FocusTimerPlugin extends Plugin {
   async loadSettings() {
     try {
       const settings = await readSettings(this.app);
-      const defaultSettings = {
-        autoContinue: false,
-        defaultMode: "countdown",
-        adjustStepMinutes: 5,
-        defaultDurationMinutes: 25,
-        quickTimer1: { name: "", minutes: 25 },
-        quickTimer2: { name: "", minutes: 25 },
-        quickTimer3: { name: "", minutes: 25 },
-        autoRest: false,
-        defaultRestMinutes: 5,
-        keyboardShortcuts: false,
-        statusBarShowFocus: true,
-        allowCompleteCountdownEarly: false,
-        suggestTasks: [],
-        codeBlockChartShowTime: true,
-        codeBlockChartShowCount: true
-      };
-      const mergedSettings = { ...defaultSettings, ...settings };
-      this.settings = { ...this.settings, ...mergedSettings };
+      this.settings = { ...getDefaultSettings(), ...settings };
       if (this.settings.keyboardShortcuts === undefined) this.settings.keyboardShortcuts = false;
       if (this.settings.statusBarShowFocus === undefined) this.settings.statusBarShowFocus = true;
       if (this.settings.allowCompleteCountdownEarly === undefined) this.settings.allowCompleteCountdownEarly = false;
@@ -666,6 +1493,7 @@ module.exports = class FocusTimerPlugin extends Plugin {
       this.settings.suggestTasks = this.settings.suggestTasks.slice(0, MAX_SUGGEST_TASKS);
       if (this.settings.codeBlockChartShowTime === undefined) this.settings.codeBlockChartShowTime = true;
       if (this.settings.codeBlockChartShowCount === undefined) this.settings.codeBlockChartShowCount = true;
+      if (typeof this.settings.statsIncludeManual !== "boolean") this.settings.statsIncludeManual = true;
       // 确保defaultDurationMinutes是有效的整数
       if (!this.settings.defaultDurationMinutes || isNaN(this.settings.defaultDurationMinutes) || this.settings.defaultDurationMinutes <= 0) {
         this.settings.defaultDurationMinutes = 25;
@@ -706,6 +1534,55 @@ module.exports = class FocusTimerPlugin extends Plugin {
       if (!this.settings.defaultRestMinutes || isNaN(this.settings.defaultRestMinutes) || this.settings.defaultRestMinutes <= 0) {
         this.settings.defaultRestMinutes = 5;
       }
+      // 确保番茄循环设置有效：长休息间隔 2-12 次，长休息 1-600 分钟
+      // 0 表示不使用长休息
+      if (this.settings.longBreakInterval === 0) {
+        // 保留
+      } else if (!this.settings.longBreakInterval || isNaN(this.settings.longBreakInterval) || this.settings.longBreakInterval < 2) {
+        this.settings.longBreakInterval = 4;
+      } else {
+        this.settings.longBreakInterval = Math.min(Math.floor(this.settings.longBreakInterval), 12);
+      }
+      if (!this.settings.longBreakMinutes || isNaN(this.settings.longBreakMinutes) || this.settings.longBreakMinutes <= 0) {
+        this.settings.longBreakMinutes = 15;
+      } else {
+        this.settings.longBreakMinutes = Math.min(Math.floor(this.settings.longBreakMinutes), 600);
+      }
+      if (typeof this.settings.autoStartFocusAfterRest !== "boolean") this.settings.autoStartFocusAfterRest = false;
+      if (typeof this.settings.abandonResetsCycle !== "boolean") this.settings.abandonResetsCycle = true;
+      this.settings.routines = normalizeRoutines(this.settings.routines);
+      this.settings.goals = normalizeGoals(this.settings.goals);
+      if (!TIMER_MODES.includes(this.settings.defaultMode)) this.settings.defaultMode = "countdown";
+      if (!FLOWTIME_RULES.includes(this.settings.flowtimeRule)) this.settings.flowtimeRule = "ratio";
+      if (!this.settings.flowtimeRatio || isNaN(this.settings.flowtimeRatio) || this.settings.flowtimeRatio <= 0) {
+        this.settings.flowtimeRatio = 5;
+      } else {
+        this.settings.flowtimeRatio = Math.min(this.settings.flowtimeRatio, 60);
+      }
+      this.settings.flowtimeTiers = normalizeFlowtimeTiers(this.settings.flowtimeTiers);
+      this.settings.sounds = normalizeSoundSettings(this.settings.sounds);
+      if (typeof this.settings.desktopNotifications !== "boolean") this.settings.desktopNotifications = false;
+      this.settings.warningMinutes = normalizeAlertMinutes(this.settings.warningMinutes);
+      this.settings.milestoneMinutes = normalizeAlertMinutes(this.settings.milestoneMinutes);
+      this.settings.messageTemplates = normalizeMessageTemplates(this.settings.messageTemplates);
+      this.settings.zenMode = normalizeZenModeSettings(this.settings.zenMode);
+      // 确保备份保留份数为 1-100 的整数
+      if (!this.settings.backupKeepCount || isNaN(this.settings.backupKeepCount) || this.settings.backupKeepCount < 1) {
+        this.settings.backupKeepCount = 10;
+      } else {
+        this.settings.backupKeepCount = Math.min(Math.floor(this.settings.backupKeepCount), 100);
+      }
+      configureBackups({ keepCount: this.settings.backupKeepCount });
+      // 确保归档天数为 30-3650 的整数
+      if (!this.settings.archiveAfterDays || isNaN(this.settings.archiveAfterDays) || this.settings.archiveAfterDays < 30) {
+        this.settings.archiveAfterDays = DEFAULT_ARCHIVE_AFTER_DAYS;
+      } else {
+        this.settings.archiveAfterDays = Math.min(Math.floor(this.settings.archiveAfterDays), 3650);
+      }
+      // 确保导出文件夹为字符串
+      if (typeof this.settings.exportFolder !== "string") {
+        this.settings.exportFolder = "";
+      }
     } catch (error) {
       console.error("[Focus Timer] Failed to load settings:", error);
       new Notice(t("settingsLoadFailed"), 5000);
@@ -715,8 +1592,9 @@ module.exports = class FocusTimerPlugin extends Plugin {
   async saveSettings() {
     try {
       await writeSettings(this.app, this.settings);
-      // 更新快捷 timer 命令名称
+      // 更新快捷 timer 与流程命令名称
       this.registerQuickTimerCommands();
+      this.registerRoutineCommands();
     } catch (error) {
       console.error("[Focus Timer] Failed to save settings:", error);
       new Notice(t("settingsSaveFailed"), 5000);
@@ -744,8 +1622,7 @@ module.exports = class FocusTimerPlugin extends Plugin {
           const timer = this.settings.quickTimer1;
           const valid = !!(timer && timer.name && timer.name.trim());
           if (valid && !checking) {
-            const minutes = timer.minutes || 25;
-            this.startFocus(minutes * 60, "countdown", timer.name.trim());
+            this.startQuickTimer(timer);
           }
           return valid;
         },
@@ -762,8 +1639,7 @@ module.exports = class FocusTimerPlugin extends Plugin {
           const timer = this.settings.quickTimer2;
           const valid = !!(timer && timer.name && timer.name.trim());
           if (valid && !checking) {
-            const minutes = timer.minutes || 25;
-            this.startFocus(minutes * 60, "countdown", timer.name.trim());
+            this.startQuickTimer(timer);
           }
           return valid;
         },
@@ -780,8 +1656,7 @@ module.exports = class FocusTimerPlugin extends Plugin {
           const timer = this.settings.quickTimer3;
           const valid = !!(timer && timer.name && timer.name.trim());
           if (valid && !checking) {
-            const minutes = timer.minutes || 25;
-            this.startFocus(minutes * 60, "countdown", timer.name.trim());
+            this.startQuickTimer(timer);
           }
           return valid;
         },
@@ -789,8 +1664,34 @@ module.exports = class FocusTimerPlugin extends Plugin {
     }
   }
 
+  // 按快捷Timer的模式开始：倒计时使用其分钟数，正计时与心流计时不设计划时长
+  startQuickTimer(timer) {
+    const mode = TIMER_MODES.includes(timer.mode) ? timer.mode : "countdown";
+    const minutes = timer.minutes || 25;
+    return this.startFocus(isOpenEndedMode(mode) ? null : minutes * 60, mode, timer.name.trim());
+  }
+
+  // 每个流程注册一个命令（重新注册会覆盖旧命令；删除后的流程命令不再可用）
+  registerRoutineCommands() {
+    (this.settings.routines || []).forEach((routine, index) => {
+      this.addCommand({
+        id: `focus-routine-${routine.id}`,
+        name: routine.name && routine.name.trim() ? `routine ${index + 1} ${routine.name.trim()}` : `routine ${index + 1}`,
+        checkCallback: (checking) => {
+          const current = (this.settings.routines || []).find((item) => item.id === routine.id);
+          const valid = !!(current && current.steps.length > 0);
+          if (valid && !checking) {
+            this.startRoutine(current.id);
+          }
+          return valid;
+        },
+      });
+    });
+  }
+
   // 为代码块创建统计卡片的辅助方法（使用标准DOM API）
-  createStatCardForCodeBlock(container, title, mainValue, comparison, average) {
+  // goal 为目标进度项，传入时在卡片底部显示进度条（同 view.js 的 createStatCard）
+  createStatCardForCodeBlock(container, title, mainValue, comparison, average, goal = null) {
     const card = document.createElement('div');
     card.className = 'focus-timer-plugin-stat-card';
     
@@ -900,6 +1801,8 @@ module.exports = class FocusTimerPlugin extends Plugin {
       averageEl.textContent = average;
       card.appendChild(averageEl);
     }
+
+    if (goal) card.appendChild(createGoalBar(goal));
     
     container.appendChild(card);
   }
@@ -960,8 +1863,11 @@ module.exports = class FocusTimerPlugin extends Plugin {
         el._focusBlockHeight = null;
       }
       
-      // 读取数据
-      let sessions = await readSessions(this.app);
+      // 读取数据：只加载统计与图表范围需要的归档
+      const statsStart = getStatsRangeStart(targetDate);
+      const chartStart = getEarliestChartRangeStart();
+      let sessions = await readSessions(this.app, { from: statsStart < chartStart ? statsStart : chartStart });
+      const rests = await readRests(this.app, { from: statsStart });
       
       // 如果指定了日期，过滤该日期的数据
       let dateSessions = sessions;
@@ -986,7 +1892,11 @@ module.exports = class FocusTimerPlugin extends Plugin {
       }
       
       // 使用所有sessions计算统计，但基于指定日期
-      const stats = calculateStats(sessions, baseDateForStats);
+      const stats = calculateStats(filterSessionsForStats(sessions, this.settings), baseDateForStats, rests);
+      // 目标进度同样以指定日期为基准（所在周、所在月）
+      const goalBaseDate = baseDateForStats ? new Date(`${baseDateForStats}T00:00:00`) : new Date();
+      const goalProgress = calculateGoalProgress(filterSessionsForStats(sessions, this.settings), this.settings.goals, goalBaseDate);
+      const getGoal = (key) => goalProgress.find((item) => item.key === key) || null;
       
       // 创建统计区域（仅在showRecord为true时）
       if (showRecord) {
@@ -1033,7 +1943,7 @@ module.exports = class FocusTimerPlugin extends Plugin {
         
         // 使用专门的方法创建卡片
         // 根据是否指定日期，使用不同的标题和对比文本
-        let focusTitle, completedTitle, comparisonLabel;
+        let focusTitle, completedTitle, comparisonLabel, dayLabel;
         // 检查是否是昨天（通过比较targetDate和昨天的日期）
         const yesterday = new Date();
         yesterday.setDate(yesterday.getDate() - 1);
@@ -1046,34 +1956,40 @@ module.exports = class FocusTimerPlugin extends Plugin {
           focusTitle = t("todayFocusAlt");
           completedTitle = t("todayCompletedAlt");
           comparisonLabel = t("yesterday");
+          dayLabel = t("today");
         } else if (isYesterday) {
           // date:yesterday 时显示"昨天专注"、"昨天完成"、"前天"
           focusTitle = t("yesterdayFocus");
           completedTitle = t("yesterdayCompleted");
           comparisonLabel = t("dayBeforeYesterday");
+          dayLabel = t("yesterday");
         } else if (targetDate) {
           // 指定具体日期时显示"当天专注"、"当天完成"、"前一天"
           focusTitle = t("dayFocus");
           completedTitle = t("dayCompleted");
           comparisonLabel = t("dayBefore");
+          dayLabel = t("theDay");
         } else {
           // 未指定日期时显示"今日专注"、"今日完成"、"昨天"
           focusTitle = t("todayFocus");
           completedTitle = t("todayCompleted");
           comparisonLabel = t("yesterday");
+          dayLabel = t("today");
         }
         
         // 今日专注/当天专注/今天专注
         this.createStatCardForCodeBlock(statsGrid, focusTitle, 
           formatTimeChinese(stats.today),
           `${comparisonLabel} ${stats.yesterdayDiff >= 0 ? '+' : '-'}${formatTimeShort(Math.abs(stats.yesterdayDiff))}`,
-          `${t("avg7Days")} ${formatTimeShort(stats.avg7Days)}`);
+          `${t("avg7Days")} ${formatTimeShort(stats.avg7Days)}`,
+          getGoal("daily"));
         
         // 今日完成/当天完成/今天完成
         this.createStatCardForCodeBlock(statsGrid, completedTitle,
           `${stats.todayCompleted} ${t("tasks")}`,
           `${comparisonLabel} ${stats.yesterdayCompletedDiff >= 0 ? '+' : '-'}${Math.abs(stats.yesterdayCompletedDiff)}`,
-          `${t("avg7Days")} ${stats.avg7DaysCompleted.toFixed(1)} ${t("tasks")}`);
+          `${t("avg7Days")} ${stats.avg7DaysCompleted.toFixed(1)} ${t("tasks")}`,
+          getGoal("dailySessions"));
         
         // 如果未指定日期，显示本月平均和全年总专注
         if (!targetDate) {
@@ -1091,6 +2007,27 @@ module.exports = class FocusTimerPlugin extends Plugin {
         }
         
         statsSection.appendChild(statsGrid);
+
+        // 所在周、所在月的目标进度
+        const periodGoals = goalProgress.filter((item) => item.key === "weekly" || item.key === "monthly");
+        if (periodGoals.length > 0) {
+          statsSection.appendChild(createGoalList(periodGoals));
+        }
+
+        // 当天有休息或打断时显示汇总
+        const summaryLines = [];
+        if (stats.todayRest.count > 0) summaryLines.push(formatRestSummary(dayLabel, stats.todayRest));
+        if (stats.todayInterruptions.total > 0) summaryLines.push(formatInterruptionSummary(dayLabel, stats.todayInterruptions));
+        if (summaryLines.length > 0) {
+          const statsSummary = document.createElement('div');
+          statsSummary.className = 'focus-timer-plugin-stats-summary';
+          summaryLines.forEach((line) => {
+            const lineEl = document.createElement('div');
+            lineEl.textContent = line;
+            statsSummary.appendChild(lineEl);
+          });
+          statsSection.appendChild(statsSummary);
+        }
         el.appendChild(statsSection);
       }
       
@@ -1173,16 +2110,25 @@ module.exports = class FocusTimerPlugin extends Plugin {
               entryText = lang === 'zh' 
                 ? `${timeStr} ${t("completed")} ${noteText}，${formatTimeShort(session.actualSec)}`
                 : `${timeStr} ${t("completed")} ${noteText}, ${formatTimeShort(session.actualSec)}`;
+            } else if (session.status === "skipped") {
+              // 跳过了（流程中跳过的步骤）
+              entryText = `${timeStr} ${t("skipped")} ${noteText}`;
             } else {
               // 放弃了（一个任务/任务名）
               entryText = `${timeStr} ${t("abandoned")} ${noteText}`;
             }
+            entryText += formatInterruptionSuffix(session.interruptions);
             
             const entry = document.createElement('div');
-            entry.className = `focus-timer-plugin-code-history-entry ${session.status === "completed" ? "focus-timer-plugin-status-completed" : "focus-timer-plugin-status-abandoned"}`;
+            entry.className = `focus-timer-plugin-code-history-entry focus-timer-plugin-status-${session.status}`;
             entry.textContent = entryText;
+            if (session.interruptions && session.interruptions.length > 0) {
+              entry.title = formatInterruptionDetails(session.interruptions);
+            }
             
             item.appendChild(entry);
+            const rerender = () => this.renderFocusBlock(el, ctx, targetDate, isToday, showRecord, showItems, height, el._chartRange, el._chartMetric);
+            item.appendChild(this.createSessionActions(session, rerender));
             historyContent.appendChild(item);
           });
         }
@@ -1234,7 +2180,7 @@ module.exports = class FocusTimerPlugin extends Plugin {
         el.appendChild(chartContainer);
         
         // 计算指定范围的图表数据（使用中文格式的范围值）
-        const chartData = calculateChartData(sessions, rangeForCalculation);
+        const chartData = calculateChartData(filterSessionsForStats(sessions, this.settings), rangeForCalculation);
         
         // 创建图表（使用共享 createLineChart 函数，代码块为静态无 tooltip）
         if (chartData && chartData.length > 0) {
@@ -0,0 +1,88 @@
+const {
+  FOCUS_NOTE_MAX_ASCII,
+  FOCUS_NOTE_MAX_OTHER,
+  QUICK_TIMER_MAX_ASCII,
+  QUICK_TIMER_MAX_OTHER
+} = require("./constants.js");
+const { t } = require("./i18n.js");
+const { formatTimeShort } = require("./format.js");
+const { limitInputLength } = require("./utils.js");
+
+/** 每个流程最多的步骤数 */
+const ROUTINE_MAX_STEPS = 20;
+
+/** 步骤类型：专注（经 startFocus）或休息（经 startRest） */
+const ROUTINE_STEP_TYPES = ["focus", "rest"];
+
+/** 新步骤：专注默认 25 分钟，休息默认 5 分钟 */
+function createRoutineStep(type = "focus") {
+  return { type, minutes: type === "rest" ? 5 : 25, mode: "countdown", label: "" };
+}
+
+function createRoutine(name = "") {
+  return {
+    id: `routine-${Date.now().toString(36)}`,
+    name,
+    steps: [createRoutineStep("focus")]
+  };
+}
+
+/** 规范化单个步骤；时长限制在 1-600 分钟，休息固定为倒计时 */
+function normalizeRoutineStep(step) {
+  if (!step || typeof step !== "object") return null;
+  const type = ROUTINE_STEP_TYPES.includes(step.type) ? step.type : "focus";
+  const minutes = Number.isFinite(step.minutes) ? Math.min(Math.max(Math.floor(step.minutes), 1), 600) : createRoutineStep(type).minutes;
+  return {
+    type,
+    minutes,
+    mode: type === "focus" && step.mode === "stopwatch" ? "stopwatch" : "countdown",
+    label: limitInputLength(typeof step.label === "string" ? step.label : "", FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER)
+  };
+}
+
+/** 规范化设置中的流程列表，丢弃缺少 id 的项 */
+function normalizeRoutines(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list
+    .filter((routine) => routine && typeof routine === "object" && typeof routine.id === "string" && routine.id)
+    .filter((routine) => !seen.has(routine.id) && seen.add(routine.id))
+    .map((routine) => ({
+      id: routine.id,
+      name: limitInputLength(typeof routine.name === "string" ? routine.name : "", QUICK_TIMER_MAX_ASCII, QUICK_TIMER_MAX_OTHER),
+      steps: (Array.isArray(routine.steps) ? routine.steps : [])
+        .map(normalizeRoutineStep)
+        .filter(Boolean)
+        .slice(0, ROUTINE_MAX_STEPS)
+    }));
+}
+
+/** 流程显示名称（未命名时用序号） */
+function getRoutineName(routine, index) {
+  return routine.name && routine.name.trim() ? routine.name.trim() : `${t("routine")} ${index + 1}`;
+}
+
+/** 步骤说明，如「专注 50分钟」「写作 · 正计时」 */
+function describeRoutineStep(step) {
+  const name = step.label && step.label.trim() ? step.label.trim() : t("routineStepTypes")[step.type];
+  if (step.type === "focus" && step.mode === "stopwatch") {
+    return `${name} · ${t("stopwatch")}`;
+  }
+  return `${name} ${formatTimeShort(step.minutes * 60)}`;
+}
+
+/** 整个流程的说明，如「热身 10分钟 → 专注 50分钟 → 休息 10分钟」 */
+function describeRoutine(routine) {
+  return routine.steps.map(describeRoutineStep).join(" → ");
+}
+
+module.exports = {
+  ROUTINE_MAX_STEPS,
+  ROUTINE_STEP_TYPES,
+  createRoutine,
+  createRoutineStep,
+  normalizeRoutines,
+  getRoutineName,
+  describeRoutineStep,
+  describeRoutine
+};
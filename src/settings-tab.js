@@ -1,5 +1,5 @@
 const obsidian = require("obsidian");
-const { PluginSettingTab, Setting, Notice } = obsidian;
+const { PluginSettingTab, Setting, Notice, normalizePath } = obsidian;
 const {
   MAX_SUGGEST_TASKS,
   FOCUS_NOTE_MAX_ASCII,
@@ -8,9 +8,22 @@ const {
   QUICK_TIMER_MAX_OTHER
 } = require("./constants.js");
 const { t, getLanguage } = require("./i18n.js");
-const { readSettings, writeSettings, writeSessions, readSessions } = require("./data.js");
-const { ConfirmModal } = require("./modal.js");
+const { DEFAULT_ARCHIVE_AFTER_DAYS } = require("./core.js");
+const { readSettings, writeSettings, writeSessions, readSessions, appendSession, createBackup, restoreBackup } = require("./data.js");
+const { configureBackups, listBackups, readBackup, getBackupSize, summarizeBackup } = require("./backup.js");
+const { getDateKey, formatFileSize } = require("./format.js");
+const { ConfirmModal, CsvImportModal, ExportModal } = require("./modal.js");
+const { buildExport, filterSessionsForExport, getExportFileName, downloadExport, writeExportToVault } = require("./export.js");
+const { parseCSV } = require("./csv-import.js");
 const { limitInputLength } = require("./utils.js");
+const { ROUTINE_MAX_STEPS, createRoutine, createRoutineStep, getRoutineName, describeRoutine } = require("./routines.js");
+const { GOAL_MAX_MINUTES, GOAL_MAX_SESSIONS, normalizeGoals } = require("./goals.js");
+const { DEFAULT_FLOWTIME_TIERS, normalizeFlowtimeTiers, parseFlowtimeTiers, formatFlowtimeTiers } = require("./flowtime.js");
+const { ALERT_SOUNDS, AMBIENT_SOUNDS, isVaultSound } = require("./sound.js");
+const { requestDesktopNotificationPermission, showDesktopNotification } = require("./notify.js");
+const { normalizeAlertMinutes } = require("./timer-state.js");
+const { MESSAGE_EVENTS, MESSAGE_TEMPLATE_MAX_LENGTH, findUnknownPlaceholders } = require("./templates.js");
+const { ZEN_OPTIONS } = require("./zen-mode.js");
 
 class FocusTimerSettingTab extends PluginSettingTab {
   plugin;
@@ -102,6 +115,7 @@ class FocusTimerSettingTab extends PluginSettingTab {
         dropdown
           .addOption("countdown", t("countdown"))
           .addOption("stopwatch", t("stopwatch"))
+          .addOption("flowtime", t("flowtime"))
           .setValue(this.plugin.settings.defaultMode)
           .onChange(async (value) => {
             this.plugin.settings.defaultMode = value;
@@ -111,6 +125,55 @@ class FocusTimerSettingTab extends PluginSettingTab {
           });
       });
 
+    // 心流计时：结束后的休息时长按比例或按档位计算
+    new Setting(containerEl)
+      .setName(t("flowtimeRule"))
+      .setDesc(t("flowtimeRuleDesc"))
+      .addDropdown(dropdown => {
+        dropdown
+          .addOption("ratio", t("flowtimeRules").ratio)
+          .addOption("tiers", t("flowtimeRules").tiers)
+          .setValue(this.plugin.settings.flowtimeRule)
+          .onChange(async (value) => {
+            this.plugin.settings.flowtimeRule = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    new Setting(containerEl)
+      .setName(t("flowtimeRatio"))
+      .setDesc(t("flowtimeRatioDesc"))
+      .addText(text => {
+        text
+          .setPlaceholder("5")
+          .setValue(String(this.plugin.settings.flowtimeRatio || 5));
+        text.inputEl.type = "number";
+        text.inputEl.min = "1";
+        text.inputEl.max = "60";
+        text.inputEl.step = "0.5";
+        text.onChange(async (value) => {
+          const numValue = parseFloat(value);
+          this.plugin.settings.flowtimeRatio = !isNaN(numValue) && numValue > 0 ? Math.min(numValue, 60) : 5;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName(t("flowtimeTiers"))
+      .setDesc(t("flowtimeTiersDesc"))
+      .addTextArea(text => {
+        text
+          .setPlaceholder(formatFlowtimeTiers(DEFAULT_FLOWTIME_TIERS))
+          .setValue(formatFlowtimeTiers(this.plugin.settings.flowtimeTiers || DEFAULT_FLOWTIME_TIERS));
+        text.inputEl.rows = 4;
+        text.inputEl.classList.add("focus-timer-plugin-settings-textarea");
+        text.onChange(async (value) => {
+          // 无法解析的行忽略；全部无效时恢复默认档位
+          this.plugin.settings.flowtimeTiers = normalizeFlowtimeTiers(parseFlowtimeTiers(value));
+          await this.plugin.saveSettings();
+        });
+      });
+
     // 4. 默认倒计时时间设置
     new Setting(containerEl)
       .setName(t("defaultDurationMinutes"))
@@ -220,6 +283,7 @@ class FocusTimerSettingTab extends PluginSettingTab {
           .onChange(async (value) => {
             this.plugin.settings.autoRest = value;
             await this.plugin.saveSettings();
+            this.plugin.updateView(); // 循环进度随自动休息显示/隐藏
           });
       });
 
@@ -273,6 +337,177 @@ class FocusTimerSettingTab extends PluginSettingTab {
         });
       });
 
+    // 8. 番茄循环：几次专注后长休息
+    new Setting(containerEl)
+      .setName(t("longBreakInterval"))
+      .setDesc(t("longBreakIntervalDesc"))
+      .addText(text => {
+        text
+          .setPlaceholder("4")
+          .setValue(String(this.plugin.getLongBreakInterval()));
+        text.inputEl.type = "number";
+        text.inputEl.min = "0";
+        text.inputEl.max = "12";
+        text.inputEl.step = "1";
+        text.onChange(async (value) => {
+          const numValue = parseInt(value, 10);
+          if (numValue === 0) {
+            this.plugin.settings.longBreakInterval = 0;
+          } else if (!isNaN(numValue) && numValue >= 2) {
+            this.plugin.settings.longBreakInterval = Math.min(numValue, 12);
+          } else {
+            this.plugin.settings.longBreakInterval = 4;
+          }
+          await this.plugin.saveSettings();
+          this.plugin.updateView();
+        });
+      });
+
+    // 9. 长休息时间
+    new Setting(containerEl)
+      .setName(t("longBreakMinutes"))
+      .setDesc(t("longBreakMinutesDesc"))
+      .addText(text => {
+        text
+          .setPlaceholder("15")
+          .setValue(String(this.plugin.settings.longBreakMinutes || 15));
+        text.inputEl.type = "number";
+        text.inputEl.min = "1";
+        text.inputEl.max = "600";
+        text.inputEl.step = "1";
+        text.onChange(async (value) => {
+          const numValue = parseInt(value, 10);
+          if (!isNaN(numValue) && numValue > 0) {
+            this.plugin.settings.longBreakMinutes = Math.min(numValue, 600);
+          } else {
+            this.plugin.settings.longBreakMinutes = 15;
+          }
+          await this.plugin.saveSettings();
+        });
+      });
+
+    // 10. 休息结束后自动开始下一次专注
+    new Setting(containerEl)
+      .setName(t("autoStartFocusAfterRest"))
+      .setDesc(t("autoStartFocusAfterRestDesc"))
+      .addToggle(toggle => {
+        toggle
+          .setValue(this.plugin.settings.autoStartFocusAfterRest === true)
+          .onChange(async (value) => {
+            this.plugin.settings.autoStartFocusAfterRest = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    // 11. 放弃专注时重置番茄循环
+    new Setting(containerEl)
+      .setName(t("abandonResetsCycle"))
+      .setDesc(t("abandonResetsCycleDesc"))
+      .addToggle(toggle => {
+        toggle
+          .setValue(this.plugin.settings.abandonResetsCycle !== false)
+          .onChange(async (value) => {
+            this.plugin.settings.abandonResetsCycle = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    // 结束前提醒与正计时里程碑（逗号分隔的分钟数）
+    this.addAlertMinutesSetting(containerEl, "warningMinutes", t("warningMinutes"), t("warningMinutesDesc"));
+    this.addAlertMinutesSetting(containerEl, "milestoneMinutes", t("milestoneMinutes"), t("milestoneMinutesDesc"));
+
+    // 声音：提示音（专注到点、休息结束、结束前提醒）与专注时的背景音
+    new Setting(containerEl)
+      .setName(t("sounds"))
+      .setDesc(t("soundsDesc"))
+      .setHeading();
+
+    new Setting(containerEl)
+      .setName(t("soundVolume"))
+      .addSlider(slider => slider
+        .setLimits(0, 100, 5)
+        .setValue(this.plugin.settings.sounds.volume)
+        .setDynamicTooltip()
+        .onChange(async (value) => {
+          this.plugin.settings.sounds.volume = value;
+          await this.plugin.saveSettings();
+        }));
+
+    this.addSoundSetting(containerEl, "focusEnd", ALERT_SOUNDS);
+    this.addSoundSetting(containerEl, "restEnd", ALERT_SOUNDS);
+    this.addSoundSetting(containerEl, "warning", ALERT_SOUNDS);
+    this.addSoundSetting(containerEl, "ambient", AMBIENT_SOUNDS);
+
+    new Setting(containerEl)
+      .setName(t("ambientVolume"))
+      .addSlider(slider => slider
+        .setLimits(0, 100, 5)
+        .setValue(this.plugin.settings.sounds.ambientVolume)
+        .setDynamicTooltip()
+        .onChange(async (value) => {
+          this.plugin.settings.sounds.ambientVolume = value;
+          await this.plugin.saveSettings();
+          this.plugin.updateAmbientSound();
+        }));
+
+    // 系统通知：开启时请求授权，未获授权则保持关闭
+    new Setting(containerEl)
+      .setName(t("desktopNotifications"))
+      .setDesc(t("desktopNotificationsDesc"))
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.desktopNotifications === true)
+        .onChange(async (value) => {
+          if (value && !(await requestDesktopNotificationPermission())) {
+            new Notice(t("desktopNotificationsDenied"));
+            toggle.setValue(false);
+            return;
+          }
+          this.plugin.settings.desktopNotifications = value;
+          await this.plugin.saveSettings();
+        }))
+      .addExtraButton(button => button
+        .setIcon("bell")
+        .setTooltip(t("desktopNotificationsTest"))
+        .onClick(() => showDesktopNotification(t("desktopNotificationTitles").focusEnd, t("desktopNotificationsTestBody"), {
+          onClick: () => this.plugin.openView()
+        })));
+
+    // 消息模板：留空使用内置消息
+    new Setting(containerEl)
+      .setName(t("messageTemplates"))
+      .setDesc(t("messageTemplatesDesc"))
+      .setHeading();
+    MESSAGE_EVENTS.forEach((event) => this.addMessageTemplateSetting(containerEl, event));
+
+    // 专注时精简界面：修改后立即按当前计时状态进入或退出
+    new Setting(containerEl)
+      .setName(t("zenMode"))
+      .setDesc(t("zenModeDesc"))
+      .setHeading();
+
+    const zenMode = this.plugin.settings.zenMode;
+    new Setting(containerEl)
+      .setName(t("zenModeEnabled"))
+      .addToggle(toggle => toggle
+        .setValue(zenMode.enabled)
+        .onChange(async (value) => {
+          zenMode.enabled = value;
+          await this.plugin.saveSettings();
+          this.plugin.updateZenMode();
+        }));
+
+    ZEN_OPTIONS.forEach((key) => {
+      new Setting(containerEl)
+        .setName(t("zenModeOptions")[key])
+        .addToggle(toggle => toggle
+          .setValue(zenMode[key])
+          .onChange(async (value) => {
+            zenMode[key] = value;
+            await this.plugin.saveSettings();
+            this.plugin.updateZenMode();
+          }));
+    });
+
     // 快捷Timer设置
     new Setting(containerEl)
       .setName(t("quickTimer"))
@@ -337,6 +572,20 @@ class FocusTimerSettingTab extends PluginSettingTab {
           }
           await this.plugin.saveSettings();
         });
+      })
+      .addDropdown(dropdown => {
+        dropdown
+          .addOption("countdown", t("countdown"))
+          .addOption("stopwatch", t("stopwatch"))
+          .addOption("flowtime", t("flowtime"))
+          .setValue(this.plugin.settings.quickTimer1?.mode || "countdown")
+          .onChange(async (value) => {
+            if (!this.plugin.settings.quickTimer1) {
+              this.plugin.settings.quickTimer1 = { name: "", minutes: 25 };
+            }
+            this.plugin.settings.quickTimer1.mode = value;
+            await this.plugin.saveSettings();
+          });
       });
 
     // 快捷Timer 2
@@ -398,6 +647,20 @@ class FocusTimerSettingTab extends PluginSettingTab {
           }
           await this.plugin.saveSettings();
         });
+      })
+      .addDropdown(dropdown => {
+        dropdown
+          .addOption("countdown", t("countdown"))
+          .addOption("stopwatch", t("stopwatch"))
+          .addOption("flowtime", t("flowtime"))
+          .setValue(this.plugin.settings.quickTimer2?.mode || "countdown")
+          .onChange(async (value) => {
+            if (!this.plugin.settings.quickTimer2) {
+              this.plugin.settings.quickTimer2 = { name: "", minutes: 25 };
+            }
+            this.plugin.settings.quickTimer2.mode = value;
+            await this.plugin.saveSettings();
+          });
       });
 
     // 快捷Timer 3
@@ -459,7 +722,68 @@ class FocusTimerSettingTab extends PluginSettingTab {
           }
           await this.plugin.saveSettings();
         });
+      })
+      .addDropdown(dropdown => {
+        dropdown
+          .addOption("countdown", t("countdown"))
+          .addOption("stopwatch", t("stopwatch"))
+          .addOption("flowtime", t("flowtime"))
+          .setValue(this.plugin.settings.quickTimer3?.mode || "countdown")
+          .onChange(async (value) => {
+            if (!this.plugin.settings.quickTimer3) {
+              this.plugin.settings.quickTimer3 = { name: "", minutes: 25 };
+            }
+            this.plugin.settings.quickTimer3.mode = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    // 流程（多步骤计时序列）
+    new Setting(containerEl)
+      .setName(t("routines"))
+      .setDesc(t("routinesDesc"))
+      .setHeading();
+
+    const routineListEl = containerEl.createDiv("focus-timer-plugin-routine-list");
+    this.renderRoutines(routineListEl);
+
+    // 专注目标（0 或空白表示不设目标）
+    new Setting(containerEl)
+      .setName(t("goals"))
+      .setDesc(t("goalsDesc"))
+      .setHeading();
+
+    if (!this.plugin.settings.goals) this.plugin.settings.goals = normalizeGoals(null);
+    this.addGoalSetting(containerEl, "dailyMinutes", t("goalDailyMinutes"), t("goalDailyMinutesDesc"), GOAL_MAX_MINUTES);
+    this.addGoalSetting(containerEl, "dailySessions", t("goalDailySessions"), t("goalDailySessionsDesc"), GOAL_MAX_SESSIONS);
+    this.addGoalSetting(containerEl, "weeklyMinutes", t("goalWeeklyMinutes"), t("goalWeeklyMinutesDesc"), GOAL_MAX_MINUTES);
+    this.addGoalSetting(containerEl, "monthlyMinutes", t("goalMonthlyMinutes"), t("goalMonthlyMinutesDesc"), GOAL_MAX_MINUTES);
+
+    // 按星期覆盖每日专注目标（从周一排到周日，空白表示沿用每日目标）
+    const weekdaySetting = new Setting(containerEl)
+      .setName(t("goalWeekdayMinutes"))
+      .setDesc(t("goalWeekdayMinutesDesc"));
+    const weekdayNames = t("weekdayShort");
+    [1, 2, 3, 4, 5, 6, 0].forEach((day) => {
+      weekdaySetting.addText(text => {
+        const value = this.plugin.settings.goals.weekdayMinutes[day];
+        text
+          .setPlaceholder(weekdayNames[day])
+          .setValue(value != null ? String(value) : "");
+        text.inputEl.type = "number";
+        text.inputEl.min = "0";
+        text.inputEl.max = String(GOAL_MAX_MINUTES);
+        text.inputEl.step = "1";
+        text.inputEl.title = weekdayNames[day];
+        text.inputEl.classList.add("focus-timer-plugin-goal-weekday-input");
+        text.onChange(async (input) => {
+          const numValue = parseInt(input, 10);
+          this.plugin.settings.goals.weekdayMinutes[day] = isNaN(numValue) || numValue < 0 ? null : Math.min(numValue, GOAL_MAX_MINUTES);
+          await this.plugin.saveSettings();
+          this.plugin.updateView();
+        });
       });
+    });
 
     // Focus 代码块图表默认设置
     new Setting(containerEl)
@@ -513,6 +837,20 @@ class FocusTimerSettingTab extends PluginSettingTab {
     new Setting(containerEl)
       .setName(t("other"))
       .setHeading();
+
+    // 统计是否包含手动补录的记录
+    new Setting(containerEl)
+      .setName(t("statsIncludeManual"))
+      .setDesc(t("statsIncludeManualDesc"))
+      .addToggle(toggle => {
+        toggle
+          .setValue(this.plugin.settings.statsIncludeManual !== false)
+          .onChange(async (value) => {
+            this.plugin.settings.statsIncludeManual = value;
+            await this.plugin.saveSettings();
+            this.plugin.updateView();
+          });
+      });
     
     // 联想任务列表
     new Setting(containerEl)
@@ -559,18 +897,57 @@ class FocusTimerSettingTab extends PluginSettingTab {
       .setDesc(t("exportDataDesc"))
       .addButton(button => {
         button
-          .setButtonText(t("exportCSV"))
+          .setButtonText(t("exportData"))
           .setCta()
-          .onClick(async () => {
-            try {
-              await this.exportDataToCSV();
-              new Notice(t("exportSuccess"));
-            } catch (error) {
-              new Notice(`${t("exportFailed")}: ${error.message}`, 5000);
-            }
+          .onClick(() => {
+            new ExportModal(this.app, this.plugin, (options) => this.exportData(options)).open();
           });
       });
 
+    // 导入数据
+    new Setting(containerEl)
+      .setName(t("importData"))
+      .setDesc(t("importDataDesc"))
+      .addButton(button => {
+        button
+          .setButtonText(t("importCSV"))
+          .onClick(() => this.pickCSVToImport());
+      });
+
+    // 归档旧记录
+    new Setting(containerEl)
+      .setName(t("archiveAfterDays"))
+      .setDesc(t("archiveAfterDaysDesc"))
+      .addText(text => {
+        const currentValue = this.plugin.settings.archiveAfterDays || DEFAULT_ARCHIVE_AFTER_DAYS;
+        text
+          .setPlaceholder(String(DEFAULT_ARCHIVE_AFTER_DAYS))
+          .setValue(String(currentValue));
+        text.inputEl.type = "number";
+        text.inputEl.min = "30";
+        text.inputEl.max = "3650";
+        text.inputEl.step = "1";
+        text.onChange(async (value) => {
+          const numValue = parseInt(value, 10);
+          if (!isNaN(numValue) && numValue >= 30) {
+            this.plugin.settings.archiveAfterDays = Math.min(numValue, 3650);
+          } else {
+            this.plugin.settings.archiveAfterDays = DEFAULT_ARCHIVE_AFTER_DAYS;
+          }
+          await this.plugin.saveSettings();
+        });
+      });
+
+    // 检查专注数据
+    new Setting(containerEl)
+      .setName(t("checkData"))
+      .setDesc(t("checkDataDesc"))
+      .addButton(button => {
+        button
+          .setButtonText(t("checkData"))
+          .onClick(() => this.plugin.openIntegrityReport());
+      });
+
     // 删除所有历史记录
     new Setting(containerEl)
       .setName(t("deleteAllHistory"))
@@ -596,76 +973,457 @@ class FocusTimerSettingTab extends PluginSettingTab {
             modal.open();
           });
       });
+
+    // 自动备份
+    new Setting(containerEl)
+      .setName(t("backups"))
+      .setHeading();
+
+    new Setting(containerEl)
+      .setName(t("backupKeepCount"))
+      .setDesc(t("backupKeepCountDesc"))
+      .addText(text => {
+        const currentValue = this.plugin.settings.backupKeepCount || 10;
+        text
+          .setPlaceholder("10")
+          .setValue(String(currentValue));
+        text.inputEl.type = "number";
+        text.inputEl.min = "1";
+        text.inputEl.max = "100";
+        text.inputEl.step = "1";
+        text.onChange(async (value) => {
+          const numValue = parseInt(value, 10);
+          if (!isNaN(numValue) && numValue >= 1) {
+            this.plugin.settings.backupKeepCount = Math.min(numValue, 100);
+          } else {
+            this.plugin.settings.backupKeepCount = 10;
+          }
+          configureBackups({ keepCount: this.plugin.settings.backupKeepCount });
+          await this.plugin.saveSettings();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName(t("backupNow"))
+      .setDesc(t("backupNowDesc"))
+      .addButton(button => {
+        button
+          .setButtonText(t("backupNow"))
+          .onClick(async () => {
+            try {
+              await createBackup(this.plugin.app, "manual");
+              new Notice(t("backupCreated"));
+              this.renderBackupList(backupListEl);
+            } catch (error) {
+              new Notice(`${t("backupFailed")}: ${error.message}`, 5000);
+            }
+          });
+      });
+
+    const backupListEl = containerEl.createDiv("focus-timer-plugin-backup-list");
+    this.renderBackupList(backupListEl);
   }
 
-  // 导出数据为CSV
-  async exportDataToCSV() {
-    const sessions = await readSessions(this.plugin.app);
-    
-    if (sessions.length === 0) {
-      new Notice(t("noDataToExport"), 3000);
-      return;
+  // 提醒分钟数列表：输入如「5, 2」，留空表示不提醒
+  addAlertMinutesSetting(containerEl, key, name, desc) {
+    new Setting(containerEl)
+      .setName(name)
+      .setDesc(desc)
+      .addText(text => {
+        text
+          .setPlaceholder("5, 2")
+          .setValue(this.plugin.settings[key].join(", "));
+        text.onChange(async (value) => {
+          this.plugin.settings[key] = normalizeAlertMinutes(value.split(/[,，\s]+/).filter(Boolean));
+          await this.plugin.saveSettings();
+        });
+      });
+  }
+
+  // 消息模板：含未知占位符时在说明下方提示，修正前不保存
+  addMessageTemplateSetting(containerEl, event) {
+    const templates = this.plugin.settings.messageTemplates;
+    const setting = new Setting(containerEl).setName(t("messageTemplateEvents")[event]);
+    const errorEl = setting.descEl.createDiv({ cls: "focus-timer-plugin-template-error" });
+    const checkTemplate = (value) => {
+      const unknown = findUnknownPlaceholders(value);
+      errorEl.setText(unknown.length > 0
+        ? t("messageTemplateUnknown").replace("{names}", unknown.map((name) => `{${name}}`).join(" "))
+        : "");
+      return unknown.length === 0;
+    };
+    checkTemplate(templates[event]);
+    setting.addText(text => {
+      text
+        .setPlaceholder(t("messageTemplateExamples")[event])
+        .setValue(templates[event]);
+      text.inputEl.maxLength = MESSAGE_TEMPLATE_MAX_LENGTH;
+      text.inputEl.addClass("focus-timer-plugin-template-input");
+      text.onChange(async (value) => {
+        if (!checkTemplate(value)) return;
+        templates[event] = value;
+        await this.plugin.saveSettings();
+      });
+    });
+  }
+
+  // 声音选择：内置音效或库内音频文件（选「库内文件」后填写路径）；提示音可试听
+  addSoundSetting(containerEl, key, builtIn) {
+    const sounds = this.plugin.settings.sounds;
+    const soundNames = t("soundNames");
+    const isFile = isVaultSound(sounds[key]);
+    let pathText = null;
+    const apply = async (value) => {
+      sounds[key] = value;
+      await this.plugin.saveSettings();
+      if (key === "ambient") this.plugin.updateAmbientSound();
+    };
+    const setting = new Setting(containerEl)
+      .setName(t("soundEvents")[key])
+      .addDropdown(dropdown => {
+        dropdown.addOption("none", soundNames.none);
+        builtIn.forEach((name) => dropdown.addOption(name, soundNames[name]));
+        dropdown
+          .addOption("file", soundNames.file)
+          .setValue(isFile ? "file" : sounds[key])
+          .onChange(async (value) => {
+            pathText.setDisabled(value !== "file");
+            if (value === "file") {
+              // 路径为空时先不启用，填写路径后生效
+              await apply(pathText.getValue().trim() ? normalizePath(pathText.getValue().trim()) : "none");
+            } else {
+              await apply(value);
+            }
+          });
+      })
+      .addText(text => {
+        pathText = text;
+        text
+          .setPlaceholder(t("soundFilePlaceholder"))
+          .setValue(isFile ? sounds[key] : "")
+          .setDisabled(!isFile);
+        text.onChange(async (value) => {
+          await apply(value.trim() ? normalizePath(value.trim()) : "none");
+        });
+      });
+    if (key !== "ambient") {
+      setting.addExtraButton(button => button
+        .setIcon("play")
+        .setTooltip(t("soundPreview"))
+        .onClick(() => this.plugin.sound.play(sounds[key], sounds.volume, "sound-preview")));
     }
+  }
 
-    // CSV表头
-    const headers = t("csvHeaders");
+  // 目标数值设置：空白或 0 表示不设目标，超过上限时按上限保存
+  addGoalSetting(containerEl, key, name, desc, max) {
+    new Setting(containerEl)
+      .setName(name)
+      .setDesc(desc)
+      .addText(text => {
+        const value = this.plugin.settings.goals[key];
+        text
+          .setPlaceholder("0")
+          .setValue(value ? String(value) : "");
+        text.inputEl.type = "number";
+        text.inputEl.min = "0";
+        text.inputEl.max = String(max);
+        text.inputEl.step = "1";
+        text.onChange(async (input) => {
+          const numValue = parseInt(input, 10);
+          this.plugin.settings.goals[key] = isNaN(numValue) || numValue <= 0 ? 0 : Math.min(numValue, max);
+          await this.plugin.saveSettings();
+          this.plugin.updateView();
+        });
+      });
+  }
 
-    // 转换数据为CSV行
-    const csvRows = [headers.join(",")];
-    
-    sessions.forEach(session => {
-      const plannedMinutes = session.plannedSec ? Math.round(session.plannedSec / 60) : "";
-      const actualMinutes = session.actualSec ? Math.round(session.actualSec / 60) : "";
-      const statusText = session.status === "completed" ? t("completedStatus") : t("abandonedStatus");
-      
-      // 转义CSV字段（处理逗号、引号、换行符）
-      const escapeCSV = (field) => {
-        if (field === null || field === undefined) return "";
-        const str = String(field);
-        if (str.includes(",") || str.includes('"') || str.includes("\n")) {
-          return `"${str.replace(/"/g, '""')}"`;
-        }
-        return str;
+  // 流程编辑器：每个流程一行名称 + 每步一行；增删与排序后只重绘本区域
+  renderRoutines(listEl) {
+    listEl.empty();
+    const settings = this.plugin.settings;
+    if (!Array.isArray(settings.routines)) settings.routines = [];
+    const routines = settings.routines;
+    const stepTypes = t("routineStepTypes");
+    const rerender = async () => {
+      await this.plugin.saveSettings();
+      this.renderRoutines(listEl);
+    };
+
+    routines.forEach((routine, routineIndex) => {
+      const routineEl = listEl.createDiv("focus-timer-plugin-routine-editor");
+      const header = new Setting(routineEl)
+        .setName(getRoutineName(routine, routineIndex))
+        .setDesc(describeRoutine(routine))
+        .addText(text => {
+          text
+            .setPlaceholder(t("routineNamePlaceholder"))
+            .setValue(routine.name || "");
+          text.onChange(async (value) => {
+            const limitedValue = limitInputLength(value || "", QUICK_TIMER_MAX_ASCII, QUICK_TIMER_MAX_OTHER);
+            routine.name = limitedValue;
+            if (value !== limitedValue) {
+              text.setValue(limitedValue);
+            }
+            header.setName(getRoutineName(routine, routineIndex));
+            await this.plugin.saveSettings();
+          });
+        })
+        .addExtraButton(button => button
+          .setIcon("play")
+          .setTooltip(t("startRoutine"))
+          .onClick(() => this.plugin.startRoutine(routine.id)))
+        .addExtraButton(button => button
+          .setIcon("trash")
+          .setTooltip(t("deleteRoutine"))
+          .onClick(() => {
+            new ConfirmModal(
+              this.app,
+              t("deleteRoutine"),
+              t("deleteRoutineConfirm").replace("{name}", getRoutineName(routine, routineIndex)),
+              async () => {
+                routines.splice(routineIndex, 1);
+                await rerender();
+              }
+            ).open();
+          }));
+      // 步骤修改后刷新流程说明
+      const updateDesc = async () => {
+        header.setDesc(describeRoutine(routine));
+        await this.plugin.saveSettings();
       };
 
-      const row = [
-        escapeCSV(session.id),
-        escapeCSV(session.start),
-        escapeCSV(session.end || ""),
-        escapeCSV(session.plannedSec || ""),
-        escapeCSV(plannedMinutes),
-        escapeCSV(session.actualSec || ""),
-        escapeCSV(actualMinutes),
-        escapeCSV(statusText),
-        escapeCSV(session.note || ""),
-        escapeCSV(session.createdAt)
-      ];
-      
-      csvRows.push(row.join(","));
+      routine.steps.forEach((step, stepIndex) => {
+        new Setting(routineEl)
+          .setClass("focus-timer-plugin-routine-step")
+          .setName(`${stepIndex + 1}.`)
+          .addDropdown(dropdown => dropdown
+            .addOption("focus", stepTypes.focus)
+            .addOption("rest", stepTypes.rest)
+            .setValue(step.type)
+            .onChange(async (value) => {
+              step.type = value;
+              if (value === "rest") step.mode = "countdown";
+              await rerender();
+            }))
+          .addText(text => {
+            text.setPlaceholder(t("minutes")).setValue(String(step.minutes));
+            text.inputEl.type = "number";
+            text.inputEl.min = "1";
+            text.inputEl.max = "600";
+            text.inputEl.step = "1";
+            text.setDisabled(step.mode === "stopwatch");
+            text.onChange(async (value) => {
+              const numValue = parseInt(value, 10);
+              if (!isNaN(numValue) && numValue > 0) {
+                step.minutes = Math.min(numValue, 600);
+                await updateDesc();
+              }
+            });
+          })
+          .addDropdown(dropdown => dropdown
+            .addOption("countdown", t("countdown"))
+            .addOption("stopwatch", t("stopwatch"))
+            .setValue(step.mode)
+            .setDisabled(step.type === "rest")
+            .onChange(async (value) => {
+              step.mode = value;
+              await rerender();
+            }))
+          .addText(text => {
+            text
+              .setPlaceholder(t("routineStepLabelPlaceholder"))
+              .setValue(step.label || "");
+            text.onChange(async (value) => {
+              const limitedValue = limitInputLength(value || "", FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER);
+              step.label = limitedValue;
+              if (value !== limitedValue) {
+                text.setValue(limitedValue);
+              }
+              await updateDesc();
+            });
+          })
+          .addExtraButton(button => button
+            .setIcon("arrow-up")
+            .setTooltip(t("moveUp"))
+            .setDisabled(stepIndex === 0)
+            .onClick(async () => {
+              if (stepIndex === 0) return;
+              routine.steps.splice(stepIndex - 1, 0, ...routine.steps.splice(stepIndex, 1));
+              await rerender();
+            }))
+          .addExtraButton(button => button
+            .setIcon("arrow-down")
+            .setTooltip(t("moveDown"))
+            .setDisabled(stepIndex === routine.steps.length - 1)
+            .onClick(async () => {
+              if (stepIndex === routine.steps.length - 1) return;
+              routine.steps.splice(stepIndex + 1, 0, ...routine.steps.splice(stepIndex, 1));
+              await rerender();
+            }))
+          .addExtraButton(button => button
+            .setIcon("x")
+            .setTooltip(t("deleteRoutineStep"))
+            .onClick(async () => {
+              routine.steps.splice(stepIndex, 1);
+              await rerender();
+            }));
+      });
+
+      if (routine.steps.length < ROUTINE_MAX_STEPS) {
+        new Setting(routineEl)
+          .addButton(button => button
+            .setButtonText(t("addRoutineStep"))
+            .onClick(async () => {
+              const last = routine.steps[routine.steps.length - 1];
+              // 默认在专注后加休息、休息后加专注
+              routine.steps.push(createRoutineStep(last && last.type === "focus" ? "rest" : "focus"));
+              await rerender();
+            }));
+      }
     });
 
-    // 生成CSV内容
-    const csvContent = csvRows.join("\n");
-    
-    // 添加BOM以支持中文（UTF-8 with BOM）
-    const BOM = "\uFEFF";
-    const csvWithBOM = BOM + csvContent;
-
-    // 创建下载链接
-    const blob = new Blob([csvWithBOM], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    
-    // 生成文件名（包含当前日期）
-    const now = new Date();
-    const dateStr = now.toISOString().split("T")[0];
-    link.download = `${t("csvFilename")}-${dateStr}.csv`;
-    
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    new Setting(listEl)
+      .addButton(button => button
+        .setButtonText(t("addRoutine"))
+        .onClick(async () => {
+          routines.push(createRoutine());
+          await rerender();
+        }));
+  }
+
+  // 备份列表：每份备份显示时间、原因与预览（会话数量、日期范围），可恢复
+  async renderBackupList(listEl) {
+    listEl.empty();
+    let backups;
+    try {
+      backups = await listBackups(this.plugin.app);
+    } catch (error) {
+      listEl.createDiv({ text: `${t("backupFailed")}: ${error.message}`, cls: "focus-timer-plugin-backup-empty" });
+      return;
+    }
+    if (backups.length === 0) {
+      listEl.createDiv({ text: t("noBackups"), cls: "focus-timer-plugin-backup-empty" });
+      return;
+    }
+
+    const reasonLabels = t("backupReasonLabels");
+    for (const backup of backups) {
+      const reasonLabel = (reasonLabels && reasonLabels[backup.reason]) || backup.reason;
+      const setting = new Setting(listEl)
+        .setName(`${backup.createdAt.toLocaleString()} · ${reasonLabel}`)
+        .addButton(button => {
+          button
+            .setButtonText(t("restoreBackup"))
+            .onClick(() => this.confirmRestoreBackup(backup));
+        });
+      // 列表只显示文件信息；备份内容在选择恢复时才读取
+      const size = await getBackupSize(this.plugin.app, backup.name);
+      if (size !== null) setting.setDesc(formatFileSize(size));
+    }
+  }
+
+  // 读取选中的备份，在确认框中显示记录数量与日期范围
+  async confirmRestoreBackup(backup) {
+    let preview;
+    try {
+      const summary = summarizeBackup(await readBackup(this.plugin.app, backup.name));
+      preview = summary.sessionCount === 0 || !summary.firstStart
+        ? t("backupPreviewEmpty").replace("{count}", summary.sessionCount)
+        : t("backupPreview")
+          .replace("{count}", summary.sessionCount)
+          .replace("{from}", getDateKey(summary.firstStart))
+          .replace("{to}", getDateKey(summary.lastStart));
+    } catch (error) {
+      new Notice(`${t("backupUnreadable")}: ${error.message}`, 5000);
+      return;
+    }
+    const modal = new ConfirmModal(
+      this.app,
+      t("restoreBackup"),
+      t("restoreBackupConfirm").replace("{preview}", preview),
+      async () => {
+        try {
+          await restoreBackup(this.plugin.app, backup.name);
+          await this.plugin.loadSettings();
+          this.plugin.registerQuickTimerCommands();
+          this.plugin.registerRoutineCommands();
+          this.plugin.updateView();
+          new Notice(t("restoreBackupSuccess"));
+          this.display();
+        } catch (error) {
+          new Notice(`${t("restoreBackupFailed")}: ${error.message}`, 5000);
+        }
+      },
+      t("restoreBackup")
+    );
+    modal.open();
+  }
+
+  // 选择 CSV 文件后打开导入映射与预览
+  pickCSVToImport() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".csv,text/csv";
+    input.onchange = async () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      try {
+        const rows = parseCSV(await file.text());
+        if (rows.length < 2) {
+          new Notice(t("csvImportEmpty"), 3000);
+          return;
+        }
+        const existingIds = (await readSessions(this.plugin.app)).map((session) => session.id);
+        new CsvImportModal(this.app, {
+          fileName: file.name,
+          rows,
+          existingIds,
+          onImport: (sessions) => this.importSessions(sessions)
+        }).open();
+      } catch (error) {
+        new Notice(`${t("csvImportFailed")}: ${error.message}`, 5000);
+      }
+    };
+    input.click();
+  }
+
+  // 导入前先备份，逐条追加（appendSession 会跳过日志中已有的 id）
+  async importSessions(sessions) {
+    await createBackup(this.plugin.app, "import");
+    for (const session of sessions) {
+      await appendSession(this.plugin.app, session);
+    }
+    new Notice(t("csvImportSuccess").replace("{count}", sessions.length));
+    await this.plugin.updateStatusBarDisplay();
+    this.plugin.updateView();
+  }
+
+  /**
+   * 按选项导出：format 为 csv/json/markdown/ics，target 为 download 或 vault（写入 path）。
+   * 没有可导出的记录时返回 false。
+   */
+  async exportData({ format, target, path, filters }) {
+    const allSessions = await readSessions(this.plugin.app);
+    const sessions = filterSessionsForExport(allSessions, filters)
+      .sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+
+    if (sessions.length === 0) {
+      new Notice(t("noDataToExport"), 3000);
+      return false;
+    }
+
+    const content = buildExport(format, sessions, filters);
+    if (target === "vault") {
+      await writeExportToVault(this.plugin.app, path, content);
+      // 记住导出文件夹，下次默认使用
+      this.plugin.settings.exportFolder = path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "";
+      await this.plugin.saveSettings();
+      new Notice(t("exportSavedTo").replace("{path}", path));
+    } else {
+      downloadExport(content, getExportFileName(format), format);
+      new Notice(t("exportSuccess"));
+    }
+    return true;
   }
 }
 
@@ -0,0 +1,213 @@
+const { Notice, normalizePath } = require("obsidian");
+const { t } = require("./i18n.js");
+
+/**
+ * 提示音与背景音。内置音效用 WebAudio 合成，不随插件附带音频文件；也可以使用库内的音频文件（值为库内路径）。
+ * 正在播放的声音与 AudioContext 都以资源登记在 TimerManager，clear/clearAll（含插件卸载）时停止并释放。
+ */
+
+/** 内置提示音：每个音符 { freq, at, duration, type, gain }，时间单位为秒 */
+const ALERT_TONES = {
+  bell: [
+    { freq: 880, at: 0, duration: 1.6, type: "sine", gain: 0.8 },
+    { freq: 1760, at: 0, duration: 0.8, type: "sine", gain: 0.25 }
+  ],
+  chime: [
+    { freq: 523.25, at: 0, duration: 0.5, type: "triangle", gain: 0.7 },
+    { freq: 659.25, at: 0.18, duration: 0.5, type: "triangle", gain: 0.7 },
+    { freq: 783.99, at: 0.36, duration: 0.9, type: "triangle", gain: 0.7 }
+  ],
+  digital: [
+    { freq: 1000, at: 0, duration: 0.1, type: "square", gain: 0.3 },
+    { freq: 1000, at: 0.2, duration: 0.1, type: "square", gain: 0.3 },
+    { freq: 1000, at: 0.4, duration: 0.1, type: "square", gain: 0.3 }
+  ]
+};
+
+const ALERT_SOUNDS = Object.keys(ALERT_TONES);
+const AMBIENT_SOUNDS = ["ticking", "whiteNoise", "brownNoise"];
+/** 有提示音的计时事项：专注到点、休息结束、结束前提醒 */
+const SOUND_EVENTS = ["focusEnd", "restEnd", "warning"];
+
+const ALERT_ID = "sound-alert";
+const AMBIENT_ID = "sound-ambient";
+const CONTEXT_ID = "sound-context";
+
+/** 值为库内音频路径（而非 none 或内置音效名） */
+function isVaultSound(value) {
+  return typeof value === "string" && value.trim() !== "" && value !== "none" &&
+    !ALERT_SOUNDS.includes(value) && !AMBIENT_SOUNDS.includes(value);
+}
+
+function toVolume(value, fallback) {
+  return Number.isFinite(value) ? Math.min(Math.max(Math.round(value), 0), 100) : fallback;
+}
+
+/** 规范化声音设置；空白的库内路径视为 none */
+function normalizeSoundSettings(sounds) {
+  const source = sounds && typeof sounds === "object" ? sounds : {};
+  const pick = (value, builtIn) => {
+    if (value === "none" || builtIn.includes(value)) return value;
+    return isVaultSound(value) ? normalizePath(value.trim()) : "none";
+  };
+  const result = {
+    volume: toVolume(source.volume, 70),
+    ambient: pick(source.ambient, AMBIENT_SOUNDS),
+    ambientVolume: toVolume(source.ambientVolume, 30)
+  };
+  SOUND_EVENTS.forEach((event) => {
+    result[event] = source[event] === undefined ? "none" : pick(source[event], ALERT_SOUNDS);
+  });
+  return result;
+}
+
+/** 生成循环播放的背景音缓冲：滴答声每秒一次，白噪音与布朗噪音各 2 秒 */
+function createAmbientBuffer(context, name) {
+  const rate = context.sampleRate;
+  const length = name === "ticking" ? rate : rate * 2;
+  const buffer = context.createBuffer(1, length, rate);
+  const data = buffer.getChannelData(0);
+  if (name === "ticking") {
+    const clickLength = Math.floor(rate * 0.012);
+    for (let i = 0; i < clickLength; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / clickLength, 3);
+    }
+  } else if (name === "brownNoise") {
+    let last = 0;
+    for (let i = 0; i < length; i++) {
+      last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+      data[i] = last * 3.5;
+    }
+  } else {
+    for (let i = 0; i < length; i++) {
+      data[i] = (Math.random() * 2 - 1) * 0.5;
+    }
+  }
+  return buffer;
+}
+
+class SoundPlayer {
+  constructor(app, timerManager) {
+    this.app = app;
+    this.timerManager = timerManager;
+    this._context = null;
+    this._ambient = null; // { key, setVolume }
+  }
+
+  /** 懒加载 AudioContext；不支持 WebAudio 时返回 null */
+  getContext() {
+    if (!this._context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+      const context = new AudioContextClass();
+      this._context = context;
+      this.timerManager.register(CONTEXT_ID, () => {
+        if (this._context === context) this._context = null;
+        context.close().catch((error) => console.error("[Focus Timer] Failed to close audio context:", error));
+      });
+    }
+    if (this._context.state === "suspended") {
+      this._context.resume().catch((error) => console.error("[Focus Timer] Failed to resume audio context:", error));
+    }
+    return this._context;
+  }
+
+  /** 库内音频文件；文件不存在时提示并返回 null */
+  createFileAudio(path) {
+    const file = this.app.vault.getAbstractFileByPath(normalizePath(path));
+    if (!file) {
+      new Notice(t("soundFileMissing").replace("{path}", path));
+      return null;
+    }
+    return new Audio(this.app.vault.getResourcePath(file));
+  }
+
+  /** 播放库内音频，登记为 id；返回 audio 元素 */
+  playFile(path, volume, id, loop) {
+    const audio = this.createFileAudio(path);
+    if (!audio) return null;
+    audio.volume = volume / 100;
+    audio.loop = loop;
+    this.timerManager.register(id, () => {
+      audio.pause();
+      audio.removeAttribute("src");
+      audio.load();
+    });
+    audio.play().catch((error) => console.error("[Focus Timer] Failed to play sound:", error));
+    return audio;
+  }
+
+  /** 播放提示音：value 为内置音效名或库内音频路径，volume 为 0-100；同一 id 的上一个声音会先停止 */
+  play(value, volume, id = ALERT_ID) {
+    if (!value || value === "none" || volume <= 0) return;
+    if (isVaultSound(value)) {
+      this.playFile(value, volume, id, false);
+      return;
+    }
+    const tones = ALERT_TONES[value];
+    const context = tones ? this.getContext() : null;
+    if (!context) return;
+
+    const output = context.createGain();
+    output.gain.value = volume / 100;
+    output.connect(context.destination);
+    const startAt = context.currentTime + 0.02;
+    tones.forEach((tone) => {
+      const oscillator = context.createOscillator();
+      const envelope = context.createGain();
+      oscillator.type = tone.type;
+      oscillator.frequency.value = tone.freq;
+      envelope.gain.setValueAtTime(0.0001, startAt + tone.at);
+      envelope.gain.exponentialRampToValueAtTime(tone.gain, startAt + tone.at + 0.01);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, startAt + tone.at + tone.duration);
+      oscillator.connect(envelope);
+      envelope.connect(output);
+      oscillator.start(startAt + tone.at);
+      oscillator.stop(startAt + tone.at + tone.duration + 0.05);
+    });
+    this.timerManager.register(id, () => output.disconnect());
+  }
+
+  /** 开始或更新背景音；已在播放同一声音时只调整音量 */
+  setAmbient(value, volume) {
+    if (this._ambient && this._ambient.key === value && this.timerManager.has(AMBIENT_ID)) {
+      this._ambient.setVolume(volume / 100);
+      return;
+    }
+    this.stopAmbient();
+    if (isVaultSound(value)) {
+      const audio = this.playFile(value, volume, AMBIENT_ID, true);
+      if (audio) this._ambient = { key: value, setVolume: (level) => { audio.volume = level; } };
+      return;
+    }
+    const context = AMBIENT_SOUNDS.includes(value) ? this.getContext() : null;
+    if (!context) return;
+    const source = context.createBufferSource();
+    source.buffer = createAmbientBuffer(context, value);
+    source.loop = true;
+    const gain = context.createGain();
+    gain.gain.value = volume / 100;
+    source.connect(gain);
+    gain.connect(context.destination);
+    source.start();
+    this._ambient = { key: value, setVolume: (level) => { gain.gain.value = level; } };
+    this.timerManager.register(AMBIENT_ID, () => {
+      source.stop();
+      gain.disconnect();
+    });
+  }
+
+  stopAmbient() {
+    this._ambient = null;
+    this.timerManager.clear(AMBIENT_ID);
+  }
+}
+
+module.exports = {
+  ALERT_SOUNDS,
+  AMBIENT_SOUNDS,
+  SOUND_EVENTS,
+  isVaultSound,
+  normalizeSoundSettings,
+  SoundPlayer
+};
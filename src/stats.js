@@ -1,6 +1,7 @@
 const { getDateKey } = require("./format.js");
 
-function calculateStats(sessions, baseDate = null) {
+/** rests 为休息记录（readRests），用于统计当天与前一天的休息 */
+function calculateStats(sessions, baseDate = null, rests = []) {
   let now, today;
   if (baseDate) {
     const [year, month, day] = baseDate.split('-').map(Number);
@@ -155,6 +156,14 @@ function calculateStats(sessions, baseDate = null) {
   }).length;
   const avgYearCompleted = yearCompleted / daysInYear;
 
+  // 打断次数按会话开始日期计入当天（完成与放弃的会话都算）
+  const todayInterruptions = countInterruptions(sessions.filter(s => getDateKey(s.start) === todayKey));
+  const yesterdayInterruptions = countInterruptions(sessions.filter(s => getDateKey(s.start) === yesterdayKey));
+
+  // 休息按开始日期计入当天
+  const todayRest = summarizeRests(rests.filter(r => getDateKey(r.start) === todayKey));
+  const yesterdayRest = summarizeRests(rests.filter(r => getDateKey(r.start) === yesterdayKey));
+
   return {
     today: todayTotal,
     todayCompleted,
@@ -177,8 +186,61 @@ function calculateStats(sessions, baseDate = null) {
     yearTotal,
     yearCompleted,
     avgYearCompleted,
+    todayInterruptions,
+    yesterdayInterruptions,
+    todayRest,
+    yesterdayRest,
     last14Days
   };
 }
 
-module.exports = { calculateStats };
+/** 会话记录的打断列表（旧记录没有该字段时为空） */
+function getSessionInterruptions(session) {
+  return session && Array.isArray(session.interruptions) ? session.interruptions : [];
+}
+
+/** 统计一组会话的打断次数：{ total, internal, external } */
+function countInterruptions(sessions) {
+  const counts = { total: 0, internal: 0, external: 0 };
+  sessions.forEach(s => {
+    getSessionInterruptions(s).forEach(item => {
+      counts.total++;
+      if (item && item.type === "external") counts.external++;
+      else counts.internal++;
+    });
+  });
+  return counts;
+}
+
+/** 汇总一组休息记录：{ count, totalSec, endedEarly }（endedEarly 为未到计划时长就结束的次数） */
+function summarizeRests(rests) {
+  const summary = { count: 0, totalSec: 0, endedEarly: 0 };
+  rests.forEach(r => {
+    summary.count++;
+    summary.totalSec += r.actualSec || 0;
+    if (r.endedEarly) summary.endedEarly++;
+  });
+  return summary;
+}
+
+/** calculateStats 需要的最早日期：基准日所在年初与上月初中较早者，用于只加载必要的归档 */
+function getStatsRangeStart(baseDate = null) {
+  let now;
+  if (baseDate) {
+    const [year, month, day] = baseDate.split('-').map(Number);
+    now = new Date(year, month - 1, day);
+  } else {
+    now = new Date();
+  }
+  const yearStart = new Date(now.getFullYear(), 0, 1);
+  const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  return yearStart < lastMonthStart ? yearStart : lastMonthStart;
+}
+
+/** 按设置过滤参与统计/图表的会话：关闭「统计包含手动补录」时排除 manual 记录 */
+function filterSessionsForStats(sessions, settings) {
+  if (!settings || settings.statsIncludeManual !== false) return sessions;
+  return sessions.filter(s => !s.manual);
+}
+
+module.exports = { calculateStats, getStatsRangeStart, filterSessionsForStats, getSessionInterruptions, countInterruptions, summarizeRests };
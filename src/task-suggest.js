@@ -0,0 +1,106 @@
+const { FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER } = require("./constants.js");
+const { limitInputLength } = require("./utils.js");
+
+/**
+ * 为专注事项输入框挂载联想下拉列表：与设置共用 suggestTasks，顺序=优先级（首位为最近使用）。
+ * containerEl 需为输入框的定位容器；返回清理函数，用于移除挂在 document 上的外部点击监听器。
+ */
+function attachTaskSuggest(plugin, containerEl, inputEl) {
+  const autocompleteList = containerEl.createDiv("focus-timer-plugin-autocomplete-list focus-timer-plugin-autocomplete-list-hidden");
+  let selectedIndex = -1;
+  let filteredSuggestions = [];
+
+  const getSuggestNotes = () => {
+    const list = plugin.settings.suggestTasks || [];
+    return Array.isArray(list) ? [...list] : [];
+  };
+
+  const hide = () => {
+    autocompleteList.classList.add("focus-timer-plugin-autocomplete-list-hidden");
+    selectedIndex = -1;
+  };
+
+  const choose = (suggestion) => {
+    inputEl.value = suggestion;
+    plugin.moveSuggestToFront(suggestion);
+    hide();
+    // 通知外部（如弹窗中保存的值）输入已变化
+    inputEl.dispatchEvent(new Event("change"));
+  };
+
+  // 更新下拉列表（仅从设置中的联想任务列表联想，与设置共用同一列表）
+  const updateAutocomplete = (query) => {
+    if (!query || query.trim() === "") {
+      hide();
+      return;
+    }
+
+    const lowerQuery = query.toLowerCase();
+    filteredSuggestions = getSuggestNotes().filter(note =>
+      note.toLowerCase().includes(lowerQuery) && note !== query
+    );
+
+    if (filteredSuggestions.length === 0) {
+      hide();
+      return;
+    }
+
+    // 显示建议列表
+    autocompleteList.empty();
+    filteredSuggestions.slice(0, 5).forEach((suggestion, index) => {
+      const item = autocompleteList.createDiv("focus-timer-plugin-autocomplete-item");
+      item.textContent = suggestion;
+      if (index === selectedIndex) {
+        item.classList.add("focus-timer-plugin-autocomplete-item-selected");
+      }
+      item.onclick = () => {
+        choose(suggestion);
+        inputEl.focus();
+      };
+    });
+    autocompleteList.classList.remove("focus-timer-plugin-autocomplete-list-hidden");
+  };
+
+  // 输入事件监听
+  inputEl.addEventListener("input", (e) => {
+    const value = e.target.value;
+    const limited = limitInputLength(value, FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER);
+    if (value !== limited) {
+      e.target.value = limited;
+    }
+    updateAutocomplete(e.target.value);
+    selectedIndex = -1;
+  });
+
+  // 键盘事件监听
+  inputEl.addEventListener("keydown", (e) => {
+    if (autocompleteList.classList.contains("focus-timer-plugin-autocomplete-list-hidden")) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      selectedIndex = Math.min(selectedIndex + 1, filteredSuggestions.length - 1);
+      updateAutocomplete(inputEl.value);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      selectedIndex = Math.max(selectedIndex - 1, -1);
+      updateAutocomplete(inputEl.value);
+    } else if (e.key === "Enter" && selectedIndex >= 0 && selectedIndex < filteredSuggestions.length) {
+      e.preventDefault();
+      choose(filteredSuggestions[selectedIndex]);
+    } else if (e.key === "Escape") {
+      hide();
+    }
+  });
+
+  // 点击外部关闭下拉列表
+  const clickOutsideHandler = (e) => {
+    if (!containerEl.contains(e.target)) {
+      hide();
+    }
+  };
+  document.addEventListener("click", clickOutsideHandler);
+
+  return () => document.removeEventListener("click", clickOutsideHandler);
+}
+
+module.exports = { attachTaskSuggest };
@@ -0,0 +1,54 @@
+/**
+ * 自定义提示消息模板：开始、完成、放弃、休息开始、休息结束。
+ * 模板为空时使用内置消息；模板同时用于 Notice 与系统通知（有对应系统通知的事项）。
+ */
+
+const MESSAGE_EVENTS = ["start", "complete", "abandon", "restStart", "restEnd"];
+const MESSAGE_PLACEHOLDERS = ["task", "minutes", "planned", "todayTotal", "goalProgress", "cycle"];
+const MESSAGE_TEMPLATE_MAX_LENGTH = 200;
+
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+
+/** 规范化设置中的模板：非字符串视为空，超长截断 */
+function normalizeMessageTemplates(templates) {
+  const source = templates && typeof templates === "object" ? templates : {};
+  const result = {};
+  MESSAGE_EVENTS.forEach((event) => {
+    const value = source[event];
+    result[event] = typeof value === "string" ? value.slice(0, MESSAGE_TEMPLATE_MAX_LENGTH) : "";
+  });
+  return result;
+}
+
+/** 模板中不认识的占位符名（去重），用于设置界面提示 */
+function findUnknownPlaceholders(template) {
+  const unknown = [];
+  for (const match of String(template || "").matchAll(PLACEHOLDER_PATTERN)) {
+    const name = match[1].trim();
+    if (!MESSAGE_PLACEHOLDERS.includes(name) && !unknown.includes(name)) unknown.push(name);
+  }
+  return unknown;
+}
+
+/** 模板是否用到某些占位符（今日累计与目标进度需要读取记录，用不到时不读） */
+function usesPlaceholder(template, names) {
+  return [...String(template || "").matchAll(PLACEHOLDER_PATTERN)].some((match) => names.includes(match[1].trim()));
+}
+
+/** 替换占位符；values 中没有的占位符原样保留 */
+function renderMessageTemplate(template, values) {
+  return String(template || "").replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const key = name.trim();
+    return Object.prototype.hasOwnProperty.call(values, key) && values[key] != null ? String(values[key]) : match;
+  });
+}
+
+module.exports = {
+  MESSAGE_EVENTS,
+  MESSAGE_PLACEHOLDERS,
+  MESSAGE_TEMPLATE_MAX_LENGTH,
+  normalizeMessageTemplates,
+  findUnknownPlaceholders,
+  usesPlaceholder,
+  renderMessageTemplate
+};
@@ -0,0 +1,135 @@
+const { clamp0, STALE_SESSION_GAP_SEC } = require("./constants.js");
+
+/** 计时模式：倒计时、正计时、心流计时（见 flowtime.js） */
+const TIMER_MODES = ["countdown", "stopwatch", "flowtime"];
+
+/** 不设计划时长的模式（正计时与心流计时），计时向上累加 */
+function isOpenEndedMode(mode) {
+  return mode === "stopwatch" || mode === "flowtime";
+}
+
+function toMs(isoString) {
+  if (!isoString) return null;
+  const time = new Date(isoString).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * 扣除暂停后的已专注秒数（本地计时用，时间均为毫秒时间戳）。
+ * pausedSec 为已结束的暂停累计秒数；pauseStartMs 不为 null 时表示正在暂停。
+ */
+function getElapsedExcludingPauses(startMs, pausedSec, pauseStartMs, nowMs = Date.now()) {
+  if (startMs == null) return 0;
+  const effectiveNow = pauseStartMs != null ? Math.min(nowMs, pauseStartMs) : nowMs;
+  return clamp0(Math.floor((effectiveNow - startMs) / 1000) - (pausedSec || 0));
+}
+
+/** 专注状态是否处于暂停中 */
+function isFocusPaused(state) {
+  return Boolean(state && state.active && !state.resting && state.paused);
+}
+
+/** 累计暂停秒数（含正在进行的暂停） */
+function getTotalPausedSec(state, nowMs = Date.now()) {
+  const pausedSec = typeof state.pausedSec === "number" && state.pausedSec > 0 ? state.pausedSec : 0;
+  const pauseStartMs = isFocusPaused(state) ? toMs(state.pauseStart) : null;
+  const currentPauseSec = pauseStartMs != null ? clamp0(Math.floor((nowMs - pauseStartMs) / 1000)) : 0;
+  return pausedSec + currentPauseSec;
+}
+
+/** 专注有效时长（秒）：从开始到 now，扣除暂停时间 */
+function getFocusElapsedSec(state, nowMs = Date.now()) {
+  const pausedSec = typeof state.pausedSec === "number" && state.pausedSec > 0 ? state.pausedSec : 0;
+  const pauseStartMs = isFocusPaused(state) ? toMs(state.pauseStart) : null;
+  return getElapsedExcludingPauses(toMs(state.start), pausedSec, pauseStartMs, nowMs);
+}
+
+/**
+ * 已结束会话的专注时长（秒）：开始到结束的时间扣除暂停，与 stopFocus 记录的 actualSec 一致，不小于 0。
+ * 扣除的计时断档（excludedGaps）在结束前已计入 pausedSec（见 resolveTimerGap），不重复扣除。
+ */
+function getSessionFocusSec(session, startIso = session.start, endIso = session.end) {
+  const pausedSec = typeof session.pausedSec === "number" && session.pausedSec > 0 ? session.pausedSec : 0;
+  const startMs = toMs(startIso);
+  const endMs = toMs(endIso);
+  if (startMs == null || endMs == null) return 0;
+  return clamp0(Math.floor((endMs - startMs) / 1000) - pausedSec);
+}
+
+/**
+ * 番茄循环进度：专注中显示当前是第几次，休息与空闲时显示本轮已完成几次。
+ * 一轮已满（未经长休息）时，开始下一次专注会从头计数（见 startFocus）。
+ */
+function getCycleProgress(state, interval) {
+  const count = state && typeof state.cycleCount === "number" && state.cycleCount > 0 ? state.cycleCount : 0;
+  if (state && state.active && !state.resting) {
+    return { current: Math.min(count + 1, interval), total: interval };
+  }
+  return { current: Math.min(count, interval), total: interval };
+}
+
+/**
+ * 启动时检查遗留的专注：心跳（最后在线时间）过旧，说明 Obsidian 曾被关闭或崩溃；
+ * 旧数据没有心跳时，以倒计时计划结束时间早已过去为准。暂停中的专注不计时，不算遗留。
+ * 返回 { lastSeenMs, plannedEndMs }（毫秒时间戳，可能为 null），不是遗留专注时返回 null。
+ */
+function getStaleSessionInfo(state, nowMs = Date.now()) {
+  if (!state || !state.active || state.resting || isFocusPaused(state)) return null;
+  const gapMs = STALE_SESSION_GAP_SEC * 1000;
+  const lastSeenMs = toMs(state.heartbeat);
+  const plannedEndMs = state.plannedSec != null ? toMs(state.end) : null;
+  const stale = lastSeenMs != null
+    ? nowMs - lastSeenMs > gapMs
+    : plannedEndMs != null && nowMs - plannedEndMs > gapMs;
+  return stale ? { lastSeenMs, plannedEndMs } : null;
+}
+
+/** 规范化提醒分钟数列表：1-600 的整数，去重并从大到小排列；最多 10 个 */
+function normalizeAlertMinutes(list) {
+  const values = (Array.isArray(list) ? list : [])
+    .map((value) => Math.floor(Number(value)))
+    .filter((value) => Number.isFinite(value) && value >= 1 && value <= 600);
+  return [...new Set(values)].sort((a, b) => b - a).slice(0, 10);
+}
+
+/**
+ * 到期的结束前提醒与里程碑：倒计时剩余 warningMinutes 中的分钟数时提醒（不超过计划时长的才有效）；
+ * 正计时与心流计时每满 milestoneMinutes 中某个间隔的整数倍时提醒，只看最近一次达到的倍数。
+ * fired 为本次专注已提醒过的键（Set），返回未提醒的 [{ key, type, minutes, lateSec }]，lateSec 为越过提醒点的秒数。
+ */
+function getDueTimerAlerts(plannedSec, elapsedSec, { warningMinutes = [], milestoneMinutes = [] }, fired) {
+  const due = [];
+  if (plannedSec != null) {
+    const remainingSec = plannedSec - elapsedSec;
+    warningMinutes.forEach((minutes) => {
+      const key = `warning-${minutes}`;
+      const offsetSec = minutes * 60;
+      if (offsetSec < plannedSec && remainingSec > 0 && remainingSec <= offsetSec && !fired.has(key)) {
+        due.push({ key, type: "warning", minutes, lateSec: offsetSec - remainingSec });
+      }
+    });
+    return due;
+  }
+  milestoneMinutes.forEach((interval) => {
+    const minutes = Math.floor(elapsedSec / (interval * 60)) * interval;
+    const key = `milestone-${minutes}`;
+    if (minutes > 0 && !fired.has(key) && !due.some((alert) => alert.key === key)) {
+      due.push({ key, type: "milestone", minutes, lateSec: elapsedSec - minutes * 60 });
+    }
+  });
+  return due;
+}
+
+module.exports = {
+  TIMER_MODES,
+  isOpenEndedMode,
+  getElapsedExcludingPauses,
+  getStaleSessionInfo,
+  getDueTimerAlerts,
+  normalizeAlertMinutes,
+  getCycleProgress,
+  isFocusPaused,
+  getTotalPausedSec,
+  getFocusElapsedSec,
+  getSessionFocusSec
+};
@@ -7,11 +7,15 @@ const {
   FOCUS_NOTE_MAX_OTHER
 } = require("./constants.js");
 const { t, getLanguage } = require("./i18n.js");
-const { readState, readSessions } = require("./data.js");
-const { formatTime, formatTimeChinese, formatTimeShort, getDateKey } = require("./format.js");
-const { calculateStats } = require("./stats.js");
-const { createLineChart, calculateChartData, chartRangeToLabelAndCalculation, defaultChartRangeToShortKey, CHART_RANGE_CONFIG } = require("./chart.js");
+const { readState, readSessions, readRests } = require("./data.js");
+const { formatTime, formatTimeChinese, formatTimeShort, getDateKey, formatInterruptionSuffix, formatInterruptionDetails, formatInterruptionSummary, formatRestSummary } = require("./format.js");
+const { calculateStats, getStatsRangeStart, filterSessionsForStats } = require("./stats.js");
+const { createLineChart, calculateChartData, getEarliestChartRangeStart, chartRangeToLabelAndCalculation, defaultChartRangeToShortKey, CHART_RANGE_CONFIG } = require("./chart.js");
 const { limitInputLength, truncateForButton } = require("./utils.js");
+const { attachTaskSuggest } = require("./task-suggest.js");
+const { TIMER_MODES, isOpenEndedMode, getElapsedExcludingPauses, isFocusPaused, getCycleProgress } = require("./timer-state.js");
+const { describeRoutineStep } = require("./routines.js");
+const { calculateGoalProgress, formatGoalValue, createGoalBar, createGoalList } = require("./goals.js");
 
 class FocusTimerView extends ItemView {
   constructor(leaf, plugin) {
@@ -21,7 +25,9 @@ class FocusTimerView extends ItemView {
     this._resizeTimerId = "view-resize-" + (leaf.id ?? "view-" + Date.now());
     this.startTime = null; // 本地记录的开始时间
     this.plannedSec = null; // 计划时长
-    this.timerMode = "countdown"; // 计时模式：countdown 或 stopwatch
+    this.pausedSec = 0; // 已结束的暂停累计秒数
+    this.pauseStartTime = null; // 正在暂停时的暂停开始时间
+    this.timerMode = "countdown"; // 计时模式：countdown、stopwatch 或 flowtime
     this.noteInput = null; // 保存输入框引用
     this.currentView = "stats"; // 当前视图："stats" 或 "history"
     this.restStartTime = null; // 休息开始时间
@@ -114,10 +120,9 @@ class FocusTimerView extends ItemView {
           circleEl.style.setProperty('--focus-circle-offset', offset);
         }
     } else if (this.startTime !== null) {
-      const now = Date.now();
-      const elapsed = Math.floor((now - this.startTime) / 1000);
+      const elapsed = getElapsedExcludingPauses(this.startTime, this.pausedSec, this.pauseStartTime);
       
-      if (this.timerMode === "stopwatch") {
+      if (isOpenEndedMode(this.timerMode)) {
         timeEl.textContent = formatTime(elapsed);
       } else if (this.plannedSec !== null) {
         // 倒计时模式
@@ -164,9 +169,9 @@ class FocusTimerView extends ItemView {
       this.resizeObserver.disconnect();
       this.resizeObserver = null;
     }
-    if (this._autocompleteClickOutsideHandler) {
-      document.removeEventListener("click", this._autocompleteClickOutsideHandler);
-      this._autocompleteClickOutsideHandler = null;
+    if (this._detachTaskSuggest) {
+      this._detachTaskSuggest();
+      this._detachTaskSuggest = null;
     }
   }
 
@@ -175,7 +180,7 @@ class FocusTimerView extends ItemView {
     let note = (this.noteInput && this.noteInput.value) ? this.noteInput.value.trim() : "";
     note = limitInputLength(note, FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER);
     if (this._isStopwatch) {
-      this.plugin.startFocus(null, "stopwatch", note);
+      this.plugin.startFocus(null, this.timerMode, note);
     } else {
       if (this.timeEditorOpen && this.editingTimeDigits) {
         const hh = parseInt(this.editingTimeDigits.slice(0, 2), 10) || 0;
@@ -235,7 +240,9 @@ class FocusTimerView extends ItemView {
       const state = await readState(this.plugin.app);
       if (isStale()) return;
 
-      const sessions = await readSessions(this.plugin.app);
+      // 只加载统计需要的归档（今年与上月）
+      const sessions = await readSessions(this.plugin.app, { from: getStatsRangeStart() });
+      const rests = await readRests(this.plugin.app, { from: getStatsRangeStart() });
       if (isStale()) return;
 
       container.empty();
@@ -245,10 +252,13 @@ class FocusTimerView extends ItemView {
       this._idle = !state.active && !state.resting;
     
     // 统计只使用已持久化的会话，专注进行中时不把当前时长计入统计；完成时由 stopFocus 写入后再反映到统计中
-    const sessionsForStats = sessions;
+    // 关闭「统计包含手动补录」时排除手动补录的记录
+    const sessionsForStats = filterSessionsForStats(sessions, this.plugin.settings);
     
     // 计算统计数据
-    const stats = calculateStats(sessionsForStats);
+    const stats = calculateStats(sessionsForStats, null, rests);
+    const goalProgress = calculateGoalProgress(sessionsForStats, this.plugin.settings.goals);
+    const getGoal = (key) => goalProgress.find((item) => item.key === key) || null;
 
     // 顶部：圆环倒计时区域
     const timerSection = container.createDiv("focus-timer-plugin-timer-section-top-status");
@@ -258,9 +268,10 @@ class FocusTimerView extends ItemView {
     
     // 呼吸灯（只在专注或休息时呼吸）
     const breathingLight = statusContainer.createDiv("focus-timer-plugin-timer-section-top-status-breathing-light");
+    const isPaused = isFocusPaused(state);
     if (state.resting) {
       breathingLight.classList.add("focus-timer-plugin-timer-section-top-status-breathing-rest");
-    } else if (state.active) {
+    } else if (state.active && !isPaused) {
       breathingLight.classList.add("focus-timer-plugin-timer-section-top-status-breathing-active");
     } else {
       breathingLight.classList.add("focus-timer-plugin-timer-section-top-status-breathing-idle");
@@ -271,21 +282,33 @@ class FocusTimerView extends ItemView {
     const statusTextContainer = statusContainer.createDiv("focus-timer-plugin-timer-section-top-status-text-container");
     
     const statusText = statusTextContainer.createEl("div", { cls: "focus-timer-plugin-timer-section-top-status-text" });
+
+    // 番茄循环进度（如 2/4）：手动开始休息同样计数，长休息间隔为 0（不使用长休息）时不显示
+    const cycleInterval = this.plugin.getLongBreakInterval();
+    if (cycleInterval > 0) {
+      const progress = getCycleProgress(state, cycleInterval);
+      const cycleEl = statusTextContainer.createEl("div", {
+        text: `${progress.current}/${progress.total}`,
+        cls: "focus-timer-plugin-cycle-progress"
+      });
+      cycleEl.setAttribute("title", t("cycleProgressTitle").replace("{count}", progress.total));
+    }
     
     // 检查休息状态
     if (state.resting) {
       // 休息状态
-      statusText.textContent = t("resting");
+      statusText.textContent = state.restLong ? t("longResting") : t("resting");
       breathingLight.classList.remove("focus-timer-plugin-breathing-active", "focus-timer-plugin-breathing-idle");
       breathingLight.classList.add("focus-timer-plugin-breathing-rest");
     } else if (state.active) {
       const mode = state.mode || "countdown";
-      const modeText = mode === "stopwatch" ? t("stopwatch") : t("countdown");
-      // 如果有专注事项，显示"任务名称-倒计时/正计时"
+      const modeText = t(mode);
+      // 如果有专注事项，显示"任务名称-倒计时/正计时"；暂停时追加「已暂停」
+      const pausedSuffix = isPaused ? `-${t("paused")}` : "";
       if (state.note && state.note.trim()) {
-        statusText.textContent = `${state.note.trim()}-${modeText}`;
+        statusText.textContent = `${state.note.trim()}-${modeText}${pausedSuffix}`;
       } else {
-        statusText.textContent = `${t("focusing")}-${modeText}`;
+        statusText.textContent = `${t("focusing")}-${modeText}${pausedSuffix}`;
       }
     } else {
       statusText.textContent = t("idle");
@@ -309,15 +332,43 @@ class FocusTimerView extends ItemView {
           if (timerName.length > 15) {
             quickBtn.setAttribute("title", timerName);
           }
-          quickBtn.onclick = () => {
-            const minutes = timer.minutes || 25;
-            this.plugin.startFocus(minutes * 60, "countdown", timerName);
-          };
+          quickBtn.onclick = () => this.plugin.startQuickTimer(timer);
         }
       });
     }
     
+    // 流程进行中：显示当前步骤，可跳过或结束流程
+    const routine = state.routine;
+    if (routine && (state.active || state.resting) && routine.steps[routine.stepIndex]) {
+      const routineBar = timerSection.createDiv("focus-timer-plugin-routine-bar");
+      const routineText = routineBar.createEl("div", {
+        text: t("routineProgress")
+          .replace("{name}", routine.name)
+          .replace("{current}", routine.stepIndex + 1)
+          .replace("{total}", routine.steps.length)
+          .replace("{step}", describeRoutineStep(routine.steps[routine.stepIndex])),
+        cls: "focus-timer-plugin-routine-text"
+      });
+      const nextStep = routine.steps[routine.stepIndex + 1];
+      if (nextStep) {
+        routineText.setAttribute("title", t("routineNextStep").replace("{step}", describeRoutineStep(nextStep)));
+      }
+      const skipBtn = routineBar.createEl("button", { text: t("skipRoutineStep"), cls: "focus-timer-plugin-quick-timer-btn" });
+      skipBtn.onclick = () => this.plugin.skipRoutineStep();
+      const stopBtn = routineBar.createEl("button", { text: t("stopRoutine"), cls: "focus-timer-plugin-quick-timer-btn" });
+      stopBtn.onclick = () => this.plugin.stopRoutine();
+    }
+
     const circleContainer = timerSection.createDiv("focus-timer-plugin-circle-container");
+
+    // 圆环下方：今日目标进度（设置了每日目标时显示）
+    const dailyGoals = goalProgress.filter((item) => item.key === "daily" || item.key === "dailySessions");
+    if (dailyGoals.length > 0) {
+      const goalLine = timerSection.createDiv("focus-timer-plugin-goal-today");
+      const goalText = dailyGoals.map((item) => `${item.reached ? "✓ " : ""}${formatGoalValue(item)}`).join(" · ");
+      goalLine.createEl("div", { text: `${t("goalToday")} ${goalText}`, cls: "focus-timer-plugin-goal-today-text" });
+      goalLine.appendChild(createGoalBar(dailyGoals[0]));
+    }
     
     // 初始化休息相关变量
     this.restStartTime = null;
@@ -380,11 +431,12 @@ class FocusTimerView extends ItemView {
       // 保存开始时间和计划时长，用于本地计时
       this.startTime = new Date(state.start).getTime();
       this.plannedSec = state.plannedSec;
+      this.pausedSec = typeof state.pausedSec === "number" ? state.pausedSec : 0;
+      this.pauseStartTime = isPaused && state.pauseStart ? new Date(state.pauseStart).getTime() : null;
       this.timerMode = state.mode || "countdown";
-      const isStopwatch = this.timerMode === "stopwatch";
+      const isStopwatch = isOpenEndedMode(this.timerMode);
       
-      const now = Date.now();
-      const elapsed = Math.floor((now - this.startTime) / 1000);
+      const elapsed = getElapsedExcludingPauses(this.startTime, this.pausedSec, this.pauseStartTime);
       
       // 判断是否超时
       let isOvertime = false;
@@ -492,18 +544,44 @@ class FocusTimerView extends ItemView {
         const completeBtn = btnContainer.createEl("button", { text: t("complete"), cls: "focus-timer-plugin-btn-primary" });
         completeBtn.onclick = () => this.plugin.stopFocus("completed");
       }
+      const pauseBtn = btnContainer.createEl("button", { text: isPaused ? t("resume") : t("pause"), cls: "focus-timer-plugin-btn-secondary" });
+      pauseBtn.onclick = () => (isPaused ? this.plugin.resumeFocus() : this.plugin.pauseFocus());
+      // 打断：显示本次已记录次数，悬停查看明细
+      const interruptions = Array.isArray(state.interruptions) ? state.interruptions : [];
+      const interruptBtn = btnContainer.createEl("button", {
+        text: interruptions.length > 0 ? `${t("interruption")} ${interruptions.length}` : t("interruption"),
+        cls: "focus-timer-plugin-btn-secondary"
+      });
+      if (interruptions.length > 0) {
+        interruptBtn.setAttribute("title", formatInterruptionDetails(interruptions));
+      }
+      interruptBtn.onclick = () => this.plugin.openInterruptionModal();
       const abandonBtn = btnContainer.createEl("button", { text: t("abandon"), cls: "focus-timer-plugin-btn-secondary" });
       abandonBtn.onclick = () => this.plugin.stopFocus("abandoned");
+
+      // 倒计时进行中：按步长延长/缩短计划时长
+      if (!isStopwatch) {
+        const stepMinutes = this.plugin.settings.adjustStepMinutes || 5;
+        const extendBtn = btnContainer.createEl("button", { text: `+${stepMinutes}`, cls: "focus-timer-plugin-btn-control" });
+        extendBtn.setAttribute("title", t("extendCountdown").replace("{minutes}", stepMinutes));
+        extendBtn.onclick = () => this.plugin.adjustRunningCountdown(1);
+
+        const shortenBtn = btnContainer.createEl("button", { text: `-${stepMinutes}`, cls: "focus-timer-plugin-btn-control" });
+        shortenBtn.setAttribute("title", t("shortenCountdown").replace("{minutes}", stepMinutes));
+        shortenBtn.onclick = () => this.plugin.adjustRunningCountdown(-1);
+      }
     } else {
       // 非专注状态
       this.startTime = null;
       this.plannedSec = null;
+      this.pausedSec = 0;
+      this.pauseStartTime = null;
       this.timerMode = this.plugin.settings.defaultMode || "countdown";
       // 使用设置中的默认倒计时时间，如果没有设置则使用25分钟
       const defaultMinutes = this.plugin.settings.defaultDurationMinutes || 25;
       this.defaultDuration = defaultMinutes * 60;
       
-      const isStopwatch = this.timerMode === "stopwatch";
+      const isStopwatch = isOpenEndedMode(this.timerMode);
       this._isStopwatch = isStopwatch;
       
       // 只在倒计时模式显示圆环
@@ -663,115 +741,25 @@ class FocusTimerView extends ItemView {
       }
       this.noteInput = noteInput; // 保存引用
       
-      // 创建自动补全下拉列表
-      const autocompleteList = noteInputContainer.createDiv("focus-timer-plugin-autocomplete-list focus-timer-plugin-autocomplete-list-hidden");
-      let selectedIndex = -1;
-      let filteredSuggestions = [];
-      
-      // 联想任务列表：与设置共用 suggestTasks，顺序=优先级（首位为最近使用）
-      const getSuggestNotes = () => {
-        const list = this.plugin.settings.suggestTasks || [];
-        return Array.isArray(list) ? [...list] : [];
-      };
-      
-      // 更新下拉列表（仅从设置中的联想任务列表联想，与设置共用同一列表）
-      const updateAutocomplete = (query) => {
-        if (!query || query.trim() === "") {
-          autocompleteList.classList.add("focus-timer-plugin-autocomplete-list-hidden");
-          selectedIndex = -1;
-          return;
-        }
-        
-        const list = getSuggestNotes();
-        const lowerQuery = query.toLowerCase();
-        filteredSuggestions = list.filter(note =>
-          note.toLowerCase().includes(lowerQuery) && note !== query
-        );
-        
-        if (filteredSuggestions.length === 0) {
-          autocompleteList.classList.add("focus-timer-plugin-autocomplete-list-hidden");
-          selectedIndex = -1;
-          return;
-        }
-        
-        // 显示建议列表
-        autocompleteList.empty();
-        filteredSuggestions.slice(0, 5).forEach((suggestion, index) => {
-          const item = autocompleteList.createDiv("focus-timer-plugin-autocomplete-item");
-          item.textContent = suggestion;
-          if (index === selectedIndex) {
-            item.classList.add("focus-timer-plugin-autocomplete-item-selected");
-          }
-          item.onclick = () => {
-            noteInput.value = suggestion;
-            this.plugin.moveSuggestToFront(suggestion);
-            autocompleteList.classList.add("focus-timer-plugin-autocomplete-list-hidden");
-            selectedIndex = -1;
-            noteInput.focus();
-          };
-        });
-        autocompleteList.classList.remove("focus-timer-plugin-autocomplete-list-hidden");
-      };
-      
-      // 输入事件监听
-      noteInput.addEventListener("input", (e) => {
-        const value = e.target.value;
-        const limited = limitInputLength(value, FOCUS_NOTE_MAX_ASCII, FOCUS_NOTE_MAX_OTHER);
-        if (value !== limited) {
-          e.target.value = limited;
-        }
-        updateAutocomplete(e.target.value);
-        selectedIndex = -1;
-      });
-      
-      // 键盘事件监听
-      noteInput.addEventListener("keydown", (e) => {
-        if (autocompleteList.classList.contains("focus-timer-plugin-autocomplete-list-hidden")) return;
-        
-        if (e.key === "ArrowDown") {
-          e.preventDefault();
-          selectedIndex = Math.min(selectedIndex + 1, filteredSuggestions.length - 1);
-          updateAutocomplete(noteInput.value);
-        } else if (e.key === "ArrowUp") {
-          e.preventDefault();
-          selectedIndex = Math.max(selectedIndex - 1, -1);
-          updateAutocomplete(noteInput.value);
-        } else if (e.key === "Enter" && selectedIndex >= 0 && selectedIndex < filteredSuggestions.length) {
-          e.preventDefault();
-          const chosen = filteredSuggestions[selectedIndex];
-          noteInput.value = chosen;
-          this.plugin.moveSuggestToFront(chosen);
-          autocompleteList.classList.add("focus-timer-plugin-autocomplete-list-hidden");
-          selectedIndex = -1;
-        } else if (e.key === "Escape") {
-          autocompleteList.classList.add("focus-timer-plugin-autocomplete-list-hidden");
-          selectedIndex = -1;
-        }
-      });
-      
-      // 点击外部关闭下拉列表（先移除旧监听器，避免重复添加导致泄漏）
-      if (this._autocompleteClickOutsideHandler) {
-        document.removeEventListener("click", this._autocompleteClickOutsideHandler);
-        this._autocompleteClickOutsideHandler = null;
+      // 自动补全下拉列表（先移除旧的外部点击监听器，避免重复添加导致泄漏）
+      if (this._detachTaskSuggest) {
+        this._detachTaskSuggest();
       }
-      this._autocompleteClickOutsideHandler = (e) => {
-        if (!noteInputContainer.contains(e.target)) {
-          autocompleteList.classList.add("focus-timer-plugin-autocomplete-list-hidden");
-          selectedIndex = -1;
-        }
-      };
-      document.addEventListener("click", this._autocompleteClickOutsideHandler);
+      this._detachTaskSuggest = attachTaskSuggest(this.plugin, noteInputContainer, noteInput);
       
       // 按钮容器：模式切换按钮（在开始按钮左侧）+ 开始、加、减
       const btnContainer = timerSection.createDiv("focus-timer-plugin-btn-container");
       
-      // 模式切换按钮（胶囊样式，放在开始按钮左侧）
+      // 模式切换按钮（胶囊样式，放在开始按钮左侧），依次切换倒计时、正计时、心流计时
       const modeToggleBtn = btnContainer.createEl("button", {
-        text: isStopwatch ? t("stopwatch") : t("countdown"),
+        text: t(this.timerMode),
         cls: "focus-timer-plugin-mode-toggle-btn"
       });
+      if (this.timerMode === "flowtime") {
+        modeToggleBtn.setAttribute("title", t("flowtimeDesc"));
+      }
       modeToggleBtn.onclick = async () => {
-        const newMode = isStopwatch ? "countdown" : "stopwatch";
+        const newMode = TIMER_MODES[(TIMER_MODES.indexOf(this.timerMode) + 1) % TIMER_MODES.length];
         this.plugin.settings.defaultMode = newMode;
         await this.plugin.saveSettings();
         this.render();
@@ -786,7 +774,7 @@ class FocusTimerView extends ItemView {
           noteInput.value = note;
         }
         if (isStopwatch) {
-          this.plugin.startFocus(null, "stopwatch", note);
+          this.plugin.startFocus(null, this.timerMode, note);
         } else {
           // 若正在编辑时间未锁定，按当前输入的时间开始（并做合法性校验）
           if (this.timeEditorOpen && this.editingTimeDigits) {
@@ -867,13 +855,15 @@ class FocusTimerView extends ItemView {
       this.createStatCard(statsGrid, t("todayFocus"), 
         formatTimeChinese(stats.today),
         `${t("yesterday")} ${stats.yesterdayDiff >= 0 ? '+' : '-'}${formatTimeShort(Math.abs(stats.yesterdayDiff))}`,
-        `${t("avg7Days")} ${formatTimeShort(stats.avg7Days)}`);
+        `${t("avg7Days")} ${formatTimeShort(stats.avg7Days)}`,
+        getGoal("daily"));
       
       // 今日完成
       this.createStatCard(statsGrid, t("todayCompleted"),
         `${stats.todayCompleted} ${t("tasks")}`,
         `${t("yesterday")} ${stats.yesterdayCompletedDiff >= 0 ? '+' : '-'}${Math.abs(stats.yesterdayCompletedDiff)}`,
-        `${t("avg7Days")} ${stats.avg7DaysCompleted.toFixed(1)} ${t("tasks")}`);
+        `${t("avg7Days")} ${stats.avg7DaysCompleted.toFixed(1)} ${t("tasks")}`,
+        getGoal("dailySessions"));
       
       // 本月平均专注
       this.createStatCard(statsGrid, t("monthlyAvgFocus"),
@@ -887,11 +877,37 @@ class FocusTimerView extends ItemView {
         null, // 不显示对比数据
         `${t("yearlyTotalCompleted")} ${stats.yearCompleted} ${t("tasks")}`);
 
+      // 每周、每月目标进度（每日目标已显示在卡片上）
+      const periodGoals = goalProgress.filter((item) => item.key === "weekly" || item.key === "monthly");
+      if (periodGoals.length > 0) {
+        statsSection.appendChild(createGoalList(periodGoals));
+      }
+
+      // 休息与打断汇总（今天、昨天有记录时才显示）
+      const summaryLines = [];
+      [
+        [t("today"), stats.todayRest, stats.todayInterruptions],
+        [t("yesterday"), stats.yesterdayRest, stats.yesterdayInterruptions]
+      ].forEach(([label, rest, interruptions]) => {
+        if (rest.count > 0) summaryLines.push(formatRestSummary(label, rest));
+        if (interruptions.total > 0) summaryLines.push(formatInterruptionSummary(label, interruptions));
+      });
+      if (summaryLines.length > 0) {
+        const summaryEl = statsSection.createDiv("focus-timer-plugin-stats-summary");
+        summaryLines.forEach((line) => summaryEl.createEl("div", { text: line }));
+      }
+
       // 专注记录
       const historySection = viewContainer.createDiv("focus-timer-plugin-history-section");
       if (this.currentView !== "history") {
         historySection.classList.add("focus-timer-plugin-section-hidden");
       }
+      const historyToolbar = historySection.createDiv("focus-timer-plugin-history-toolbar");
+      const addSessionBtn = historyToolbar.createEl("button", {
+        text: `+ ${t("addManualSession")}`,
+        cls: "focus-timer-plugin-add-session-btn"
+      });
+      addSessionBtn.onclick = () => this.plugin.openManualSessionModal();
       const historyContent = historySection.createDiv("focus-timer-plugin-history-content");
       this.createRecentHistory(historyContent, sessions);
       
@@ -924,7 +940,8 @@ class FocusTimerView extends ItemView {
     }
   }
 
-  createStatCard(container, title, mainValue, comparison, average) {
+  /** goal 为 calculateGoalProgress 的进度项，传入时在卡片底部显示目标进度条 */
+  createStatCard(container, title, mainValue, comparison, average, goal = null) {
     const card = container.createDiv("focus-timer-plugin-stat-card");
     card.createEl("div", { text: title, cls: "focus-timer-plugin-stat-card-title" });
     
@@ -995,6 +1012,8 @@ class FocusTimerView extends ItemView {
       const averageClasses = isYearlyTotal ? "focus-timer-plugin-stat-average focus-timer-plugin-stat-average-yearly" : "focus-timer-plugin-stat-average";
       const averageEl = card.createEl("div", { text: average, cls: averageClasses });
     }
+
+    if (goal) card.appendChild(createGoalBar(goal));
   }
 
   createRecentHistory(container, sessions) {
@@ -1050,15 +1069,23 @@ class FocusTimerView extends ItemView {
           entryText = lang === 'zh' 
             ? `${timeStr} ${t("completed")} ${noteText}，${formatTimeShort(session.actualSec)}`
             : `${timeStr} ${t("completed")} ${noteText}, ${formatTimeShort(session.actualSec)}`;
+        } else if (session.status === "skipped") {
+          // 跳过了（流程中跳过的步骤）
+          entryText = `${timeStr} ${t("skipped")} ${noteText}`;
         } else {
           // 放弃了（一个任务/任务名）
           entryText = `${timeStr} ${t("abandoned")} ${noteText}`;
         }
+        entryText += formatInterruptionSuffix(session.interruptions);
         
-        item.createEl("div", { 
+        const entryEl = item.createEl("div", { 
           text: entryText,
-          cls: `focus-timer-plugin-history-entry ${session.status === "completed" ? "focus-timer-plugin-status-completed" : "focus-timer-plugin-status-abandoned"}`
+          cls: `focus-timer-plugin-history-entry focus-timer-plugin-status-${session.status}`
         });
+        if (session.interruptions && session.interruptions.length > 0) {
+          entryEl.setAttribute("title", formatInterruptionDetails(session.interruptions));
+        }
+        item.appendChild(this.plugin.createSessionActions(session));
       });
     });
   }
@@ -1115,8 +1142,8 @@ class FocusTimerView extends ItemView {
         e.stopPropagation();
       };
       
-      // 获取数据
-      const sessions = await readSessions(this.plugin.app);
+      // 获取数据（按最宽的图表范围加载归档）
+      const sessions = await readSessions(this.plugin.app, { from: getEarliestChartRangeStart() });
       
       // 内部范围键（供 calculateChartData 使用，与语言无关）
       const rangeKeys = ["7天", "14天", "30天", "本月", "今年"];
@@ -1171,7 +1198,7 @@ class FocusTimerView extends ItemView {
           // 计算该范围的数据（使用内部键，与界面语言无关）
           let chartData;
           try {
-            chartData = calculateChartData(sessions, rangeKey);
+            chartData = calculateChartData(filterSessionsForStats(sessions, this.plugin.settings), rangeKey);
           } catch (calcError) {
             throw calcError;
           }
@@ -0,0 +1,108 @@
+/**
+ * 专注时精简界面：折叠左右侧边栏，隐藏功能区与状态栏（保留计时器），并给 body 加上 zen 样式类。
+ * 进入时记录侧边栏状态与窗格布局；退出时窗格布局未被调整才恢复侧边栏，调整过则只移除样式类。
+ * 以资源登记在 TimerManager，插件卸载时同样恢复。
+ */
+
+const ZEN_ID = "zen-mode";
+const ZEN_CLASS = "focus-timer-plugin-zen";
+const HIDE_RIBBON_CLASS = "focus-timer-plugin-zen-hide-ribbon";
+const HIDE_STATUS_BAR_CLASS = "focus-timer-plugin-zen-hide-status-bar";
+
+const ZEN_OPTIONS = ["collapseSidebars", "hideRibbon", "hideStatusBar"];
+
+/** 规范化设置：enabled 默认关闭，各项默认开启 */
+function normalizeZenModeSettings(zenMode) {
+  const source = zenMode && typeof zenMode === "object" ? zenMode : {};
+  const result = { enabled: source.enabled === true };
+  ZEN_OPTIONS.forEach((key) => {
+    result[key] = source[key] !== false;
+  });
+  return result;
+}
+
+/** 布局结构：只取分栏/标签组/窗格的 id 与类型，不含侧边栏折叠状态、宽度、当前标签与打开的文件 */
+function getLayoutStructure(node) {
+  if (!node || typeof node !== "object") return null;
+  return {
+    id: node.id,
+    type: node.type,
+    direction: node.direction,
+    children: Array.isArray(node.children) ? node.children.map(getLayoutStructure) : []
+  };
+}
+
+/** 工作区布局签名，用于判断专注期间窗格是否被调整 */
+function getWorkspaceSignature(workspace) {
+  const layout = workspace.getLayout() || {};
+  return JSON.stringify(["main", "left", "right", "floating"].map((key) => getLayoutStructure(layout[key])));
+}
+
+class ZenMode {
+  constructor(app, timerManager) {
+    this.app = app;
+    this.timerManager = timerManager;
+    this._snapshot = null; // { leftCollapsed, rightCollapsed, signature }
+  }
+
+  get active() {
+    return this._snapshot !== null;
+  }
+
+  /** 进入精简界面；已进入时只按 options 更新隐藏的区域 */
+  enter(options) {
+    const body = document.body;
+    body.classList.toggle(HIDE_RIBBON_CLASS, options.hideRibbon);
+    body.classList.toggle(HIDE_STATUS_BAR_CLASS, options.hideStatusBar);
+    if (this.active) return;
+
+    const { leftSplit, rightSplit } = this.app.workspace;
+    const snapshot = {
+      leftCollapsed: !leftSplit || leftSplit.collapsed,
+      rightCollapsed: !rightSplit || rightSplit.collapsed,
+      signature: null
+    };
+    if (options.collapseSidebars) {
+      if (!snapshot.leftCollapsed) leftSplit.collapse();
+      if (!snapshot.rightCollapsed) rightSplit.collapse();
+    }
+    body.classList.add(ZEN_CLASS);
+    // 记录折叠后的布局，退出时与之比较
+    snapshot.signature = getWorkspaceSignature(this.app.workspace);
+    this._snapshot = snapshot;
+    this.timerManager.register(ZEN_ID, () => this.restore());
+  }
+
+  /** 退出精简界面；返回 false 表示窗格布局已被调整，未恢复侧边栏 */
+  exit() {
+    const restored = this.restore();
+    this.timerManager.clear(ZEN_ID);
+    return restored;
+  }
+
+  restore() {
+    const snapshot = this._snapshot;
+    this._snapshot = null;
+    document.body.classList.remove(ZEN_CLASS, HIDE_RIBBON_CLASS, HIDE_STATUS_BAR_CLASS);
+    if (!snapshot) return true;
+
+    const { leftSplit, rightSplit } = this.app.workspace;
+    const needsRestore = (!snapshot.leftCollapsed && leftSplit.collapsed) || (!snapshot.rightCollapsed && rightSplit.collapsed);
+    if (!needsRestore) return true;
+    try {
+      if (getWorkspaceSignature(this.app.workspace) !== snapshot.signature) return false;
+    } catch (error) {
+      console.error("[Focus Timer] Failed to read workspace layout:", error);
+      return false;
+    }
+    if (!snapshot.leftCollapsed && leftSplit.collapsed) leftSplit.expand();
+    if (!snapshot.rightCollapsed && rightSplit.collapsed) rightSplit.expand();
+    return true;
+  }
+}
+
+module.exports = {
+  ZEN_OPTIONS,
+  normalizeZenModeSettings,
+  ZenMode
+};